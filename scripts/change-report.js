@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Article Change Report (SQLite → console / JSON)
+ *
+ * Summarizes the article_changes table written by upsertArticle(): which
+ * fields (title, authors, DOI, license, collections, content hash) changed
+ * in each import run, with old and new values.
+ *
+ * Usage:
+ *   npm run changes                            # Last 10 runs, changes per field
+ *   node scripts/change-report.js --runs=25    # More runs
+ *   node scripts/change-report.js --run=latest # Every change in the latest run
+ *   node scripts/change-report.js --run=import@2025-01-06T02:00:00.000Z
+ *   node scripts/change-report.js --slug=abc123  # History of one article
+ *   node scripts/change-report.js --run=latest --json=changes.json
+ */
+
+import fs from 'fs/promises';
+import { CrimRxivDatabase } from '../src/lib/database.js';
+
+const MAX_VALUE_LENGTH = 120;
+
+function getArg(name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+/**
+ * Shorten a value for display (JSON arrays of authors/collections are summarized by name)
+ */
+function formatValue(field, value) {
+  if (value === null || value === undefined) return '(none)';
+
+  if (field === 'authors' || field === 'collections') {
+    try {
+      const items = JSON.parse(value).map(item => typeof item === 'string' ? item : item.name);
+      value = items.join('; ') || '(none)';
+    } catch (error) {
+      // Not JSON - show as is
+    }
+  }
+
+  if (field === 'content_hash') {
+    value = value.substring(0, 12);
+  }
+
+  return value.length > MAX_VALUE_LENGTH ? value.substring(0, MAX_VALUE_LENGTH) + '…' : value;
+}
+
+function printChanges(changes) {
+  let current = null;
+  for (const change of changes) {
+    if (change.article_id !== current) {
+      current = change.article_id;
+      console.log(`\n📄 ${change.slug || change.article_id}  (${change.run_id})`);
+    }
+    console.log(`   ${change.field}:`);
+    console.log(`     - ${formatValue(change.field, change.old_value)}`);
+    console.log(`     + ${formatValue(change.field, change.new_value)}`);
+  }
+  console.log();
+}
+
+async function writeJson(filePath, data) {
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+  console.log(`💾 Written: ${filePath}\n`);
+}
+
+async function main() {
+  const jsonPath = getArg('json');
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📝 Article Change Report');
+  console.log('='.repeat(60) + '\n');
+
+  const db = new CrimRxivDatabase();
+  db.initialize();
+  console.log();
+
+  try {
+    let runId = getArg('run');
+    const slug = getArg('slug');
+
+    if (runId === 'latest') {
+      runId = db.getChangeRuns(1)[0]?.run_id || null;
+      if (!runId) {
+        console.log('No changes recorded yet\n');
+        return;
+      }
+    }
+
+    // Detail: one run and/or one article
+    if (runId || slug) {
+      const changes = db.getArticleChanges({ runId, article: slug });
+
+      if (jsonPath) {
+        await writeJson(jsonPath, changes);
+        return;
+      }
+
+      const articles = new Set(changes.map(change => change.article_id)).size;
+      console.log(`${changes.length} change(s) to ${articles} article(s)${runId ? ` in ${runId}` : ''}`);
+      printChanges(changes);
+      return;
+    }
+
+    // Summary: recent runs with changes per field
+    const runs = db.getChangeRuns(parseInt(getArg('runs')) || 10).map(run => ({
+      ...run,
+      fields: db.getChangeFieldCounts(run.run_id)
+    }));
+
+    if (jsonPath) {
+      await writeJson(jsonPath, runs);
+      return;
+    }
+
+    if (runs.length === 0) {
+      console.log('No changes recorded yet\n');
+      return;
+    }
+
+    for (const run of runs) {
+      console.log(`🔄 ${run.run_id}`);
+      console.log(`   ${run.article_count} article(s), ${run.change_count} change(s)`);
+      console.log(`   ${run.fields.map(f => `${f.field}: ${f.count}`).join(', ')}\n`);
+    }
+
+    console.log('💡 Details: node scripts/change-report.js --run=<run id> (or --run=latest)\n');
+  } catch (error) {
+    console.error('❌ Change report failed:', error);
+    process.exit(1);
+  } finally {
+    db.close();
+  }
+}
+
+// Run if executed directly
+const isRunningDirectly = process.argv[1] && process.argv[1].endsWith('change-report.js');
+if (isRunningDirectly) {
+  main();
+}
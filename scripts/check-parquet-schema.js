@@ -11,7 +11,8 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const PARQUET_PATH = path.join(__dirname, '../public/data/metadata.parquet');
+// Year partitions written by npm run export (Hive-style: metadata/year=YYYY/data.parquet)
+const PARQUET_PATH = path.join(__dirname, '../public/data/metadata/*/data.parquet');
 
 const db = new duckdb.Database(':memory:');
 const conn = db.connect();
@@ -6,7 +6,7 @@ const conn = db.connect();
 
 conn.all(`
   SELECT slug, version_number, has_multiple_versions
-  FROM parquet_scan('public/data/metadata.parquet')
+  FROM parquet_scan('public/data/metadata/*/data.parquet')
   WHERE slug = 'omn355hv'
 `, (err, rows) => {
   if (err) {
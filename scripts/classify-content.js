@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Content Classification (SQLite → content_type)
+ *
+ * Recomputes content_type (research, news, podcast, dataset, postprint) for
+ * every article version using the rules in src/config/content-types.js.
+ * Imports classify new articles automatically; run this after editing the
+ * rules so existing rows pick up the change.
+ *
+ * Usage:
+ *   npm run classify
+ */
+
+import { CrimRxivDatabase } from '../src/lib/database.js';
+
+async function main() {
+  console.log('\n' + '='.repeat(60));
+  console.log('🗂️  Content Classification');
+  console.log('='.repeat(60) + '\n');
+
+  const db = new CrimRxivDatabase();
+  db.initialize();
+
+  try {
+    const changed = db.reclassifyArticles();
+    const counts = db.getContentTypeCounts();
+
+    console.log('='.repeat(60));
+    console.log('✅ CLASSIFICATION UPDATED');
+    console.log('='.repeat(60));
+    console.log(`Changed: ${changed} article versions`);
+    for (const { content_type, count } of counts) {
+      console.log(`  ${content_type}: ${count}`);
+    }
+    console.log('='.repeat(60) + '\n');
+
+    console.log('💡 Next step: npm run export\n');
+  } catch (error) {
+    console.error('❌ Classification failed:', error);
+    process.exit(1);
+  } finally {
+    db.close();
+  }
+}
+
+// Run if executed directly
+const isRunningDirectly = process.argv[1] && process.argv[1].endsWith('classify-content.js');
+if (isRunningDirectly) {
+  main();
+}
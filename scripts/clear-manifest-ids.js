@@ -8,6 +8,7 @@
  */
 
 import { CrimRxivDatabase } from '../src/lib/database.js';
+import { SnapshotManager } from '../src/lib/db-snapshots.js';
 
 async function clearManifestIds() {
   console.log('\n' + '='.repeat(60));
@@ -28,6 +29,12 @@ async function clearManifestIds() {
     console.log(`📊 Articles with manifest_tx_id: ${beforeCount.count}`);
     console.log('');
 
+    // The TX IDs only exist here (and in the last Parquet export) - keep a way back
+    const snapshot = await new SnapshotManager(db.dbPath).create({ label: 'pre-clear-manifest-ids' });
+    console.log(`💾 Snapshot taken: ${snapshot.name}`);
+    console.log(`   Undo with: npm run db:restore -- ${snapshot.name}`);
+    console.log('');
+
     // Clear manifest_tx_id
     console.log('🔄 Clearing manifest_tx_id from all articles...');
     const result = db.db.prepare(`
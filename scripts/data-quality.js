@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Data Quality Report (SQLite + data/articles/ → HTML + JSON)
+ *
+ * Checks every active article for:
+ * - missing or malformed DOIs
+ * - empty abstracts, and abstracts taken from the first body paragraphs
+ *   because there was no "Abstract" heading
+ * - no named authors (content types that require authors)
+ * - attachments listed in attachments.json but missing on disk
+ * - versions.json inconsistent with the {n}/ release folders or the releases table
+ * - licenses outside the known PubPub set
+ *
+ * Writes data/reports/data-quality.json and data/reports/data-quality.html.
+ *
+ * Usage:
+ *   npm run quality
+ *   npm run quality -- --check=abstract_fallback   # Only list one check in the console
+ *   npm run quality -- --out=reports/              # Different output directory
+ *   npm run quality -- --strict                    # Exit with code 1 if there are errors
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CrimRxivDatabase } from '../src/lib/database.js';
+import { DataQualityChecker, QUALITY_CHECKS } from '../src/lib/data-quality.js';
+import { getContentTypeLabel } from '../src/config/content-types.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG = {
+  ARTICLES_DIR: path.join(__dirname, '../data/articles'),
+  OUTPUT_DIR: path.join(__dirname, '../data/reports'),
+  ARTICLE_URL: 'https://www.crimrxiv.com/pub/',
+  CONSOLE_LIMIT: 10
+};
+
+function getArg(name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Self-contained HTML page: summary table, then one table per check
+ */
+function renderHtml(report) {
+  const { totals, checks, issues } = report;
+
+  const summaryRows = checks.map(check => `
+        <tr>
+          <td><a href="#${check.id}">${escapeHtml(check.label)}</a></td>
+          <td><span class="badge ${check.severity}">${check.severity}</span></td>
+          <td class="count">${check.count}</td>
+          <td>${escapeHtml(check.description)}</td>
+        </tr>`).join('');
+
+  const sections = checks.filter(check => check.count > 0).map(check => {
+    const rows = issues.filter(issue => issue.check === check.id).map(issue => `
+          <tr>
+            <td><a href="${CONFIG.ARTICLE_URL}${encodeURIComponent(issue.slug)}">${escapeHtml(issue.title)}</a><br><code>${escapeHtml(issue.slug)}</code></td>
+            <td>${escapeHtml(getContentTypeLabel(issue.content_type))}</td>
+            <td>${escapeHtml(issue.detail)}</td>
+          </tr>`).join('');
+
+    return `
+    <section id="${check.id}">
+      <h2>${escapeHtml(check.label)} <span class="badge ${check.severity}">${check.count}</span></h2>
+      <p>${escapeHtml(check.description)}</p>
+      <table>
+        <thead><tr><th>Article</th><th>Type</th><th>Detail</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>CrimRxiv Data Quality - ${escapeHtml(report.generated_at)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #222; }
+    h1 { margin-bottom: 0.25rem; }
+    .meta { color: #666; margin-top: 0; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1rem; font-size: 0.9rem; }
+    th, td { border-bottom: 1px solid #e5e5e5; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    th { background: #f7f7f7; }
+    td.count { text-align: right; font-variant-numeric: tabular-nums; }
+    code { color: #666; font-size: 0.8rem; }
+    .badge { display: inline-block; border-radius: 3px; padding: 0 0.4rem; font-size: 0.75rem; color: #fff; vertical-align: middle; }
+    .badge.error { background: #c0392b; }
+    .badge.warning { background: #d68910; }
+    section { margin-top: 2rem; }
+  </style>
+</head>
+<body>
+  <h1>CrimRxiv Data Quality</h1>
+  <p class="meta">
+    Generated ${escapeHtml(report.generated_at)} ·
+    ${totals.checked} articles checked (${totals.skipped_inactive} withdrawn/removed skipped) ·
+    ${totals.articles_with_issues} with issues ·
+    ${totals.errors} errors, ${totals.warnings} warnings
+  </p>
+
+  <table>
+    <thead><tr><th>Check</th><th>Severity</th><th>Issues</th><th>Description</th></tr></thead>
+    <tbody>${summaryRows}
+    </tbody>
+  </table>
+${sections}
+</body>
+</html>
+`;
+}
+
+function printSummary(report, only) {
+  const { totals, checks, issues } = report;
+
+  console.log(`Articles checked: ${totals.checked} (${totals.skipped_inactive} withdrawn/removed skipped)`);
+  console.log(`Articles with issues: ${totals.articles_with_issues}\n`);
+
+  for (const check of checks) {
+    const icon = check.count === 0 ? '✅' : (check.severity === 'error' ? '❌' : '⚠️ ');
+    console.log(`  ${icon} ${check.label}: ${check.count}`);
+  }
+  console.log();
+
+  if (only) {
+    const matching = issues.filter(issue => issue.check === only);
+    console.log(`${QUALITY_CHECKS[only].label} (${matching.length}):`);
+    for (const issue of matching.slice(0, CONFIG.CONSOLE_LIMIT)) {
+      console.log(`   ${issue.slug}: ${issue.detail}`);
+    }
+    if (matching.length > CONFIG.CONSOLE_LIMIT) {
+      console.log(`   ... and ${matching.length - CONFIG.CONSOLE_LIMIT} more (see the report)`);
+    }
+    console.log();
+  }
+}
+
+async function main() {
+  const only = getArg('check');
+  const outputDir = getArg('out') ? path.resolve(getArg('out')) : CONFIG.OUTPUT_DIR;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('🩺 Data Quality Report');
+  console.log('='.repeat(60) + '\n');
+
+  if (only && !QUALITY_CHECKS[only]) {
+    console.error(`❌ Unknown check: ${only} (use ${Object.keys(QUALITY_CHECKS).join(', ')})\n`);
+    process.exit(1);
+  }
+
+  const db = new CrimRxivDatabase();
+  db.initialize();
+  console.log();
+
+  try {
+    const report = new DataQualityChecker(db, CONFIG.ARTICLES_DIR).run();
+    printSummary(report, only);
+
+    await fs.mkdir(outputDir, { recursive: true });
+    const jsonPath = path.join(outputDir, 'data-quality.json');
+    const htmlPath = path.join(outputDir, 'data-quality.html');
+    await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+    await fs.writeFile(htmlPath, renderHtml(report));
+
+    console.log(`💾 Written: ${jsonPath}`);
+    console.log(`💾 Written: ${htmlPath}\n`);
+
+    if (process.argv.includes('--strict') && report.totals.errors > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Data quality report failed:', error);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+// Run if executed directly
+const isRunningDirectly = process.argv[1] && process.argv[1].endsWith('data-quality.js');
+if (isRunningDirectly) {
+  main();
+}
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Migrations CLI
+ *
+ * Shows, applies and rolls back the numbered migrations in src/lib/migrations/.
+ * A copy of the database is written to data/sqlite/backups/ before anything
+ * is applied or rolled back (skip with --no-backup).
+ *
+ * Pending migrations are also applied automatically whenever a pipeline
+ * script opens the database; use this to check or undo them.
+ *
+ * Usage:
+ *   npm run db:status                          # Applied and pending migrations
+ *   npm run db:migrate                         # Apply all pending migrations
+ *   node scripts/db-migrate.js up --to=3       # Apply up to version 3
+ *   npm run db:rollback                        # Roll back the latest migration
+ *   node scripts/db-migrate.js down --steps=2  # Roll back the latest two
+ *   node scripts/db-migrate.js down --to=0     # Roll back to the baseline
+ */
+
+import { CrimRxivDatabase } from '../src/lib/database.js';
+
+function getArg(name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? parseInt(arg.split('=')[1]) : null;
+}
+
+function printStatus(migrator) {
+  const status = migrator.getStatus();
+
+  console.log(`Current version: ${migrator.getCurrentVersion()}\n`);
+
+  if (status.length === 0) {
+    console.log('No migrations defined\n');
+    return;
+  }
+
+  for (const entry of status) {
+    const label = `${String(entry.version).padStart(3, '0')} ${entry.name}`;
+    if (entry.missing) {
+      console.log(`  ⚠️  ${label} (applied ${entry.applied_at}, module missing)`);
+    } else if (entry.applied) {
+      console.log(`  ✅ ${label} (applied ${entry.applied_at})`);
+    } else {
+      console.log(`  ⏳ ${label} (pending)`);
+    }
+  }
+  console.log();
+}
+
+async function main() {
+  const command = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : 'status';
+  const backup = !process.argv.includes('--no-backup');
+
+  console.log('\n' + '='.repeat(60));
+  console.log('🗄️  Schema Migrations');
+  console.log('='.repeat(60) + '\n');
+
+  const db = new CrimRxivDatabase();
+  db.initialize({ applyMigrations: false });
+  console.log();
+
+  try {
+    const migrator = db.migrator;
+
+    switch (command) {
+      case 'status':
+        printStatus(migrator);
+        break;
+
+      case 'up': {
+        const applied = migrator.apply({ target: getArg('to'), backup });
+        console.log(applied.length > 0
+          ? `\n✅ Applied ${applied.length} migration(s)\n`
+          : '✅ Nothing to apply\n');
+        printStatus(migrator);
+        break;
+      }
+
+      case 'down': {
+        const target = getArg('to');
+        const rolledBack = migrator.rollback({ steps: getArg('steps') || 1, target, backup });
+        console.log(rolledBack.length > 0
+          ? `\n✅ Rolled back ${rolledBack.length} migration(s)\n`
+          : '✅ Nothing to roll back\n');
+        printStatus(migrator);
+        if (rolledBack.length > 0) {
+          console.log('⚠️  Scripts re-apply pending migrations when they open the database.');
+          console.log('   Check out the matching code before running the pipeline.\n');
+        }
+        break;
+      }
+
+      default:
+        console.error(`❌ Unknown command: ${command} (use status, up or down)`);
+        process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error('   The failed migration was rolled back; restore from data/sqlite/backups/ if needed.');
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+// Run if executed directly
+const isRunningDirectly = process.argv[1] && process.argv[1].endsWith('db-migrate.js');
+if (isRunningDirectly) {
+  main();
+}
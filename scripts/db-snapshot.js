@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * Database Snapshots CLI (snapshot, verify, restore)
+ *
+ * Snapshots are online backups of data/sqlite/crimrxiv.db (safe while other
+ * scripts have it open) stored in data/sqlite/snapshots/ with a sha256
+ * checksum and row counts in a JSON sidecar.
+ *
+ * Optional off-site copy: --upload encrypts the snapshot (AES-256-GCM) with
+ * SNAPSHOT_ENCRYPTION_KEY and uploads it to Arweave via Turbo. Keep the
+ * passphrase somewhere safe - without it the upload can't be read.
+ *
+ * Required .env variables (for --upload / fetch only):
+ * - ARWEAVE_WALLET_PATH: Path to Arweave wallet JWK file
+ * - SNAPSHOT_ENCRYPTION_KEY: Passphrase for the encrypted snapshot
+ *
+ * Usage:
+ *   npm run db:snapshot                         # Take a snapshot
+ *   npm run db:snapshot -- --label=before-reimport
+ *   npm run db:snapshot -- --upload             # ... and upload it encrypted
+ *   node scripts/db-snapshot.js list            # List snapshots
+ *   npm run db:verify                           # Verify the live database
+ *   npm run db:verify -- latest                 # Verify a snapshot (checksum + checks)
+ *   npm run db:restore -- <snapshot name>       # Restore (current DB is snapshotted first)
+ *   node scripts/db-snapshot.js fetch <txId>    # Download + decrypt an uploaded snapshot
+ */
+
+import { SnapshotManager, verifyDatabase } from '../src/lib/db-snapshots.js';
+import { getHttpClient, TURBO_UPLOAD_HOST } from '../src/lib/http-client.js';
+import Database from 'better-sqlite3';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG = {
+  DB_PATH: path.join(__dirname, '../data/sqlite/crimrxiv.db'),
+  WALLET_PATH: process.env.ARWEAVE_WALLET_PATH,
+  ENCRYPTION_KEY: process.env.SNAPSHOT_ENCRYPTION_KEY,
+  GATEWAY: process.env.ARWEAVE_GATEWAY || 'https://arweave.net'
+};
+
+function getArg(name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+function formatSize(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+function printChecks(checks) {
+  for (const check of checks) {
+    console.log(`  ${check.ok ? '✅' : '❌'} ${check.name}: ${check.detail}`);
+  }
+  console.log();
+}
+
+function requireEncryptionKey() {
+  if (!CONFIG.ENCRYPTION_KEY) {
+    console.error('❌ SNAPSHOT_ENCRYPTION_KEY is not set in .env\n');
+    process.exit(1);
+  }
+}
+
+/**
+ * Encrypt a snapshot and upload it to Arweave via Turbo
+ */
+async function uploadSnapshot(manager, metadata) {
+  requireEncryptionKey();
+  if (!CONFIG.WALLET_PATH) {
+    console.error('❌ ARWEAVE_WALLET_PATH is not set in .env\n');
+    process.exit(1);
+  }
+
+  // Loaded here so local snapshots don't need the Turbo SDK
+  const { TurboFactory, ArweaveSigner } = await import('@ardrive/turbo-sdk/node');
+
+  console.log('🔐 Encrypting snapshot...');
+  const plain = await fs.readFile(manager.snapshotPath(metadata.name));
+  const encrypted = SnapshotManager.encrypt(plain, CONFIG.ENCRYPTION_KEY);
+
+  const walletJson = JSON.parse(await fs.readFile(CONFIG.WALLET_PATH, 'utf-8'));
+  const turbo = TurboFactory.authenticated({ signer: new ArweaveSigner(walletJson) });
+
+  console.log(`📤 Uploading ${formatSize(encrypted.length)} to Arweave via Turbo...`);
+  // No automatic retries: a retry after Turbo accepted the data would pay twice
+  const result = await getHttpClient().execute(TURBO_UPLOAD_HOST, () => turbo.uploadFile({
+    fileStreamFactory: () => encrypted,
+    fileSizeFactory: () => encrypted.length,
+    dataItemOpts: {
+      tags: [
+        { name: 'Content-Type', value: 'application/octet-stream' },
+        { name: 'App-Name', value: 'CrimRxiv-Archive' },
+        { name: 'File-Type', value: 'sqlite-snapshot' },
+        { name: 'Encryption', value: 'AES-256-GCM' },
+        { name: 'Snapshot-Name', value: metadata.name }
+      ]
+    }
+  }), { label: `Upload snapshot ${metadata.name}`, maxRetries: 0 });
+
+  if (!result.id) {
+    throw new Error('No transaction ID returned from upload');
+  }
+
+  manager.writeMetadata({ ...metadata, arweave_tx_id: result.id });
+  console.log(`✅ Uploaded: ${result.id}\n`);
+  return result.id;
+}
+
+async function snapshot(manager) {
+  console.log('📸 Taking snapshot...');
+  const metadata = await manager.create({ label: getArg('label') });
+
+  console.log(`✅ Snapshot: ${metadata.name}`);
+  console.log(`   File: ${manager.snapshotPath(metadata.name)}`);
+  console.log(`   Size: ${formatSize(metadata.size_bytes)}`);
+  console.log(`   sha256: ${metadata.sha256}`);
+  console.log(`   Articles: ${metadata.article_count} (${metadata.manifest_tx_id_count} manifest TX IDs), schema v${metadata.schema_version}\n`);
+
+  if (process.argv.includes('--upload')) {
+    await uploadSnapshot(manager, metadata);
+  }
+}
+
+function list(manager) {
+  const snapshots = manager.list();
+  if (snapshots.length === 0) {
+    console.log('No snapshots yet - run npm run db:snapshot\n');
+    return;
+  }
+
+  for (const s of snapshots) {
+    const uploaded = s.arweave_tx_id ? `  ☁️  ${s.arweave_tx_id}` : '';
+    console.log(`${s.name}`);
+    console.log(`   ${s.created_at}  ${formatSize(s.size_bytes)}  ${s.article_count} articles, ${s.manifest_tx_id_count} manifest TX IDs${uploaded}`);
+  }
+  console.log();
+}
+
+async function verify(manager, name) {
+  if (!name) {
+    console.log(`🔍 Verifying live database: ${CONFIG.DB_PATH}\n`);
+    const db = new Database(CONFIG.DB_PATH, { readonly: true, fileMustExist: true });
+    let result;
+    try {
+      result = verifyDatabase(db);
+    } finally {
+      db.close();
+    }
+    printChecks(result.checks);
+    return result.ok;
+  }
+
+  const result = await manager.verifySnapshot(name);
+  console.log(`🔍 Verifying snapshot: ${result.metadata.name}\n`);
+  printChecks(result.checks);
+  return result.ok;
+}
+
+async function restore(manager, name) {
+  if (!name) {
+    console.error('❌ Usage: npm run db:restore -- <snapshot name | latest>\n');
+    process.exit(1);
+  }
+
+  console.log('⚠️  Make sure no import/export/upload script is running.\n');
+  const { restored, safety } = await manager.restore(name, { force: process.argv.includes('--force') });
+
+  if (safety) {
+    console.log(`💾 Previous database saved as: ${safety.name}`);
+  }
+  console.log(`✅ Restored ${restored.name}`);
+  console.log(`   ${restored.article_count} articles, ${restored.manifest_tx_id_count} manifest TX IDs, schema v${restored.schema_version}\n`);
+  console.log('💡 Pending schema migrations are applied the next time a script opens the database.\n');
+}
+
+async function fetchSnapshot(manager, txId) {
+  if (!txId) {
+    console.error('❌ Usage: node scripts/db-snapshot.js fetch <txId>\n');
+    process.exit(1);
+  }
+  requireEncryptionKey();
+
+  console.log(`📥 Downloading ${txId}...`);
+  const response = await getHttpClient().get(`${CONFIG.GATEWAY}/${txId}`, { responseType: 'arraybuffer' });
+
+  console.log('🔓 Decrypting...');
+  const plain = SnapshotManager.decrypt(Buffer.from(response.data), CONFIG.ENCRYPTION_KEY);
+  const metadata = await manager.importBuffer(plain, { txId });
+
+  console.log(`✅ Saved as snapshot: ${metadata.name}`);
+  console.log(`   Restore with: npm run db:restore -- ${metadata.name}\n`);
+}
+
+async function main() {
+  const [command = 'snapshot', name] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+  console.log('\n' + '='.repeat(60));
+  console.log('🗄️  Database Snapshots');
+  console.log('='.repeat(60) + '\n');
+
+  const manager = new SnapshotManager(CONFIG.DB_PATH);
+
+  try {
+    switch (command) {
+      case 'snapshot':
+        await snapshot(manager);
+        break;
+      case 'list':
+        list(manager);
+        break;
+      case 'verify': {
+        const ok = await verify(manager, name);
+        console.log(ok ? '✅ All checks passed\n' : '❌ Verification failed\n');
+        if (!ok) process.exitCode = 1;
+        break;
+      }
+      case 'restore':
+        await restore(manager, name);
+        break;
+      case 'fetch':
+        await fetchSnapshot(manager, name);
+        break;
+      default:
+        console.error(`❌ Unknown command: ${command} (use snapshot, list, verify, restore or fetch)\n`);
+        process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if executed directly
+const isRunningDirectly = process.argv[1] && process.argv[1].endsWith('db-snapshot.js');
+if (isRunningDirectly) {
+  main();
+}
@@ -4,7 +4,8 @@
  * CrimRxiv Archive - Simple Production Deployment
  *
  * This script:
- * 1. Builds the production app
+ * 1. Builds the production app, plus the static OAI-PMH repository
+ *    (data/oai/ from `npm run export:oai`, copied to dist/oai/)
  * 2. Uploads dist/ folder to Arweave using Turbo SDK
  * 3. Updates ArNS root name to point to the new deployment
  *
@@ -25,8 +26,9 @@
 import 'dotenv/config';
 import { TurboFactory, ArweaveSigner } from '@ardrive/turbo-sdk/node';
 import { ANT } from '@ar.io/sdk';
+import { getHttpClient, TURBO_UPLOAD_HOST } from '../src/lib/http-client.js';
 import { execSync } from 'child_process';
-import { readFileSync } from 'fs';
+import { readFileSync, existsSync, cpSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -40,6 +42,7 @@ const APP_VERSION = packageJson.version;
 class Deployer {
   constructor() {
     this.distPath = path.join(__dirname, '../dist');
+    this.oaiPath = path.join(__dirname, '../data/oai');
     this.walletPath = process.env.ARWEAVE_WALLET_PATH;
     this.arnsProcessId = process.env.ARNS_PROCESS_ID;
     this.arnsRootName = process.env.ARNS_ROOT_NAME || 'crimrxiv';
@@ -84,6 +87,21 @@ class Deployer {
       console.error('❌ Build failed:', error.message);
       throw error;
     }
+
+    this.includeOaiRepository();
+  }
+
+  /**
+   * Copy the static OAI-PMH repository into dist/oai/ (served at /oai/)
+   */
+  includeOaiRepository() {
+    if (!existsSync(path.join(this.oaiPath, 'Identify.xml'))) {
+      console.warn('⚠️  No OAI-PMH repository in data/oai/ - run "npm run export:oai" to include it\n');
+      return;
+    }
+
+    cpSync(this.oaiPath, path.join(this.distPath, 'oai'), { recursive: true });
+    console.log('✅ OAI-PMH repository included (dist/oai/)\n');
   }
 
   /**
@@ -111,7 +129,7 @@ class Deployer {
       console.log(`Uploading folder: ${this.distPath}`);
       console.log('This may take several minutes...\n');
 
-      const uploadResult = await turbo.uploadFolder({
+      const uploadResult = await getHttpClient().execute(TURBO_UPLOAD_HOST, () => turbo.uploadFolder({
         folderPath: this.distPath,
         dataItemOpts: {
           tags: [
@@ -121,7 +139,7 @@ class Deployer {
             // Content-Type auto-detected by SDK for each file type (CSS, JS, HTML, etc.)
           ]
         }
-      });
+      }), { label: 'Upload app', maxRetries: 0 });
 
       // Debug: Show upload result structure
       console.log('\n📋 Debug - Upload Result Keys:', Object.keys(uploadResult));
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Export Static OAI-PMH Repository (SQLite → data/oai/)
+ *
+ * Writes one XML file per OAI-PMH response (Identify, ListMetadataFormats,
+ * ListSets, paged ListIdentifiers/ListRecords per set, GetRecord per article)
+ * in oai_dc, for harvesters such as BASE and CORE. See src/lib/oai-pmh.js for
+ * the file layout.
+ *
+ * npm run deploy copies data/oai/ into the app as /oai/. The preview server
+ * answers OAI-PMH requests (/oai?verb=...) from the same files, for testing
+ * with an OAI-PMH validator.
+ *
+ * The Identify baseURL must be a host that dispatches ?verb= requests to
+ * these files (see resolveOaiRequest()). An Arweave manifest can't route
+ * query strings, so there is no default: the app's /oai/ folder would be
+ * advertised to harvesters without answering a single request.
+ *
+ * .env variables:
+ * - OAI_BASE_URL: Repository base URL (required unless --base-url is given)
+ * - OAI_ADMIN_EMAIL: Identify adminEmail (default consortium@crimrxiv.com)
+ *
+ * Usage:
+ *   npm run export:oai                                           # Uses OAI_BASE_URL
+ *   npm run export:oai -- --base-url=http://localhost:4174/oai   # For local validation
+ *   npm run export:oai -- --page-size=50
+ */
+
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CrimRxivDatabase } from '../src/lib/database.js';
+import { OaiPmhRepository } from '../src/lib/oai-pmh.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG = {
+  OUTPUT_DIR: path.join(__dirname, '../data/oai'),
+  BASE_URL: process.env.OAI_BASE_URL || null,
+  ADMIN_EMAIL: process.env.OAI_ADMIN_EMAIL || 'consortium@crimrxiv.com',
+  PAGE_SIZE: 100
+};
+
+function getArg(name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+async function main() {
+  const baseUrl = getArg('base-url') || CONFIG.BASE_URL;
+  const pageSize = parseInt(getArg('page-size') || CONFIG.PAGE_SIZE, 10);
+
+  if (!baseUrl) {
+    console.error('❌ No OAI-PMH base URL: set OAI_BASE_URL (or --base-url=) to a host that answers ?verb= requests');
+    console.error('   The Arweave app can\'t route OAI-PMH query strings, so it is not used as a default.');
+    console.error('   For local validation: npm run export:oai -- --base-url=http://localhost:4174/oai\n');
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log('🏛️  Static OAI-PMH Repository');
+  console.log('='.repeat(60) + '\n');
+  console.log(`Base URL: ${baseUrl}`);
+  console.log(`Page size: ${pageSize}\n`);
+
+  const db = new CrimRxivDatabase();
+  db.initialize();
+  console.log();
+
+  try {
+    const repository = new OaiPmhRepository({ baseUrl, adminEmail: CONFIG.ADMIN_EMAIL, pageSize });
+    repository.addArticles(db.getLatestArticles());
+
+    const deleted = repository.items.filter(item => item.deleted).length;
+    console.log(`📊 Records: ${repository.items.length} (${deleted} deleted)`);
+    console.log(`   Sets: ${repository.sets.size}\n`);
+
+    // Start from an empty folder so pages of a shrunk list don't linger
+    await fs.rm(CONFIG.OUTPUT_DIR, { recursive: true, force: true });
+
+    let written = 0;
+    let totalBytes = 0;
+    for (const file of repository.files()) {
+      const filePath = path.join(CONFIG.OUTPUT_DIR, file.path);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, file.xml);
+      written++;
+      totalBytes += Buffer.byteLength(file.xml);
+    }
+
+    console.log(`💾 Written: ${written} files to ${CONFIG.OUTPUT_DIR} (${(totalBytes / 1024 / 1024).toFixed(2)} MB)`);
+
+    console.log('\n💡 Next steps:');
+    console.log('  1. Validate locally: npm run preview, then http://localhost:4174/oai?verb=Identify');
+    console.log('  2. Deploy with the app (npm run deploy) and serve the files at the base URL\n');
+  } catch (error) {
+    console.error('❌ OAI-PMH export failed:', error);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+// Run if executed directly
+const isRunningDirectly = process.argv[1] && process.argv[1].endsWith('export-oai.js');
+if (isRunningDirectly) {
+  main();
+}
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Export Scholarly Metadata (SQLite → BibTeX, RIS, CSL-JSON, JSON-LD)
+ *
+ * Writes the latest version of every active article to public/data/scholarly/:
+ * - crimrxiv.bib        BibTeX
+ * - crimrxiv.ris        RIS
+ * - crimrxiv.csl.json   CSL-JSON (Zotero, Mendeley, citeproc)
+ * - crimrxiv.jsonld     schema.org JSON-LD graph
+ *
+ * Withdrawn and removed articles are left out. The files are uploaded with
+ * the Parquet data (npm run upload:parquet).
+ *
+ * Usage:
+ *   npm run export:scholarly
+ *   npm run export:scholarly -- --formats=bib,ris   # Only some formats
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CrimRxivDatabase } from '../src/lib/database.js';
+import { toRecord, toBibtex, toRis, toCsl, toJsonLd } from '../src/lib/scholarly-formats.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG = {
+  OUTPUT_DIR: path.join(__dirname, '../public/data/scholarly'),
+  BASENAME: 'crimrxiv'
+};
+
+// Format id → file extension + serializer for the whole archive
+const FORMATS = {
+  bib: {
+    extension: 'bib',
+    serialize: records => records.map(toBibtex).join('\n\n') + '\n'
+  },
+  ris: {
+    extension: 'ris',
+    serialize: records => records.map(toRis).join('\r\n\r\n') + '\r\n'
+  },
+  csl: {
+    extension: 'csl.json',
+    serialize: records => JSON.stringify(records.map(toCsl), null, 2)
+  },
+  jsonld: {
+    extension: 'jsonld',
+    serialize: records => JSON.stringify({
+      '@context': 'https://schema.org',
+      '@graph': records.map(toJsonLd)
+    }, null, 2)
+  }
+};
+
+function getArg(name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+async function main() {
+  const formats = getArg('formats') ? getArg('formats').split(',').map(f => f.trim()) : Object.keys(FORMATS);
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📚 Scholarly Metadata Export');
+  console.log('='.repeat(60) + '\n');
+
+  const unknown = formats.filter(format => !FORMATS[format]);
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown format(s): ${unknown.join(', ')} (use ${Object.keys(FORMATS).join(', ')})\n`);
+    process.exit(1);
+  }
+
+  const db = new CrimRxivDatabase();
+  db.initialize();
+  console.log();
+
+  try {
+    const articles = db.getLatestArticles().filter(article => (article.status || 'active') === 'active');
+    const records = articles.map(toRecord);
+
+    console.log(`📊 Articles: ${records.length}`);
+    console.log(`   With DOI: ${records.filter(r => r.doi).length}`);
+    console.log(`   With ORCID authors: ${records.filter(r => r.authors.some(a => a.orcid)).length}`);
+    console.log(`   Version of external publications: ${records.filter(r => r.versionOf.length > 0).length}\n`);
+
+    await fs.mkdir(CONFIG.OUTPUT_DIR, { recursive: true });
+
+    for (const format of formats) {
+      const { extension, serialize } = FORMATS[format];
+      const outputPath = path.join(CONFIG.OUTPUT_DIR, `${CONFIG.BASENAME}.${extension}`);
+      const content = serialize(records);
+      await fs.writeFile(outputPath, content);
+
+      const sizeMB = (Buffer.byteLength(content) / 1024 / 1024).toFixed(2);
+      console.log(`💾 Written: ${outputPath} (${sizeMB} MB)`);
+    }
+
+    console.log('\n💡 Next steps:');
+    console.log('  Upload with the Parquet data: npm run upload:parquet\n');
+  } catch (error) {
+    console.error('❌ Scholarly export failed:', error);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+// Run if executed directly
+const isRunningDirectly = process.argv[1] && process.argv[1].endsWith('export-scholarly.js');
+if (isRunningDirectly) {
+  main();
+}
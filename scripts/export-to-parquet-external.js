@@ -10,15 +10,37 @@
  * - Parquet file is uploaded to Arweave and accessed via ArNS undername
  *
  * Generates:
- * - metadata.parquet (~5MB) - All latest articles with manifest_tx_id references
+ * - metadata/year={YYYY}/data.parquet - Latest articles with manifest_tx_id references,
+ *   one Hive-style partition per publication year (the base snapshot)
+ * - index.parquet - Small slug → partition (year) index with the columns needed
+ *   to pick partitions (dates, content_type), so the browser only downloads
+ *   the partitions a page needs
+ * - deltas/delta-{NNNN}.parquet - Articles added or changed since the previous
+ *   export (diffed against export_rows), merged over the base by the browser
+ *   (latest wins by article_id). A new base is written instead with --full,
+ *   when articles were removed, or when deltas accumulate (MAX_DELTAS,
+ *   COMPACT_RATIO), so a small import only adds a small file to upload
+ * - authors.parquet - Author dimension (stable author_id, ORCID, name variants, articles)
+ * - release.json - Data release manifest (schema version, columns, row count,
+ *   content hash, export timestamp, source commit), checked by the browser
+ *   against src/config/data-release.js and recorded in export_batches
+ * - ../fulltext/fulltext.parquet - Optional slug + normalized body text for
+ *   in-browser full-text search. Kept out of public/data/ because it is much
+ *   larger; it is uploaded under its own ArNS undername and only downloaded
+ *   when a reader runs a full-text search
  *
  * Usage:
  *   npm run export
+ *   npm run export -- --no-fulltext    # Skip fulltext.parquet
+ *   npm run export -- --full           # Write a new base snapshot (compact deltas)
  */
 
 import { CrimRxivDatabase } from '../src/lib/database.js';
+import { DATA_SCHEMA_VERSION, checkReleaseCompatibility } from '../src/config/data-release.js';
 import duckdb from 'duckdb';
 import path from 'path';
+import crypto from 'crypto';
+import { execSync } from 'child_process';
 import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
 import dotenv from 'dotenv';
@@ -30,6 +52,12 @@ const __dirname = path.dirname(__filename);
 
 const CONFIG = {
   OUTPUT_DIR: path.join(__dirname, '../public/data'),  // Single source: used by dev, build, and upload
+  PARTITION_DIR: 'metadata',  // {OUTPUT_DIR}/metadata/year={YYYY}/data.parquet
+  DELTA_DIR: 'deltas',        // {OUTPUT_DIR}/deltas/delta-{NNNN}.parquet
+  YEAR_EXPR: 'year(COALESCE(published_at, created_at))',  // Partition year (created_at when never published)
+  MAX_DELTAS: 10,             // Compact into a new base after this many deltas...
+  COMPACT_RATIO: 0.2,         // ...or when deltas hold more rows than this share of the base
+  FULLTEXT_DIR: path.join(__dirname, '../public/fulltext'),  // Uploaded separately (upload:fulltext)
   COMPRESSION: 'ZSTD',       // Best for web delivery
   ROW_GROUP_SIZE: 100000     // Optimize for queries
 };
@@ -66,10 +94,45 @@ class ParquetExporter {
   }
 
   /**
-   * Export metadata.parquet
+   * Run a DuckDB statement
+   */
+  run(sql) {
+    return new Promise((resolve, reject) => {
+      this.duckConn.run(sql, (err) => err ? reject(err) : resolve());
+    });
+  }
+
+  /**
+   * Run a DuckDB query
+   */
+  all(sql) {
+    return new Promise((resolve, reject) => {
+      this.duckConn.all(sql, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+  }
+
+  /**
+   * Write a query result to a Parquet file
+   * @returns {number} File size in bytes
+   */
+  async copyToParquet(query, outputPath) {
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await this.run(`
+      COPY (${query})
+      TO '${outputPath.replace(/\\/g, '/')}'
+      (FORMAT PARQUET, COMPRESSION '${CONFIG.COMPRESSION}', ROW_GROUP_SIZE ${CONFIG.ROW_GROUP_SIZE})
+    `);
+    const stats = await fs.stat(outputPath);
+    return stats.size;
+  }
+
+  /**
+   * Export metadata: a new base snapshot (metadata/year={YYYY}/data.parquet +
+   * index.parquet), or a delta file with only the articles whose exported row
+   * changed since the last export (deltas/delta-{NNNN}.parquet)
    */
   async exportMetadata() {
-    console.log('📋 Exporting metadata.parquet...\n');
+    console.log('📋 Exporting metadata...\n');
 
     const latestArticles = this.db.getLatestArticles();
 
@@ -78,101 +141,362 @@ class ParquetExporter {
       return;
     }
 
-    const outputPath = path.join(CONFIG.OUTPUT_DIR, 'metadata.parquet');
+    // Version info comes from recorded PubPub releases (same numbering as
+    // crimrxiv.com); articles not re-imported since then keep version_number
+    const releases = this.db.getReleaseSummaries();
+
+    const rows = latestArticles.map(article => {
+      const release = releases.get(article.article_id);
+      const values = this.toMetadataRow({
+        ...article,
+        version_number: release ? release.latest : article.version_number,
+        version_timestamp: release?.latestCreatedAt || article.version_timestamp,
+        has_multiple_versions: release ? release.count > 1 : article.version_number > 1,
+        abstract: article.abstract || '',
+        abstract_preview: article.abstract ? article.abstract.substring(0, 500) : ''
+      });
 
-    // Add has_multiple_versions flag (based on version_number) and full abstract
-    const enrichedArticles = latestArticles.map(article => ({
-      ...article,
-      has_multiple_versions: article.version_number > 1,  // True if article has been revised
-      abstract: article.abstract || '',
-      abstract_preview: article.abstract ? article.abstract.substring(0, 500) : ''
-    }));
+      return {
+        id: article.id,
+        article_id: article.article_id,
+        values,
+        row_hash: crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex')
+      };
+    });
+
+    // Diff against the rows recorded by the last export batch
+    const previous = await this.readPreviousRelease();
+    const exported = this.db.getExportRowHashes();
+    const changed = rows.filter(row => exported.get(row.article_id) !== row.row_hash);
+    const baseReason = await this.getBaseReason(previous, exported, rows, changed);
+
+    if (baseReason) {
+      console.log(`  🧱 Writing a new base snapshot (${baseReason})\n`);
+      await this.fillMetadataTemp(rows);
+      const base = await this.writeBase();
+
+      return {
+        kind: 'base',
+        articles: rows.length,
+        written: rows,
+        partitions: base.partitions,
+        sizeMB: base.sizeMB,
+        base: {
+          batch_name: this.batchName,
+          exported_at: this.exportedAt,
+          row_count: rows.length
+        },
+        deltas: []
+      };
+    }
+
+    const deltas = previous.deltas || [];
+    const partitions = await this.countPartitions();
+
+    if (changed.length === 0) {
+      console.log(`  ✅ No changed articles since the last export, no delta written (${deltas.length} existing)\n`);
+      return { kind: 'delta', articles: rows.length, written: [], partitions, sizeMB: '0.00', base: previous.base, deltas };
+    }
+
+    const seq = deltas.length > 0 ? deltas[deltas.length - 1].seq + 1 : 1;
+    const deltaPath = `${CONFIG.DELTA_DIR}/delta-${String(seq).padStart(4, '0')}.parquet`;
+
+    await this.fillMetadataTemp(changed);
+    const size = await this.copyToParquet(`
+      SELECT *, CAST(${CONFIG.YEAR_EXPR} AS INTEGER) as year
+      FROM metadata_temp
+      ORDER BY published_at DESC
+    `, path.join(CONFIG.OUTPUT_DIR, deltaPath));
+    const sizeMB = (size / 1024 / 1024).toFixed(2);
+
+    console.log(`  📊 Changed articles: ${changed.length} of ${rows.length}`);
+    console.log(`  💾 Size: ${(size / 1024).toFixed(1)} KB`);
+    console.log(`  ✅ Written: ${path.join(CONFIG.OUTPUT_DIR, deltaPath)} (delta ${deltas.length + 1} on the base from ${previous.base.exported_at})\n`);
+
+    return {
+      kind: 'delta',
+      articles: rows.length,
+      written: changed,
+      partitions,
+      sizeMB,
+      base: previous.base,
+      deltas: [...deltas, {
+        seq,
+        path: deltaPath,
+        rows: changed.length,
+        batch_name: this.batchName,
+        exported_at: this.exportedAt
+      }]
+    };
+  }
+
+  /**
+   * Why a new base snapshot is needed instead of a delta (null when a delta will do)
+   */
+  async getBaseReason(previous, exported, rows, changed) {
+    if (process.argv.includes('--full')) return '--full';
+    if (!previous) return 'no previous release.json';
+    if (previous.schema_version !== DATA_SCHEMA_VERSION) return `schema v${previous.schema_version} → v${DATA_SCHEMA_VERSION}`;
+    if (!previous.base) return 'previous release has no base snapshot';
+    if (exported.size === 0) return 'no rows recorded for the last export';
+
+    try {
+      await fs.access(path.join(CONFIG.OUTPUT_DIR, 'index.parquet'));
+    } catch (error) {
+      return 'base files missing';
+    }
+
+    // Deltas only add or replace rows
+    const current = new Set(rows.map(row => row.article_id));
+    const removed = [...exported.keys()].filter(articleId => !current.has(articleId));
+    if (removed.length > 0) return `${removed.length} article(s) no longer exported`;
+
+    // Compact when deltas accumulate
+    const deltas = previous.deltas || [];
+    if (changed.length === 0) return null;
+    if (deltas.length >= CONFIG.MAX_DELTAS) return `${deltas.length} deltas, compacting`;
+
+    const deltaRows = deltas.reduce((sum, delta) => sum + delta.rows, 0) + changed.length;
+    if (deltaRows > previous.base.row_count * CONFIG.COMPACT_RATIO) {
+      return `deltas hold ${deltaRows} rows (over ${CONFIG.COMPACT_RATIO * 100}% of the base), compacting`;
+    }
+
+    return null;
+  }
+
+  /**
+   * release.json of the last export (null if missing or unreadable)
+   */
+  async readPreviousRelease() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(CONFIG.OUTPUT_DIR, 'release.json'), 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Number of year partitions in the current base
+   */
+  async countPartitions() {
+    const entries = await fs.readdir(path.join(CONFIG.OUTPUT_DIR, CONFIG.PARTITION_DIR));
+    return entries.filter(entry => entry.startsWith('year=')).length;
+  }
+
+  /**
+   * Values for metadata_temp, in column order
+   */
+  toMetadataRow(article) {
+    return [
+      article.article_id,
+      article.slug,
+      article.title,
+      article.description,
+      article.abstract,
+      article.abstract_preview,
+      article.authors_json,
+      article.author_count,
+      article.keywords_json,
+      article.collections_json,
+      article.collection_count,
+      article.content_type || 'research',
+      article.doi,
+      article.license,
+      article.avatar || null,
+      article.created_at,
+      article.updated_at,
+      article.published_at,
+      article.url,
+      article.pdf_url,
+      article.version_number,
+      article.version_timestamp,
+      article.has_multiple_versions,
+      article.manifest_tx_id,
+      article.word_count || 0,
+      article.attachment_count || 0,
+      article.reference_count || 0,
+      article.citation_count || 0,
+      article.external_publications_json || null,
+      article.references_json || null,
+      article.citations_json || null,
+      article.status || 'active',
+      article.status_changed_at || null
+    ];
+  }
+
+  /**
+   * (Re)create metadata_temp holding the given rows
+   */
+  async fillMetadataTemp(rows) {
+    await this.run('DROP TABLE IF EXISTS metadata_temp');
+    await this.run(`
+      CREATE TABLE metadata_temp (
+        article_id VARCHAR,
+        slug VARCHAR,
+        title VARCHAR,
+        description VARCHAR,
+        abstract VARCHAR,
+        abstract_preview VARCHAR,
+        authors_json VARCHAR,
+        author_count INTEGER,
+        keywords_json VARCHAR,
+        collections_json VARCHAR,
+        collection_count INTEGER,
+        content_type VARCHAR,
+        doi VARCHAR,
+        license VARCHAR,
+        avatar VARCHAR,
+        created_at TIMESTAMP,
+        updated_at TIMESTAMP,
+        published_at TIMESTAMP,
+        url VARCHAR,
+        pdf_url VARCHAR,
+        version_number INTEGER,
+        version_timestamp TIMESTAMP,
+        has_multiple_versions BOOLEAN,
+        manifest_tx_id VARCHAR,
+        word_count INTEGER,
+        attachment_count INTEGER,
+        reference_count INTEGER,
+        citation_count INTEGER,
+        external_publications_json VARCHAR,
+        references_json VARCHAR,
+        citations_json VARCHAR,
+        status VARCHAR,
+        status_changed_at TIMESTAMP
+      )
+    `);
+
+    const stmt = this.duckConn.prepare(`
+      INSERT INTO metadata_temp VALUES (
+        ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+        ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+        ?, ?, ?, ?, ?, ?, ?, ?, ?
+      )
+    `);
+    for (const row of rows) {
+      stmt.run(...row.values);
+    }
+    await new Promise((resolve, reject) => stmt.finalize(err => err ? reject(err) : resolve()));
+  }
+
+  /**
+   * Write the base snapshot from metadata_temp: one partition per
+   * publication year + index.parquet. Removes the previous base and deltas.
+   */
+  async writeBase() {
+    const partitionRoot = path.join(CONFIG.OUTPUT_DIR, CONFIG.PARTITION_DIR);
+
+    // Start clean so years that no longer have articles don't linger,
+    // drop the deltas now folded into the base and the single-file export
+    // used before partitioning
+    await fs.rm(partitionRoot, { recursive: true, force: true });
+    await fs.rm(path.join(CONFIG.OUTPUT_DIR, CONFIG.DELTA_DIR), { recursive: true, force: true });
+    await fs.rm(path.join(CONFIG.OUTPUT_DIR, 'metadata.parquet'), { force: true });
+
+    const years = await this.all(`
+      SELECT ${CONFIG.YEAR_EXPR} as year, COUNT(*) as count
+      FROM metadata_temp
+      GROUP BY 1
+      ORDER BY 1 DESC
+    `);
+
+    let totalBytes = 0;
+    for (const { year, count } of years) {
+      // The year lives in the path (Hive-style), not in the file
+      const partitionPath = path.join(partitionRoot, `year=${year}`, 'data.parquet');
+      const size = await this.copyToParquet(`
+        SELECT * FROM metadata_temp
+        WHERE ${CONFIG.YEAR_EXPR} = ${year}
+        ORDER BY published_at DESC
+      `, partitionPath);
+
+      totalBytes += size;
+      console.log(`  📁 year=${year}: ${count} articles, ${(size / 1024).toFixed(1)} KB`);
+    }
+
+    const indexPath = path.join(CONFIG.OUTPUT_DIR, 'index.parquet');
+    const indexSize = await this.copyToParquet(`
+      SELECT
+        slug,
+        article_id,
+        CAST(${CONFIG.YEAR_EXPR} AS INTEGER) as year,
+        published_at,
+        version_timestamp,
+        content_type,
+        author_count
+      FROM metadata_temp
+      ORDER BY published_at DESC
+    `, indexPath);
+    totalBytes += indexSize;
+
+    const sizeMB = (totalBytes / 1024 / 1024).toFixed(2);
+    const [{ count }] = await this.all('SELECT COUNT(*) as count FROM metadata_temp');
+
+    console.log(`\n  📊 Articles: ${count} in ${years.length} partitions`);
+    console.log(`  🗂️  Index: ${(indexSize / 1024).toFixed(1)} KB`);
+    console.log(`  💾 Total size: ${sizeMB} MB`);
+    console.log(`  ✅ Written: ${partitionRoot}/ + ${indexPath}\n`);
+
+    return { partitions: years.length, sizeMB };
+  }
+
+  /**
+   * Export authors.parquet (author dimension from the authors tables)
+   */
+  async exportAuthors() {
+    console.log('👥 Exporting authors.parquet...\n');
+
+    const authors = this.db.getAuthorsForExport();
+
+    if (authors.length === 0) {
+      console.log('⚠️  No authors to export\n');
+      return { authors: 0, sizeMB: '0.00' };
+    }
+
+    const outputPath = path.join(CONFIG.OUTPUT_DIR, 'authors.parquet');
 
     return new Promise((resolve, reject) => {
-      // Create temporary table
-      this.duckConn.run('DROP TABLE IF EXISTS metadata_temp', (err) => {
+      this.duckConn.run('DROP TABLE IF EXISTS authors_temp', (err) => {
         if (err) return reject(err);
 
         this.duckConn.run(`
-          CREATE TABLE metadata_temp (
-            article_id VARCHAR,
-            slug VARCHAR,
-            title VARCHAR,
-            description VARCHAR,
-            abstract VARCHAR,
-            abstract_preview VARCHAR,
-            authors_json VARCHAR,
-            author_count INTEGER,
-            keywords_json VARCHAR,
-            collections_json VARCHAR,
-            collection_count INTEGER,
-            doi VARCHAR,
-            license VARCHAR,
-            avatar VARCHAR,
-            created_at TIMESTAMP,
-            updated_at TIMESTAMP,
-            published_at TIMESTAMP,
-            url VARCHAR,
-            pdf_url VARCHAR,
-            version_number INTEGER,
-            version_timestamp TIMESTAMP,
-            has_multiple_versions BOOLEAN,
-            manifest_tx_id VARCHAR,
-            word_count INTEGER,
-            attachment_count INTEGER,
-            reference_count INTEGER,
-            citation_count INTEGER,
-            external_publications_json VARCHAR
+          CREATE TABLE authors_temp (
+            author_id VARCHAR,
+            orcid VARCHAR,
+            name VARCHAR,
+            affiliation VARCHAR,
+            name_variants_json VARCHAR,
+            article_count INTEGER,
+            article_slugs_json VARCHAR,
+            first_published_at TIMESTAMP,
+            last_published_at TIMESTAMP
           )
         `, (err) => {
           if (err) return reject(err);
 
           const stmt = this.duckConn.prepare(`
-            INSERT INTO metadata_temp VALUES (
-              ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
-              ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
-              ?, ?, ?, ?
-            )
+            INSERT INTO authors_temp VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
           `);
 
-          for (const article of enrichedArticles) {
+          for (const author of authors) {
             stmt.run(
-              article.article_id,
-              article.slug,
-              article.title,
-              article.description,
-              article.abstract,
-              article.abstract_preview,
-              article.authors_json,
-              article.author_count,
-              article.keywords_json,
-              article.collections_json,
-              article.collection_count,
-              article.doi,
-              article.license,
-              article.avatar || null,
-              article.created_at,
-              article.updated_at,
-              article.published_at,
-              article.url,
-              article.pdf_url,
-              article.version_number,
-              article.version_timestamp,
-              article.has_multiple_versions,
-              article.manifest_tx_id,
-              article.word_count || 0,
-              article.attachment_count || 0,
-              article.reference_count || 0,
-              article.citation_count || 0,
-              article.external_publications_json || null
+              author.author_id,
+              author.orcid || null,
+              author.name,
+              author.affiliation || null,
+              author.name_variants_json,
+              author.article_count,
+              author.article_slugs_json,
+              author.first_published_at,
+              author.last_published_at
             );
           }
 
           stmt.finalize();
 
-          // Export to Parquet
           this.duckConn.run(`
-            COPY (SELECT * FROM metadata_temp ORDER BY published_at DESC)
+            COPY (SELECT * FROM authors_temp ORDER BY name)
             TO '${outputPath.replace(/\\/g, '/')}'
             (FORMAT PARQUET, COMPRESSION '${CONFIG.COMPRESSION}')
           `, async (err) => {
@@ -181,25 +505,179 @@ class ParquetExporter {
             const stats = await fs.stat(outputPath);
             const sizeMB = (stats.size / 1024 / 1024).toFixed(2);
 
-            console.log(`  📊 Articles: ${latestArticles.length}`);
+            console.log(`  📊 Authors: ${authors.length}`);
             console.log(`  💾 Size: ${sizeMB} MB`);
             console.log(`  ✅ Written: ${outputPath}\n`);
 
-            resolve({ articles: latestArticles.length, sizeMB });
+            resolve({ authors: authors.length, sizeMB });
           });
         });
       });
     });
   }
 
+  /**
+   * Export fulltext.parquet (slug + normalized body text)
+   */
+  async exportFulltext() {
+    console.log('🔎 Exporting fulltext.parquet...\n');
+
+    const latestArticles = this.db.getLatestArticles();
+    const outputPath = path.join(CONFIG.FULLTEXT_DIR, 'fulltext.parquet');
+
+    // NFKC folds ligatures and full-width characters so "ﬁeld" matches "field"
+    const rows = latestArticles
+      .map(article => ({
+        slug: article.slug,
+        content: (article.content_text_full || article.content_text || '')
+          .normalize('NFKC')
+          .replace(/\s+/g, ' ')
+          .trim()
+      }))
+      .filter(row => row.content.length > 0);
+
+    if (rows.length === 0) {
+      console.log('⚠️  No article text to export\n');
+      return { articles: 0, sizeMB: '0.00' };
+    }
+
+    await this.run('DROP TABLE IF EXISTS fulltext_temp');
+    await this.run('CREATE TABLE fulltext_temp (slug VARCHAR, content VARCHAR)');
+
+    const stmt = this.duckConn.prepare('INSERT INTO fulltext_temp VALUES (?, ?)');
+    for (const row of rows) {
+      stmt.run(row.slug, row.content);
+    }
+    await new Promise((resolve, reject) => stmt.finalize(err => err ? reject(err) : resolve()));
+
+    const size = await this.copyToParquet('SELECT * FROM fulltext_temp ORDER BY slug', outputPath);
+    const sizeMB = (size / 1024 / 1024).toFixed(2);
+
+    console.log(`  📊 Articles with text: ${rows.length} of ${latestArticles.length}`);
+    console.log(`  💾 Size: ${sizeMB} MB`);
+    console.log(`  ✅ Written: ${outputPath}\n`);
+
+    return { articles: rows.length, sizeMB };
+  }
+
+  /**
+   * Columns of a Parquet read the way the browser reads it
+   */
+  async describeParquet(pattern, hivePartitioning = false) {
+    const rows = await this.all(`
+      DESCRIBE SELECT * FROM parquet_scan('${pattern.replace(/\\/g, '/')}'${hivePartitioning ? ', hive_partitioning = true' : ''})
+    `);
+    return rows.map(row => ({ name: row.column_name, type: row.column_type }));
+  }
+
+  /**
+   * Commit the export was made from (null outside a git checkout)
+   */
+  getSourceCommit() {
+    try {
+      const options = { cwd: path.join(__dirname, '..'), stdio: ['ignore', 'pipe', 'ignore'] };
+      const commit = execSync('git rev-parse HEAD', options).toString().trim();
+      const dirty = execSync('git status --porcelain', options).toString().trim().length > 0;
+      return dirty ? `${commit}-dirty` : commit;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Write release.json for the files in OUTPUT_DIR and record the batch
+   */
+  async writeRelease(result) {
+    console.log('🏷️  Writing release.json...\n');
+
+    const partitionGlob = path.join(CONFIG.OUTPUT_DIR, CONFIG.PARTITION_DIR, '*', 'data.parquet');
+    const authorsPath = path.join(CONFIG.OUTPUT_DIR, 'authors.parquet');
+    const deltaGlob = path.join(CONFIG.OUTPUT_DIR, CONFIG.DELTA_DIR, '*.parquet');
+    const columns = {
+      metadata: await this.describeParquet(partitionGlob, true),
+      index: await this.describeParquet(path.join(CONFIG.OUTPUT_DIR, 'index.parquet')),
+      delta: result.deltas.length > 0 ? await this.describeParquet(deltaGlob) : [],
+      authors: result.authors > 0 ? await this.describeParquet(authorsPath) : []
+    };
+
+    const release = {
+      schema_version: DATA_SCHEMA_VERSION,
+      batch_name: this.batchName,
+      exported_at: this.exportedAt,
+      source_commit: this.getSourceCommit(),
+      row_count: result.articles,
+      content_hash: null,
+      base: result.base,
+      deltas: result.deltas,
+      files: [],
+      columns
+    };
+
+    // Same check the browser runs, so a broken layout never gets uploaded
+    const problems = checkReleaseCompatibility(release);
+    if (problems.length > 0) {
+      throw new Error(`Export does not match src/config/data-release.js: ${problems.join('; ')}`);
+    }
+
+    // One hash over every file (path + bytes, sorted), so any change shows up
+    const files = (await fs.readdir(CONFIG.OUTPUT_DIR, { recursive: true }))
+      .filter(file => file.endsWith('.parquet'))
+      .map(file => file.split(path.sep).join('/'))
+      .sort();
+    const hash = crypto.createHash('sha256');
+    for (const file of files) {
+      const buffer = await fs.readFile(path.join(CONFIG.OUTPUT_DIR, file));
+      hash.update(file).update(buffer);
+      release.files.push({ path: file, bytes: buffer.length });
+    }
+    release.content_hash = `sha256:${hash.digest('hex')}`;
+
+    const releasePath = path.join(CONFIG.OUTPUT_DIR, 'release.json');
+    await fs.writeFile(releasePath, JSON.stringify(release, null, 2));
+
+    const totalBytes = release.files.reduce((sum, file) => sum + file.bytes, 0);
+    this.db.recordExportBatch({
+      batchName: this.batchName,
+      exportDate: release.exported_at,
+      articleCount: result.written.length,
+      filePath: releasePath,
+      fileSizeBytes: totalBytes,
+      fileSizeMB: Number((totalBytes / 1024 / 1024).toFixed(2)),
+      schemaVersion: release.schema_version,
+      contentHash: release.content_hash,
+      sourceCommit: release.source_commit,
+      columns,
+      kind: result.kind
+    });
+
+    // What the next export diffs against
+    this.db.recordExportRows(result.written, this.batchName, { reset: result.kind === 'base' });
+    this.db.markAsExported(result.written.map(row => row.id), this.batchName);
+
+    console.log(`  🏷️  Schema: v${release.schema_version}`);
+    console.log(`  🧱 Base: ${release.base.row_count} articles from ${release.base.exported_at}, ${release.deltas.length} delta(s)`);
+    console.log(`  🔑 Content hash: ${release.content_hash}`);
+    console.log(`  🔖 Source commit: ${release.source_commit || 'unknown'}`);
+    console.log(`  ✅ Written: ${releasePath} (recorded in export_batches)\n`);
+
+    return release;
+  }
+
   /**
    * Main export workflow
    */
   async export() {
     const startTime = Date.now();
+    this.exportedAt = new Date().toISOString();
+    this.batchName = `release-${this.exportedAt}`;
 
     // Export metadata
     const result = await this.exportMetadata();
+    const authorsResult = await this.exportAuthors();
+    const fulltextResult = process.argv.includes('--no-fulltext')
+      ? null
+      : await this.exportFulltext();
+    const release = await this.writeRelease({ ...result, authors: authorsResult.authors });
 
     // Print summary
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -208,17 +686,34 @@ class ParquetExporter {
     console.log('='.repeat(60));
     console.log('✅ EXPORT COMPLETE!');
     console.log('='.repeat(60));
-    console.log(`Articles Exported: ${result.articles}`);
-    console.log(`File Size: ${result.sizeMB} MB`);
+    console.log(`Articles: ${result.articles} (${result.partitions} year partitions)`);
+    console.log(result.kind === 'base'
+      ? `Export: new base snapshot (${result.sizeMB} MB)`
+      : `Export: ${result.written.length} changed article(s) as a delta (${result.sizeMB} MB, ${result.deltas.length} delta(s) on the base)`);
+    console.log(`Release: schema v${release.schema_version}, ${release.content_hash.substring(0, 19)}…`);
+    console.log(`Authors Exported: ${authorsResult.authors} (${authorsResult.sizeMB} MB)`);
+    console.log(fulltextResult
+      ? `Full Text Exported: ${fulltextResult.articles} (${fulltextResult.sizeMB} MB)`
+      : 'Full Text: skipped (--no-fulltext)');
     console.log(`Duration: ${duration} seconds`);
     console.log('');
     console.log('Database Statistics:');
     console.log(`  Total Articles: ${stats.total_articles}`);
     console.log(`  Latest Versions: ${stats.latest_articles}`);
     console.log('');
-    console.log('Output File:');
-    console.log(`  ${CONFIG.OUTPUT_DIR}/metadata.parquet`);
+    console.log('Output Files:');
+    console.log(`  ${CONFIG.OUTPUT_DIR}/index.parquet`);
+    console.log(`  ${CONFIG.OUTPUT_DIR}/${CONFIG.PARTITION_DIR}/year=*/data.parquet`);
+    if (result.deltas.length > 0) {
+      console.log(`  ${CONFIG.OUTPUT_DIR}/${CONFIG.DELTA_DIR}/delta-*.parquet`);
+    }
+    console.log(`  ${CONFIG.OUTPUT_DIR}/authors.parquet`);
+    console.log(`  ${CONFIG.OUTPUT_DIR}/release.json`);
     console.log(`  (Used by dev, build, and Arweave upload)`);
+    if (fulltextResult) {
+      console.log(`  ${CONFIG.FULLTEXT_DIR}/fulltext.parquet`);
+      console.log(`  (Uploaded separately: npm run upload:fulltext)`);
+    }
     console.log('='.repeat(60) + '\n');
 
     const arnsDataUndername = process.env.ARNS_DATA_UNDERNAME || 'data';
@@ -229,7 +724,9 @@ class ParquetExporter {
     console.log('  1. Deploy to Arweave: npm run deploy');
     console.log('');
     console.log('     Or use advanced workflow:');
+    console.log('     - Reference-manager dumps (optional): npm run export:scholarly');
     console.log('     - Upload resources: npm run upload:parquet');
+    console.log('     - Upload full-text index: npm run upload:fulltext');
     console.log('     - Deploy app: npm run deploy');
     console.log('');
     console.log('  2. Test locally first: npm run dev');
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Keyword Extraction (SQLite → keywords_json)
+ *
+ * Fills keywords_json for every article version that has no PubPub-provided
+ * keywords, using TF-IDF over content_text. Document frequencies are computed
+ * across the whole corpus (latest version of each article), so re-run this
+ * after each import; extracted keywords are recomputed, provided ones are kept.
+ *
+ * Usage:
+ *   npm run keywords
+ *   node scripts/extract-keywords.js --max=10  # Keywords per version (default 8)
+ */
+
+import { CrimRxivDatabase } from '../src/lib/database.js';
+import { KeywordExtractor } from '../src/lib/keyword-extractor.js';
+
+async function main() {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏷️  Keyword Extraction (TF-IDF)');
+  console.log('='.repeat(60) + '\n');
+
+  const maxArg = process.argv.find(arg => arg.startsWith('--max='));
+  const extractor = new KeywordExtractor(maxArg ? { maxKeywords: parseInt(maxArg.split('=')[1]) } : {});
+
+  const db = new CrimRxivDatabase();
+  db.initialize();
+
+  try {
+    const versions = db.getArticleVersionsForKeywords();
+
+    // Corpus statistics: one document per article (latest version)
+    const corpus = versions.filter(v => v.is_latest_version === 1 && v.content_text);
+    for (const version of corpus) {
+      extractor.addDocument(version.content_text);
+    }
+    console.log(`📚 Corpus: ${corpus.length} articles, ${extractor.documentFrequency.size} distinct terms\n`);
+
+    const updates = [];
+    let provided = 0;
+    let empty = 0;
+
+    for (const version of versions) {
+      if (version.keywords_source === 'pubpub') {
+        provided++;
+        continue;
+      }
+
+      const keywords = extractor.extract(version.content_text);
+      if (keywords.length === 0) {
+        empty++;
+      }
+      updates.push({ id: version.id, keywords });
+    }
+
+    db.updateArticleKeywords(updates, 'tfidf');
+
+    console.log('='.repeat(60));
+    console.log('✅ KEYWORDS UPDATED');
+    console.log('='.repeat(60));
+    console.log(`Versions: ${versions.length}`);
+    console.log(`Extracted (TF-IDF): ${updates.length}`);
+    console.log(`Provided by PubPub (kept): ${provided}`);
+    console.log(`No keywords found: ${empty}`);
+    console.log('='.repeat(60) + '\n');
+
+    console.log('💡 Next step: npm run export\n');
+  } catch (error) {
+    console.error('❌ Keyword extraction failed:', error);
+    process.exit(1);
+  } finally {
+    db.close();
+  }
+}
+
+// Run if executed directly
+const isRunningDirectly = process.argv[1] && process.argv[1].endsWith('extract-keywords.js');
+if (isRunningDirectly) {
+  main();
+}
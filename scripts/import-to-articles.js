@@ -9,19 +9,35 @@
  *    - metadata.json (full article metadata)
  *    - content.json (ProseMirror content)
  *    - article.md (markdown version)
- *    - article.html (HTML version - optional)
- *    - attachments/{filename} (PDFs and other media)
+ *    - article.jats.xml (JATS XML, for preservation services)
+ *    - article.html (standalone page, the manifest index on Arweave)
+ *    - attachments/{filename} (PDFs, other media and archived inline images)
  * 3. Saves metadata to SQLite (for querying + manifest_tx_id storage)
+ * 4. Full runs mark articles withdrawn/removed upstream (reconciliation)
  *
  * Usage:
  *   npm run import
  *   node scripts/import-to-articles.js --limit 10  # Test mode
+ *   node scripts/import-to-articles.js --incremental  # Only pubs updated since last successful run
+ *   node scripts/import-to-articles.js --since=2025-01-01  # Only pubs updated since a date
+ *   node scripts/import-to-articles.js --resume  # Continue an interrupted run from its checkpoint
+ *   node scripts/import-to-articles.js --from-export=export/export.json  # Offline, from a PubPub export
+ *     (add --download-attachments to fetch attachments that are not on disk yet)
+ *   node scripts/import-to-articles.js --force-reconcile  # Apply reconciliation even if many articles vanished
  */
 
 import 'dotenv/config';
 import { PubPub } from '@pubpub/sdk';
 import { CrimRxivDatabase } from '../src/lib/database.js';
-import axios from 'axios';
+import { prosemirrorToMarkdown, htmlToText } from '../src/lib/markdown-serializer.js';
+import { prosemirrorToJats } from '../src/lib/jats-serializer.js';
+import { renderArticlePage } from '../src/lib/html-serializer.js';
+import { StateManager } from '../src/lib/utils.js';
+import { ExportParser } from '../src/lib/export-parser.js';
+import { KeywordExtractor } from '../src/lib/keyword-extractor.js';
+import { getHttpClient } from '../src/lib/http-client.js';
+import { classifyContent, CONTENT_TYPES } from '../src/config/content-types.js';
+import crypto from 'crypto';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -31,19 +47,44 @@ const __dirname = path.dirname(__filename);
 
 const CONFIG = {
   BATCH_SIZE: 100,
-  TEXT_DELAY: 100,
+  PUBPUB_HOST: 'www.crimrxiv.com',
+  PUBPUB_RATE_LIMIT: 10,  // PubPub API requests per second
   MAX_RETRIES: 3,
   INITIAL_BACKOFF: 2000,
   MAX_BACKOFF: 30000,
   ARTICLES_DIR: path.join(__dirname, '../data/articles'),  // Changed!
+  STATE_DIR: path.join(__dirname, '../data/state'),
+  CHECKPOINT_NAME: 'import-checkpoint',
+  RECONCILE_MAX_MISSING: 0.1,  // Refuse to mark more than 10% of articles as removed in one run
   DOWNLOAD_TIMEOUT: 60000
 };
 
+// MIME types for archived inline images
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+};
+
 class CrimRxivImporter {
   constructor() {
     this.sdk = null;
     this.db = null;
     this.collections = new Map();
+    this.stateManager = new StateManager(CONFIG.STATE_DIR);
+    this.http = getHttpClient({
+      maxRetries: CONFIG.MAX_RETRIES,
+      initialBackoff: CONFIG.INITIAL_BACKOFF,
+      maxBackoff: CONFIG.MAX_BACKOFF,
+      timeout: CONFIG.DOWNLOAD_TIMEOUT,
+      rateLimits: { [CONFIG.PUBPUB_HOST]: CONFIG.PUBPUB_RATE_LIMIT }
+    });
+    this.checkpoint = null;
+    this.exportSource = null;  // ExportParser when importing offline (--from-export)
+    this.allowDownloads = true;
     this.stats = {
       total: 0,
       inserted: 0,
@@ -52,17 +93,32 @@ class CrimRxivImporter {
       errors: 0,
       attachments_downloaded: 0,
       attachments_failed: 0,
-      folders_created: 0
+      folders_created: 0,
+      releases_skipped: 0,
+      withdrawn: 0,
+      removed: 0,
+      restored: 0
     };
   }
 
   /**
-   * Convert ProseMirror to Markdown (simplified)
+   * Convert ProseMirror to Markdown (headings, lists, tables, footnotes, citations...)
    */
   prosemirrorToMarkdown(doc) {
-    // For now, just extract plain text
-    // Full markdown serialization can be added later if needed
-    return this.extractTextFromProseMirror(doc);
+    return prosemirrorToMarkdown(doc);
+  }
+
+  /**
+   * Markdown for SQLite (null instead of throwing on malformed documents)
+   */
+  safeMarkdown(doc) {
+    if (!doc) return null;
+    try {
+      return this.prosemirrorToMarkdown(doc) || null;
+    } catch (error) {
+      console.warn(`    ⚠️  Could not generate markdown:`, error.message);
+      return null;
+    }
   }
 
   /**
@@ -81,9 +137,10 @@ class CrimRxivImporter {
   /**
    * Extract abstract from ProseMirror document
    * Looks for content labeled "Abstract" or extracts first few paragraphs
+   * @returns {object} { text, source: 'heading' | 'fallback' | null }
    */
   extractAbstractFromProseMirror(doc) {
-    if (!doc || !doc.content) return '';
+    if (!doc || !doc.content) return { text: '', source: null };
 
     let abstractText = '';
     let foundAbstractHeading = false;
@@ -126,7 +183,8 @@ class CrimRxivImporter {
       if (abstractText.length > 2000) break;
     }
 
-    return abstractText.trim();
+    const text = abstractText.trim();
+    return { text, source: text ? (foundAbstractHeading ? 'heading' : 'fallback') : null };
   }
 
   /**
@@ -149,6 +207,98 @@ class CrimRxivImporter {
     return files;
   }
 
+  /**
+   * Extract a DOI from a string (bare, doi: or https://doi.org/ form)
+   */
+  extractDoi(value) {
+    const match = String(value || '').match(/\b10\.\d{4,9}\/[^\s"'<>]+/);
+    return match ? match[0].replace(/[.,;:)\]]+$/, '') : null;
+  }
+
+  /**
+   * Extract citation and footnote nodes that carry a DOI from ProseMirror
+   */
+  extractCitationsFromProseMirror(doc) {
+    const citations = [];
+    const findCitations = (node) => {
+      if ((node.type === 'citation' || node.type === 'footnote') && node.attrs) {
+        const { value, structuredValue, unstructuredValue, html } = node.attrs;
+        const doi = [structuredValue, value, unstructuredValue, html]
+          .map(v => this.extractDoi(v))
+          .find(Boolean);
+
+        if (doi) {
+          citations.push({
+            source: node.type,
+            doi,
+            text: htmlToText(html || unstructuredValue || value || '').trim() || null
+          });
+        }
+      }
+      if (node.content) node.content.forEach(findCitations);
+    };
+    if (doc && doc.content) doc.content.forEach(findCitations);
+    return citations;
+  }
+
+  /**
+   * Extract inline image nodes (remote URLs only) from ProseMirror
+   */
+  extractImagesFromProseMirror(doc) {
+    const images = [];
+    const findImages = (node) => {
+      if (node.type === 'image' && node.attrs) {
+        const url = node.attrs.url || node.attrs.src;
+        if (url && /^https?:\/\//.test(url)) {
+          images.push({ node, url });
+        }
+      }
+      if (node.content) node.content.forEach(findImages);
+    };
+    if (doc && doc.content) doc.content.forEach(findImages);
+    return images;
+  }
+
+  /**
+   * Call the PubPub SDK through the shared HTTP client (rate limit, retries
+   * on 429/5xx and network errors, circuit breaker)
+   */
+  async pubpub(label, operation) {
+    return this.http.execute(CONFIG.PUBPUB_HOST, operation, { label: `PubPub ${label}` });
+  }
+
+  /**
+   * Get ProseMirror content for a pub (latest, or a release by historyKey)
+   * from PubPub or, when importing offline, from the export file
+   */
+  async getPubText(pub, historyKey = null) {
+    if (this.exportSource) {
+      return this.exportSource.getPubText(pub, historyKey);
+    }
+
+    const textResponse = await this.pubpub(`text ${pub.slug}`, () => this.sdk.pub.text.get({
+      params: { pubId: pub.id },
+      ...(historyKey ? { query: { historyKey } } : {})
+    }));
+
+    return textResponse?.body || null;
+  }
+
+  /**
+   * Get full edge details (including nested externalPublication)
+   */
+  async getPubEdge(edge) {
+    if (this.exportSource) {
+      return this.exportSource.getPubEdge(edge);
+    }
+
+    const edgeResponse = await this.pubpub(`edge ${edge.id}`, () => this.sdk.pubEdge.get({
+      params: { id: edge.id }
+    }));
+
+    return edgeResponse.body || null;
+  }
+
   /**
    * Process external publications (version-of relationships)
    * Fetches full details for each outbound edge using pubEdge.get()
@@ -167,15 +317,10 @@ class CrimRxivImporter {
       if (edge.externalPublicationId) {
         try {
           // Fetch full edge details including nested externalPublication
-          const edgeResponse = await this.sdk.pubEdge.get({
-            params: { id: edge.id }
-          });
+          const edgeDetails = await this.getPubEdge(edge);
 
-          // Add delay to respect rate limits
-          await new Promise(resolve => setTimeout(resolve, CONFIG.TEXT_DELAY));
-
-          if (edgeResponse.body && edgeResponse.body.externalPublication) {
-            const extPub = edgeResponse.body.externalPublication;
+          if (edgeDetails && edgeDetails.externalPublication) {
+            const extPub = edgeDetails.externalPublication;
             externalPubs.push({
               externalPublicationId: edge.externalPublicationId,
               relationType: edge.relationType,
@@ -196,6 +341,77 @@ class CrimRxivImporter {
     return externalPubs;
   }
 
+  /**
+   * Describe another pub for reference/cited-by lists, preferring our own copy
+   */
+  describePub(pubId, pub = null) {
+    const article = this.db.getArticleByArticleId(pubId);
+    const slug = article?.slug || pub?.slug || null;
+
+    return {
+      pubId,
+      slug,
+      title: article?.title || pub?.title || null,
+      doi: article?.doi || pub?.doi || null,
+      url: slug ? `https://www.crimrxiv.com/pub/${slug}` : null
+    };
+  }
+
+  /**
+   * Build references (what this pub cites) and citations (what cites it)
+   * - references: outbound edges except version-of, plus DOI-bearing
+   *   citation/footnote nodes in the content
+   * - citations: inbound edges from other pubs (cited-by)
+   */
+  buildReferences(pub, externalPubs, prosemirrorContent) {
+    const references = [];
+    const seen = new Set();
+    const addReference = (reference) => {
+      const key = (reference.doi || reference.pubId || reference.url || reference.text || '').toLowerCase();
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      references.push(reference);
+    };
+
+    for (const extPub of externalPubs) {
+      if (extPub.relationType === 'version') continue;
+      addReference({
+        source: 'edge',
+        relationType: extPub.relationType,
+        title: extPub.title || null,
+        doi: extPub.doi || null,
+        url: extPub.url || null
+      });
+    }
+
+    for (const edge of pub.outboundEdges || []) {
+      if (!edge.targetPubId || edge.relationType === 'version') continue;
+      addReference({
+        source: 'edge',
+        relationType: edge.relationType,
+        ...this.describePub(edge.targetPubId, edge.targetPub)
+      });
+    }
+
+    for (const citation of this.extractCitationsFromProseMirror(prosemirrorContent)) {
+      addReference(citation);
+    }
+
+    const citations = [];
+    const citingPubs = new Set();
+    for (const edge of pub.inboundEdges || []) {
+      if (!edge.pubId || edge.pubId === pub.id || citingPubs.has(edge.pubId)) continue;
+      citingPubs.add(edge.pubId);
+      citations.push({
+        source: 'edge',
+        relationType: edge.relationType,
+        ...this.describePub(edge.pubId, edge.pub)
+      });
+    }
+
+    return { references, citations };
+  }
+
   /**
    * Download attachment (PDF or other media)
    */
@@ -211,23 +427,15 @@ class CrimRxivImporter {
         return { success: true, path: filePath, skipped: true };
       }
 
-      console.log(`    📥 Downloading: ${filename}`);
-
-      const response = await axios({
-        method: 'GET',
-        url: url,
-        responseType: 'stream',
-        timeout: CONFIG.DOWNLOAD_TIMEOUT,
-        maxRedirects: 5
-      });
+      // Offline imports only keep attachments that are already on disk
+      if (!this.allowDownloads) {
+        console.log(`    ⏭️  Not downloading (offline): ${filename}`);
+        return { success: false, error: 'offline' };
+      }
 
-      const writer = fs.createWriteStream(filePath);
-      response.data.pipe(writer);
+      console.log(`    📥 Downloading: ${filename}`);
 
-      await new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
-      });
+      await this.http.download(url, filePath);
 
       this.stats.attachments_downloaded++;
       return { success: true, path: filePath };
@@ -238,6 +446,100 @@ class CrimRxivImporter {
     }
   }
 
+  /**
+   * Download inline images into {dir}/attachments/ and point the image nodes
+   * at the local copy (attrs.localPath, relative to the folder's content.json).
+   * The original URL is kept in attrs.url. Returns the rewritten doc and
+   * attachment entries for attachments.json.
+   */
+  async archiveInlineImages(prosemirrorContent, dir) {
+    if (!prosemirrorContent) {
+      return { content: prosemirrorContent, attachments: [] };
+    }
+
+    const content = JSON.parse(JSON.stringify(prosemirrorContent));
+    const images = this.extractImagesFromProseMirror(content);
+    const attachments = [];
+    const filenames = new Map();  // url -> filename
+    const used = new Set();
+
+    for (const { node, url } of images) {
+      if (!filenames.has(url)) {
+        let basename;
+        try {
+          basename = decodeURIComponent(path.basename(new URL(url).pathname));
+        } catch (error) {
+          basename = '';
+        }
+        basename = basename.replace(/[^\w.-]/g, '_') || 'image';
+
+        // Same name from a different URL: prefix with a counter
+        const filename = used.has(basename) ? `${used.size + 1}-${basename}` : basename;
+        used.add(filename);
+        filenames.set(url, filename);
+
+        const result = await this.downloadAttachment(url, filename, dir);
+        if (!result.success) {
+          filenames.set(url, null);
+          continue;
+        }
+
+        const stat = await fs.stat(result.path);
+        attachments.push({
+          filename,
+          path: `attachments/${filename}`,
+          size: stat.size,
+          type: IMAGE_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream',
+          url,
+          inline: true
+        });
+      }
+
+      const filename = filenames.get(url);
+      if (filename) {
+        node.attrs.url = url;
+        node.attrs.localPath = `attachments/${filename}`;
+      }
+    }
+
+    return { content, attachments };
+  }
+
+  /**
+   * Check whether a release is already on disk (same historyKey, content saved)
+   * Returns the saved version metadata, or null if it needs to be fetched
+   */
+  async loadExistingRelease(articleDir, releaseNumber, historyKey) {
+    const versionDir = path.join(articleDir, String(releaseNumber));
+    const metadataPath = path.join(versionDir, 'metadata.json');
+
+    if (!await fs.pathExists(metadataPath) || !await fs.pathExists(path.join(versionDir, 'content.json'))) {
+      return null;
+    }
+
+    try {
+      const metadata = await fs.readJSON(metadataPath);
+      if (metadata.historyKey !== historyKey) {
+        return null;
+      }
+
+      // Releases saved before content hashes were recorded
+      if (!metadata.contentHash) {
+        metadata.contentHash = this.hashContent(await fs.readJSON(path.join(versionDir, 'content.json')));
+      }
+      return metadata;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * sha256 of a release's ProseMirror content (as saved to content.json)
+   */
+  hashContent(prosemirrorContent) {
+    return crypto.createHash('sha256').update(JSON.stringify(prosemirrorContent)).digest('hex');
+  }
+
   /**
    * Save a specific version to data/articles/{slug}/{releaseNumber}/
    */
@@ -246,8 +548,13 @@ class CrimRxivImporter {
       const versionDir = path.join(articleDir, String(releaseNumber));
       await fs.ensureDir(versionDir);
 
+      // Archive inline images so content.json doesn't depend on PubPub's CDN
+      const archived = await this.archiveInlineImages(prosemirrorContent, versionDir);
+      prosemirrorContent = archived.content;
+      const contentHash = prosemirrorContent ? this.hashContent(prosemirrorContent) : null;
+
       // 1. Save metadata.json
-      await fs.writeJSON(path.join(versionDir, 'metadata.json'), metadata, { spaces: 2 });
+      await fs.writeJSON(path.join(versionDir, 'metadata.json'), { ...metadata, contentHash }, { spaces: 2 });
 
       // 2. Save content.json (ProseMirror)
       if (prosemirrorContent) {
@@ -266,7 +573,7 @@ class CrimRxivImporter {
 
       // 4. Download attachments
       const files = this.extractFilesFromProseMirror(prosemirrorContent);
-      const attachments = [];
+      const attachments = [...archived.attachments];
 
       for (const file of files) {
         if (file.url && file.filename) {
@@ -288,17 +595,50 @@ class CrimRxivImporter {
         await fs.writeJSON(path.join(versionDir, 'attachments.json'), attachments, { spaces: 2 });
       }
 
-      return { success: true, attachments };
+      return { success: true, attachments, contentHash };
     } catch (error) {
       console.error(`    ❌ Failed to save version ${releaseNumber}:`, error);
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Save article.jats.xml and article.html into every release folder
+   * ({slug}/{n}/), from the release's content.json and the article metadata
+   */
+  async saveReleaseDocuments(articleDir, article, versions, contributors) {
+    for (const version of versions) {
+      const versionDir = path.join(articleDir, String(version.number));
+      const contentPath = path.join(versionDir, 'content.json');
+      if (!await fs.pathExists(contentPath)) continue;
+
+      try {
+        const content = await fs.readJSON(contentPath);
+        const abstract = this.extractAbstractFromProseMirror(content);
+        const release = {
+          ...article,
+          abstract: abstract.text || article.abstract,
+          version_number: version.number,
+          version_timestamp: version.createdAt
+        };
+
+        const jats = prosemirrorToJats(content, release, { release: version, contributors });
+        await fs.writeFile(path.join(versionDir, 'article.jats.xml'), jats, 'utf-8');
+
+        const attachmentsPath = path.join(versionDir, 'attachments.json');
+        const attachments = await fs.pathExists(attachmentsPath) ? await fs.readJSON(attachmentsPath) : [];
+        const html = renderArticlePage(content, release, { attachments, versions, release: version });
+        await fs.writeFile(path.join(versionDir, 'article.html'), html, 'utf-8');
+      } catch (error) {
+        console.warn(`    ⚠️  Could not generate JATS/HTML for release ${version.number}:`, error.message);
+      }
+    }
+  }
+
   /**
    * Save article to data/articles/{slug}/
    */
-  async saveArticleFolder(article, prosemirrorContent) {
+  async saveArticleFolder(article, prosemirrorContent, contributors = null, versions = []) {
     try {
       const articleDir = path.join(CONFIG.ARTICLES_DIR, article.slug);
       await fs.ensureDir(articleDir);
@@ -313,6 +653,9 @@ class CrimRxivImporter {
         authors: JSON.parse(article.authors_json || '[]'),
         keywords: JSON.parse(article.keywords_json || '[]'),
         collections: JSON.parse(article.collections_json || '[]'),
+        contentType: article.content_type,
+        references: JSON.parse(article.references_json || '[]'),
+        citations: JSON.parse(article.citations_json || '[]'),
         doi: article.doi,
         license: article.license,
         dates: {
@@ -327,12 +670,18 @@ class CrimRxivImporter {
         statistics: {
           wordCount: article.word_count || 0,
           authorCount: article.author_count || 0,
-          attachmentCount: article.attachment_count || 0
+          attachmentCount: article.attachment_count || 0,
+          referenceCount: article.reference_count || 0,
+          citationCount: article.citation_count || 0
         }
       };
 
       await fs.writeJSON(path.join(articleDir, 'metadata.json'), metadata, { spaces: 2 });
 
+      // Archive inline images so content.json doesn't depend on PubPub's CDN
+      const archived = await this.archiveInlineImages(prosemirrorContent, articleDir);
+      prosemirrorContent = archived.content;
+
       // 2. Save content.json (ProseMirror)
       if (prosemirrorContent) {
         await fs.writeJSON(path.join(articleDir, 'content.json'), prosemirrorContent, { spaces: 2 });
@@ -348,9 +697,17 @@ class CrimRxivImporter {
         }
       }
 
-      // 4. Download attachments (PDFs and other media)
+      // 4. Save article.jats.xml (JATS, metadata-only when there is no content)
+      try {
+        const jats = prosemirrorToJats(prosemirrorContent, article, { contributors });
+        await fs.writeFile(path.join(articleDir, 'article.jats.xml'), jats, 'utf-8');
+      } catch (error) {
+        console.warn(`    ⚠️  Could not generate JATS:`, error.message);
+      }
+
+      // 5. Download attachments (PDFs and other media)
       const files = this.extractFilesFromProseMirror(prosemirrorContent);
-      const attachments = [];
+      const attachments = [...archived.attachments];
 
       for (const file of files) {
         if (file.url && file.filename) {
@@ -367,11 +724,19 @@ class CrimRxivImporter {
         }
       }
 
-      // 5. Save attachments manifest
+      // 6. Save attachments manifest
       if (attachments.length > 0) {
         await fs.writeJSON(path.join(articleDir, 'attachments.json'), attachments, { spaces: 2 });
       }
 
+      // 7. Save article.html (standalone page, links to the release pages)
+      try {
+        const html = renderArticlePage(prosemirrorContent, article, { attachments, versions });
+        await fs.writeFile(path.join(articleDir, 'article.html'), html, 'utf-8');
+      } catch (error) {
+        console.warn(`    ⚠️  Could not generate HTML:`, error.message);
+      }
+
       this.stats.folders_created++;
       return { success: true, attachments };
     } catch (error) {
@@ -388,6 +753,13 @@ class CrimRxivImporter {
     console.log('🚀 CrimRxiv Import → data/articles/');
     console.log('='.repeat(60) + '\n');
 
+    // Offline import from a PubPub export.json (no credentials or network needed)
+    const exportArg = process.argv.find(arg => arg.startsWith('--from-export='));
+    if (exportArg) {
+      await this.initializeFromExport(exportArg.split('=')[1]);
+      return;
+    }
+
     // Check credentials
     if (!process.env.PUBPUB_EMAIL || !process.env.PUBPUB_PASSWORD) {
       throw new Error('Missing PUBPUB_EMAIL or PUBPUB_PASSWORD in .env');
@@ -395,11 +767,11 @@ class CrimRxivImporter {
 
     // Initialize PubPub SDK
     console.log('🔐 Logging into PubPub...');
-    this.sdk = await PubPub.createSDK({
-      communityUrl: 'https://www.crimrxiv.com',
+    this.sdk = await this.pubpub('login', () => PubPub.createSDK({
+      communityUrl: `https://${CONFIG.PUBPUB_HOST}`,
       email: process.env.PUBPUB_EMAIL,
       password: process.env.PUBPUB_PASSWORD
-    });
+    }));
     console.log('✅ Logged in successfully\n');
 
     // Fetch all collections (including restricted ones)
@@ -415,6 +787,63 @@ class CrimRxivImporter {
 
     // Ensure articles directory exists
     await fs.ensureDir(CONFIG.ARTICLES_DIR);
+    await this.stateManager.init();
+  }
+
+  /**
+   * Initialize offline import from a PubPub export file
+   */
+  async initializeFromExport(exportPath) {
+    console.log(`📁 Offline import from export: ${exportPath}\n`);
+
+    this.exportSource = new ExportParser(exportPath);
+    this.exportSource.options.maxArticles = null;
+    await this.exportSource.loadAsImportSource();
+    this.allowDownloads = process.argv.includes('--download-attachments');
+
+    for (const collection of this.exportSource.metadata.collections) {
+      this.collections.set(collection.id, {
+        id: collection.id,
+        title: collection.title,
+        slug: collection.slug,
+        kind: collection.kind
+      });
+    }
+    console.log(`✅ Loaded ${this.collections.size} collections from export\n`);
+
+    // Initialize database
+    console.log('🗄️  Opening SQLite database...');
+    this.db = new CrimRxivDatabase();
+    this.db.initialize();
+    console.log('✅ Database ready\n');
+
+    await fs.ensureDir(CONFIG.ARTICLES_DIR);
+    await this.stateManager.init();
+  }
+
+  /**
+   * Import all pubs from the loaded export file
+   * Same processing as the online import (folders, versions.json, SQLite);
+   * the run is not recorded in scrape_metadata since it is not a PubPub sync.
+   */
+  async importFromExport(limit, since) {
+    const slugArg = process.argv.find(arg => arg.startsWith('--slug='));
+    const slug = slugArg ? slugArg.split('=')[1] : null;
+
+    let pubs = this.exportSource.rawData.pubs
+      .filter(pub => !slug || pub.slug === slug)
+      .filter(pub => !since || new Date(pub.updatedAt) >= since);
+
+    if (limit) {
+      pubs = pubs.slice(0, limit);
+    }
+
+    console.log(`📚 Importing ${pubs.length} publications from export...\n`);
+
+    for (const pub of pubs) {
+      this.stats.total++;
+      await this.processPub(pub);
+    }
   }
 
   /**
@@ -422,11 +851,11 @@ class CrimRxivImporter {
    */
   async fetchCollections() {
     try {
-      const response = await this.sdk.collection.getMany({
+      const response = await this.pubpub('collections', () => this.sdk.collection.getMany({
         query: {
           limit: 1000  // Get all collections (including restricted)
         }
-      });
+      }));
 
       const collections = response.body;
 
@@ -444,8 +873,35 @@ class CrimRxivImporter {
     }
   }
 
+  /**
+   * Collection titles for a pub
+   * Uses the collections Map so restricted collections are resolved too
+   */
+  getCollectionTitles(pub) {
+    return (pub.collectionPubs || [])
+      .map(cp => this.collections.get(cp.collectionId)?.title || null)
+      .filter(Boolean);
+  }
+
+  /**
+   * Authors from PubPub attributions, with their CRediT roles
+   * (roles only go into JATS; authors_json keeps the other fields)
+   */
+  getContributors(pub) {
+    return (pub.attributions || []).map(a => ({
+      name: a.user?.fullName || a.name || null,
+      affiliation: a.affiliation,
+      orcid: a.orcid,
+      is_corresponding: a.isCorresponding || false,
+      roles: a.roles || []
+    }));
+  }
+
   /**
    * Process a single publication (with all releases/versions)
+   * @returns {Promise<true|'skipped'|false>} true when saved (or unchanged),
+   *   'skipped' when filtered out (draft, no authors, too little content),
+   *   false when it failed (so checkpoints can retry it on --resume)
    */
   async processPub(pub) {
     try {
@@ -464,26 +920,25 @@ class CrimRxivImporter {
       const validAuthors = authors.filter(a => a.user?.fullName || a.name);
       const hasAuthors = validAuthors.length > 0;
 
+      // Classify (research, news, podcast, ...) from src/config/content-types.js
+      const collections = this.getCollectionTitles(pub);
+      const contentType = classifyContent({ title: pub.title, collections, authors });
+
       // Skip if:
       // 1. No releases (never published) OR
-      // 2. No valid authors (incomplete/draft) - UNLESS it's a news article
-      //    News articles have attributions.length = 0 OR all attributions have no names
-      const isNewsArticle = pub.title && (
-        pub.title.includes('CrimRxiv') ||
-        pub.title.includes('Consortium') ||
-        pub.title.includes('Crimversations')
-      );
+      // 2. No valid authors (incomplete/draft) - UNLESS the content type
+      //    is published without authors (news, podcast)
 
       if (!hasReleases) {
         console.log(`   ⏭️  SKIPPED: No releases (draft)`);
         this.stats.unchanged++;
-        return;
+        return 'skipped';
       }
 
-      if (!hasAuthors && !isNewsArticle) {
+      if (!hasAuthors && CONTENT_TYPES[contentType].requiresAuthors) {
         console.log(`   ⏭️  SKIPPED: No authors (incomplete/draft)`);
         this.stats.unchanged++;
-        return;
+        return 'skipped';
       }
 
       const articleDir = path.join(CONFIG.ARTICLES_DIR, pub.slug);
@@ -497,16 +952,26 @@ class CrimRxivImporter {
         const release = releases[i];
         const releaseNumber = i + 1; // Release numbers start at 1
 
+        // Skip releases already saved to disk (releases are immutable per historyKey)
+        const existingRelease = await this.loadExistingRelease(articleDir, releaseNumber, release.historyKey);
+        if (existingRelease) {
+          console.log(`   ⏭️  Release ${releaseNumber} already on disk (historyKey: ${release.historyKey})`);
+          this.stats.releases_skipped++;
+          versionManifest.push({
+            number: releaseNumber,
+            historyKey: release.historyKey,
+            createdAt: release.createdAt,
+            noteText: release.noteText,
+            contentHash: existingRelease.contentHash,
+            url: `https://www.crimrxiv.com/pub/${pub.slug}/release/${releaseNumber}`
+          });
+          continue;
+        }
+
         console.log(`   📦 Fetching release ${releaseNumber} (historyKey: ${release.historyKey})...`);
 
         // Get content for this specific release
-        const textResponse = await this.sdk.pub.text.get({
-          params: { pubId: pub.id },
-          query: { historyKey: release.historyKey }
-        });
-        await new Promise(resolve => setTimeout(resolve, CONFIG.TEXT_DELAY));
-
-        const prosemirrorContent = textResponse?.body || null;
+        const prosemirrorContent = await this.getPubText(pub, release.historyKey);
 
         // Prepare metadata for this version
         const versionMetadata = {
@@ -533,25 +998,38 @@ class CrimRxivImporter {
             historyKey: release.historyKey,
             createdAt: release.createdAt,
             noteText: release.noteText,
+            contentHash: versionResult.contentHash,
             url: `https://www.crimrxiv.com/pub/${pub.slug}/release/${releaseNumber}`
           });
         }
       }
 
-      // Get latest version content (for root level and SQLite)
-      const textResponse = await this.sdk.pub.text.get({
-        params: { pubId: pub.id }
-      });
-      await new Promise(resolve => setTimeout(resolve, CONFIG.TEXT_DELAY));
+      // Every PubPub release, for the SQLite releases table (releases that
+      // failed to save are still recorded, without a hash or folder)
+      const saved = new Map(versionManifest.map(version => [version.number, version]));
+      const releaseRecords = releases.map((release, i) => ({
+        historyKey: release.historyKey,
+        releaseNumber: i + 1,
+        noteText: release.noteText,
+        createdAt: release.createdAt,
+        contentHash: saved.get(i + 1)?.contentHash || null,
+        manifestPath: saved.has(i + 1) ? `${i + 1}/` : null
+      }));
+      const latestRelease = releases[releases.length - 1];
 
-      const prosemirrorContent = textResponse?.body || null;
+      // Get latest version content (for root level and SQLite)
+      const prosemirrorContent = await this.getPubText(pub);
       const contentText = this.extractTextFromProseMirror(prosemirrorContent);
 
-      const abstractText = this.extractAbstractFromProseMirror(prosemirrorContent);
+      const abstract = this.extractAbstractFromProseMirror(prosemirrorContent);
       const files = this.extractFilesFromProseMirror(prosemirrorContent);
 
       // Fetch external publications (version-of relationships)
       const externalPubs = await this.processExternalPublications(pub);
+      const { references, citations } = this.buildReferences(pub, externalPubs, prosemirrorContent);
+
+      // PubPub-provided keywords; the rest are filled by `npm run keywords` (TF-IDF)
+      const providedKeywords = KeywordExtractor.fromPub(pub);
 
       // Improved draft detection: Skip if article has minimal content (< 50 words)
       // UNLESS it has external publications (version-of) or attachments (PDFs, audio, etc.)
@@ -564,7 +1042,7 @@ class CrimRxivImporter {
         // Delete the folder we just created since we're skipping this article
         await fs.remove(articleDir);
         this.stats.unchanged++;
-        return;
+        return 'skipped';
       }
 
       // Log why we're keeping low-word-count articles
@@ -573,13 +1051,17 @@ class CrimRxivImporter {
       }
 
       // Prepare article data for SQLite
+      const contributors = this.getContributors(pub);
       const article = {
         article_id: pub.id,
         slug: pub.slug,
-        version_number: releases.length || 1,  // Track latest version number
+        version_number: releases.length,  // Latest PubPub release number
+        version_timestamp: latestRelease.createdAt,
+        release_history_key: latestRelease.historyKey,
         title: pub.title,
         description: pub.description || '',
-        abstract: abstractText || pub.description || '',
+        abstract: abstract.text || pub.description || '',
+        abstract_source: abstract.text ? abstract.source : (pub.description ? 'description' : null),
         doi: pub.doi || null,
         license: pub.licenseSlug || null,
         avatar: pub.avatar || null,  // Institutional badge/logo URL
@@ -588,36 +1070,37 @@ class CrimRxivImporter {
         published_at: pub.publishedAt || pub.createdAt,
         content_text: contentText,
         content_prosemirror: prosemirrorContent ? JSON.stringify(prosemirrorContent) : null,
-        authors_json: JSON.stringify(pub.attributions?.map(a => ({
-          name: a.user?.fullName || a.name || null,
-          affiliation: a.affiliation,
-          orcid: a.orcid,
-          is_corresponding: a.isCorresponding || false
-        })) || []),
+        content_markdown: this.safeMarkdown(prosemirrorContent),
+        authors_json: JSON.stringify(contributors.map(({ roles, ...author }) => author)),
         author_count: pub.attributions?.length || 0,
-        collections_json: JSON.stringify(pub.collectionPubs?.map(cp => {
-          // Use Map to lookup collection title (handles restricted collections)
-          const collection = this.collections.get(cp.collectionId);
-          return collection?.title || null;
-        }).filter(Boolean) || []),
+        collections_json: JSON.stringify(collections),
         collection_count: pub.collectionPubs?.length || 0,
-        keywords_json: JSON.stringify([]),
+        content_type: contentType,
+        keywords_json: providedKeywords.length > 0 ? JSON.stringify(providedKeywords) : null,
+        keywords_source: providedKeywords.length > 0 ? 'pubpub' : null,
         word_count: contentText.split(/\s+/).length,
         attachment_count: files.length,
         url: `https://www.crimrxiv.com/pub/${pub.slug}`,
         pdf_url: files[0]?.url || null,
-        external_publications_json: externalPubs.length > 0 ? JSON.stringify(externalPubs) : null
+        external_publications_json: externalPubs.length > 0 ? JSON.stringify(externalPubs) : null,
+        references_json: JSON.stringify(references),
+        citations_json: JSON.stringify(citations),
+        reference_count: references.length,
+        citation_count: citations.length
       };
 
       // Save latest version to root level (for backwards compatibility)
-      const folderResult = await this.saveArticleFolder(article, prosemirrorContent);
+      const folderResult = await this.saveArticleFolder(article, prosemirrorContent, contributors, versionManifest);
 
       if (!folderResult.success) {
         console.error(`   ❌ Failed to save article folder`);
         this.stats.errors++;
-        return;
+        return false;
       }
 
+      // JATS and HTML for every release folder (needs the article metadata built above)
+      await this.saveReleaseDocuments(articleDir, article, versionManifest, contributors);
+
       // Save versions manifest
       if (versionManifest.length > 0) {
         await fs.writeJSON(path.join(articleDir, 'versions.json'), {
@@ -633,22 +1116,101 @@ class CrimRxivImporter {
       }
 
       // Upsert into SQLite (for metadata + manifest_tx_id storage)
-      const result = this.db.upsertArticle(article);
+      const result = this.db.upsertArticle(article, releaseRecords);
+
+      // Resolve author identities (ORCID, else name + affiliation)
+      this.db.syncArticleAuthors(article.article_id, JSON.parse(article.authors_json));
 
       if (result.action === 'inserted') {
         this.stats.inserted++;
         console.log(`   ✅ Inserted (new article)`);
       } else if (result.action === 'updated') {
         this.stats.updated++;
-        console.log(`   ✅ Updated (changes detected)`);
+        console.log(`   ✅ Updated (new release ${result.versionNumber})`);
+      } else if (result.action === 'refreshed') {
+        this.stats.updated++;
+        console.log(`   ✅ Updated (metadata changed, release ${result.versionNumber})`);
       } else {
         this.stats.unchanged++;
         console.log(`   ⏭️  Unchanged (skipped)`);
       }
 
+      return true;
     } catch (error) {
       console.error(`   ❌ Error processing ${pub.slug}:`, error.message);
       this.stats.errors++;
+      return false;
+    }
+  }
+
+  /**
+   * Fetch a single pub by slug (with the same includes as getMany)
+   */
+  async fetchPubBySlug(slug) {
+    const response = await this.pubpub(`pub ${slug}`, () => this.sdk.pub.get({
+      params: {
+        slugOrId: slug
+      },
+      query: {
+        include: ['collectionPubs', 'attributions', 'community', 'draft', 'releases', 'outboundEdges', 'inboundEdges']
+      }
+    }));
+
+    return response.body || null;
+  }
+
+  /**
+   * Load or start the import checkpoint
+   * Without --resume an existing checkpoint is discarded (with a warning)
+   */
+  async loadCheckpoint() {
+    const resume = process.argv.includes('--resume');
+    const hasCheckpoint = await this.stateManager.hasState(CONFIG.CHECKPOINT_NAME);
+
+    if (resume && hasCheckpoint) {
+      const state = await this.stateManager.loadState(CONFIG.CHECKPOINT_NAME);
+      if (state) {
+        console.log(`🔁 Resuming from offset ${state.offset} (${state.completedSlugs.length} pubs done, ${state.failedSlugs.length} to retry)\n`);
+        return state;
+      }
+    }
+
+    if (resume) {
+      console.log('⚠️  No checkpoint found - starting a fresh import\n');
+    } else if (hasCheckpoint) {
+      console.log('⚠️  Found a checkpoint from an interrupted run - starting over (use --resume to continue it)\n');
+    }
+
+    return null;
+  }
+
+  /**
+   * Persist the current checkpoint
+   */
+  async saveCheckpoint() {
+    const { errors, ...stats } = this.stats;
+    await this.stateManager.saveState(CONFIG.CHECKPOINT_NAME, {
+      ...this.checkpoint,
+      completedSlugs: [...this.checkpoint.completedSlugs],
+      failedSlugs: [...this.checkpoint.failedSlugs],
+      upstreamIds: [...this.checkpoint.upstreamIds],
+      unpublishedIds: [...this.checkpoint.unpublishedIds],
+      stats
+    });
+  }
+
+  /**
+   * Process a pub and record the outcome in the checkpoint. Skipped pubs
+   * count as completed: the filters give the same answer on --resume.
+   */
+  async processPubWithCheckpoint(pub) {
+    const outcome = await this.processPub(pub);
+
+    if (outcome === false) {
+      this.checkpoint.failedSlugs.add(pub.slug);
+    } else {
+      this.checkpoint.failedSlugs.delete(pub.slug);
+      this.checkpoint.completedSlugs.add(pub.slug);
     }
   }
 
@@ -659,22 +1221,13 @@ class CrimRxivImporter {
     console.log(`📚 Fetching single article: ${slug}\n`);
 
     try {
-      // Fetch single pub by slug
-      const response = await this.sdk.pub.get({
-        params: {
-          slugOrId: slug
-        },
-        query: {
-          include: ['collectionPubs', 'attributions', 'community', 'draft', 'releases', 'outboundEdges']
-        }
-      });
+      const pub = await this.fetchPubBySlug(slug);
 
-      if (!response.body) {
+      if (!pub) {
         console.error(`❌ Article not found: ${slug}`);
         return;
       }
 
-      const pub = response.body;
       console.log(`\n📄 Processing: ${pub.title || 'Untitled'} (${pub.slug})`);
 
       await this.processPub(pub);
@@ -691,40 +1244,147 @@ class CrimRxivImporter {
     }
   }
 
+  /**
+   * Resolve the incremental cutoff date from CLI flags
+   * --since=<date>   explicit cutoff
+   * --incremental    last successful run from scrape_metadata
+   * Returns null for a full import
+   */
+  getSinceDate() {
+    const sinceArg = process.argv.find(arg => arg.startsWith('--since='));
+    if (sinceArg) {
+      const since = new Date(sinceArg.split('=')[1]);
+      if (isNaN(since.getTime())) {
+        throw new Error(`Invalid --since date: ${sinceArg.split('=')[1]}`);
+      }
+      return since;
+    }
+
+    if (process.argv.includes('--incremental')) {
+      const lastScrape = this.db.getLastScrapeDate();
+      if (!lastScrape) {
+        console.log('⚠️  No previous scrape run recorded - running full import\n');
+        return null;
+      }
+      return new Date(lastScrape);
+    }
+
+    return null;
+  }
+
   /**
    * Main import workflow
    */
   async import() {
     const startTime = Date.now();
 
+    // Offline import (--from-export)
+    if (this.exportSource) {
+      this.db.setChangeRun(`export@${new Date(startTime).toISOString()}`);
+      const limitArg = process.argv.find(arg => arg.startsWith('--limit='));
+      const limit = limitArg ? parseInt(limitArg.split('=')[1]) : null;
+      await this.importFromExport(limit, this.getSinceDate());
+      this.printSummary(startTime);
+      return;
+    }
+
     // Check for --slug flag (single article import)
     const slugArg = process.argv.find(arg => arg.startsWith('--slug='));
     if (slugArg) {
       const slug = slugArg.split('=')[1];
+      this.db.setChangeRun(`slug@${new Date(startTime).toISOString()}`);
       await this.importSingleArticle(slug);
       return;
     }
 
-    // Check for --limit flag
+    // Check for --limit flag (pubs processed by this invocation; a resumed
+    // run's restored stats.total doesn't count against it)
     const limitArg = process.argv.find(arg => arg.startsWith('--limit='));
     const limit = limitArg ? parseInt(limitArg.split('=')[1]) : null;
+    let processed = 0;
+    const remaining = () => limit ? limit - processed : Infinity;
+
+    // Check for --resume flag (continue an interrupted run)
+    const saved = await this.loadCheckpoint();
+
+    // Check for --since / --incremental flags (a resumed run keeps its original cutoff)
+    const since = saved
+      ? (saved.since ? new Date(saved.since) : null)
+      : this.getSinceDate();
+    const runStartedAt = saved ? saved.runStartedAt : new Date().toISOString();
+
+    // Article changes are grouped by run (a resumed run keeps its ID)
+    this.db.setChangeRun(`import@${runStartedAt}`);
+
+    // Checkpoint: batch offset and completed/failed slugs. A pub interrupted
+    // mid-way isn't completed, so it is processed again; its releases already
+    // on disk are skipped by historyKey (loadExistingRelease), so only the
+    // remaining releases are fetched.
+    this.checkpoint = {
+      runStartedAt,
+      since: since ? since.toISOString() : null,
+      offset: saved ? saved.offset : 0,
+      completedSlugs: new Set(saved ? saved.completedSlugs : []),
+      failedSlugs: new Set(saved ? saved.failedSlugs : []),
+      // Every pub id PubPub returned (and those without releases), for reconciliation
+      upstreamIds: new Set(saved?.upstreamIds || []),
+      unpublishedIds: new Set(saved?.unpublishedIds || [])
+    };
+
+    if (saved && saved.stats) {
+      Object.assign(this.stats, saved.stats);
+    }
+
+    if (since) {
+      console.log(`🔁 Incremental mode: only pubs updated since ${since.toISOString()}\n`);
+    }
+
+    // Retry pubs that failed before the interruption (they sit in earlier batches)
+    if (this.checkpoint.failedSlugs.size > 0) {
+      console.log(`🔁 Retrying ${this.checkpoint.failedSlugs.size} previously failed pub(s)...\n`);
+      for (const slug of [...this.checkpoint.failedSlugs]) {
+        if (remaining() <= 0) break;
+        try {
+          const pub = await this.fetchPubBySlug(slug);
+          if (pub) {
+            this.stats.total++;
+            processed++;
+            await this.processPubWithCheckpoint(pub);
+          } else {
+            console.log(`   ⚠️  ${slug} no longer exists upstream`);
+            this.checkpoint.failedSlugs.delete(slug);
+          }
+        } catch (error) {
+          console.error(`   ❌ Retry failed for ${slug}:`, error.message);
+          this.stats.errors++;
+        }
+      }
+      await this.saveCheckpoint();
+    }
 
     console.log('📚 Fetching publications...\n');
 
-    let offset = 0;
+    let offset = this.checkpoint.offset;
     let hasMore = true;
+    let reachedLimit = false;
+
+    if (remaining() <= 0) {
+      reachedLimit = true;
+      hasMore = false;
+      console.log(`\n⚠️  Reached limit of ${limit} articles\n`);
+    }
 
     while (hasMore) {
       // Fetch batch using correct SDK API
-      const response = await this.sdk.pub.getMany({
+      const response = await this.pubpub(`pubs offset ${offset}`, () => this.sdk.pub.getMany({
         query: {
           limit: CONFIG.BATCH_SIZE,
           offset: offset,
           sortBy: 'updatedAt',
           orderBy: 'DESC',
-          include: ['collectionPubs', 'attributions', 'community', 'draft', 'releases', 'outboundEdges']
+          include: ['collectionPubs', 'attributions', 'community', 'draft', 'releases', 'outboundEdges', 'inboundEdges']
         }
-      });
+      }));
 
       // Extract pubs array from response body
       // Check if response is an error
@@ -736,44 +1396,151 @@ class CrimRxivImporter {
         throw new Error(`PubPub API Error: ${response.body.message}`);
       }
 
-      const pubs = response.body || [];
+      const batch = response.body || [];
 
-      if (!pubs || pubs.length === 0) {
+      if (!batch || batch.length === 0) {
         console.log('⚠️  No more publications to fetch');
         hasMore = false;
         break;
       }
 
+      for (const pub of batch) {
+        this.checkpoint.upstreamIds.add(pub.id);
+        if (!pub.releases || pub.releases.length === 0) {
+          this.checkpoint.unpublishedIds.add(pub.id);
+        }
+      }
+
+      // Pubs are sorted by updatedAt DESC, so everything after the first
+      // pub older than the cutoff is older too - stop paging there
+      const pubs = since
+        ? batch.filter(pub => new Date(pub.updatedAt) >= since)
+        : batch;
+
+      if (pubs.length < batch.length) {
+        console.log(`⏹️  Reached pubs last updated before ${since.toISOString()}`);
+        hasMore = false;
+      }
+
+      if (pubs.length === 0) {
+        break;
+      }
+
       console.log(`📦 Batch: ${offset + 1} - ${offset + pubs.length} (${pubs.length} in this batch)`);
 
+      // Skip pubs finished before a --resume
+      const pending = pubs.filter(pub => !this.checkpoint.completedSlugs.has(pub.slug));
+      if (pending.length < pubs.length) {
+        console.log(`⏭️  ${pubs.length - pending.length} pub(s) already completed (checkpoint)`);
+      }
+
+      this.checkpoint.offset = offset;
+
       // Process pubs in parallel (5 at a time)
       const CONCURRENCY = 5;
-      for (let i = 0; i < pubs.length; i += CONCURRENCY) {
-        const chunk = pubs.slice(i, i + CONCURRENCY);
+      for (let i = 0; i < pending.length; i += CONCURRENCY) {
+        // Never start more pubs than the limit leaves
+        const chunk = pending.slice(i, i + Math.min(CONCURRENCY, remaining()));
 
         // Process this chunk in parallel
         await Promise.all(chunk.map(async (pub) => {
           this.stats.total++;
-          await this.processPub(pub);
+          processed++;
+          await this.processPubWithCheckpoint(pub);
         }));
 
+        await this.saveCheckpoint();
+
         // Check limit
-        if (limit && this.stats.total >= limit) {
+        if (remaining() <= 0) {
+          reachedLimit = true;
           console.log(`\n⚠️  Reached limit of ${limit} articles\n`);
           hasMore = false;
           break;
         }
       }
 
-      offset += pubs.length;
+      offset += batch.length;
 
       // If we got less than a full batch, we're done
-      if (pubs.length < CONFIG.BATCH_SIZE) {
+      if (batch.length < CONFIG.BATCH_SIZE) {
         hasMore = false;
       }
     }
 
-    // Print summary
+    // Only a full, unfiltered run has seen every pub, so only it can tell
+    // which articles disappeared upstream
+    if (!since && !reachedLimit) {
+      this.reconcileUpstream();
+    }
+
+    // A finished run no longer needs its checkpoint (limited test runs keep
+    // theirs so they can be continued with --resume)
+    if (!limit && this.checkpoint.failedSlugs.size === 0) {
+      await this.stateManager.clearState(CONFIG.CHECKPOINT_NAME);
+    } else {
+      await this.saveCheckpoint();
+      console.log(`\n💾 Checkpoint kept (${this.checkpoint.failedSlugs.size} failed pub(s)) - continue with --resume`);
+    }
+
+    // Record the run so the next --incremental import starts from here.
+    // Partial runs (--limit) or runs with errors are not recorded, otherwise
+    // the skipped/failed pubs would never be picked up again.
+    if (!limit && this.stats.errors === 0) {
+      this.db.recordScrapeRun({
+        ...this.stats,
+        scrapeDate: runStartedAt,
+        duration: (Date.now() - startTime) / 1000
+      });
+      console.log(`\n📝 Recorded scrape run (${runStartedAt})`);
+    } else {
+      console.log('\n⚠️  Scrape run not recorded (limited run or errors) - next incremental run will start from the previous cutoff');
+    }
+
+    this.printSummary(startTime);
+  }
+
+  /**
+   * Mark articles that are no longer published upstream
+   * - removed: PubPub no longer returns the pub at all
+   * - withdrawn: the pub still exists but has no releases (unpublished)
+   * Articles that show up again published are set back to active.
+   */
+  reconcileUpstream() {
+    console.log('\n🔎 Reconciling with PubPub...');
+
+    const { upstreamIds, unpublishedIds } = this.checkpoint;
+    const articles = this.db.getArticleStatuses();
+
+    const changes = articles
+      .map(article => ({
+        ...article,
+        newStatus: !upstreamIds.has(article.article_id)
+          ? 'removed'
+          : (unpublishedIds.has(article.article_id) ? 'withdrawn' : 'active')
+      }))
+      .filter(article => article.newStatus !== (article.status || 'active'));
+
+    // Guard against a truncated listing (API hiccup) wiping out the archive
+    const missing = changes.filter(article => article.newStatus !== 'active').length;
+    if (missing > articles.length * CONFIG.RECONCILE_MAX_MISSING && !process.argv.includes('--force-reconcile')) {
+      console.log(`⚠️  ${missing} of ${articles.length} articles would be marked withdrawn/removed - skipping (use --force-reconcile to apply)`);
+      return;
+    }
+
+    for (const article of changes) {
+      this.db.setArticleStatus(article.article_id, article.newStatus);
+      this.stats[article.newStatus === 'active' ? 'restored' : article.newStatus]++;
+      console.log(`   ${article.newStatus === 'active' ? '♻️ ' : '🚫'} ${article.slug}: ${article.status || 'active'} → ${article.newStatus}`);
+    }
+
+    console.log(`✅ Reconciled ${articles.length} articles (${changes.length} status change(s))`);
+  }
+
+  /**
+   * Print import summary
+   */
+  printSummary(startTime) {
     const duration = ((Date.now() - startTime) / 1000 / 60).toFixed(2);
 
     console.log('\n' + '='.repeat(60));
@@ -787,6 +1554,8 @@ class CrimRxivImporter {
     console.log(`Folders Created: ${this.stats.folders_created}`);
     console.log(`Attachments Downloaded: ${this.stats.attachments_downloaded}`);
     console.log(`Attachments Failed: ${this.stats.attachments_failed}`);
+    console.log(`Releases Skipped (on disk): ${this.stats.releases_skipped}`);
+    console.log(`Withdrawn / Removed / Restored: ${this.stats.withdrawn} / ${this.stats.removed} / ${this.stats.restored}`);
     console.log(`Duration: ${duration} minutes`);
     console.log('='.repeat(60) + '\n');
 
@@ -5,11 +5,20 @@
  *
  * This server properly serves .wasm files with the correct MIME type
  * and adds required CORS headers for SharedArrayBuffer support.
+ *
+ * It also answers OAI-PMH requests at /oai (GET or POST) from the static
+ * files written by `npm run export:oai`, so the repository can be checked
+ * with an OAI-PMH validator before deploying. Date-bounded lists (from/until),
+ * which static files can't answer, are rendered from the SQLite database,
+ * the same source as the export.
  */
 
 import express from 'express';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { OaiPmhRepository, resolveOaiRequest } from '../src/lib/oai-pmh.js';
+import { CrimRxivDatabase } from '../src/lib/database.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,6 +26,7 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 4174;
 const DIST_DIR = path.join(__dirname, '../dist');
+const OAI_DIR = path.join(__dirname, '../data/oai');
 
 // Middleware to set CORS headers (required for SharedArrayBuffer)
 app.use((req, res, next) => {
@@ -37,6 +47,54 @@ app.use((req, res, next) => {
   next();
 });
 
+// Articles for date-bounded OAI-PMH lists (loaded once; restart after re-importing)
+let oaiArticles = null;
+
+function getOaiArticles() {
+  if (!oaiArticles) {
+    const db = new CrimRxivDatabase();
+    db.initialize();
+    try {
+      oaiArticles = db.getLatestArticles();
+    } finally {
+      db.close();
+    }
+  }
+  return oaiArticles;
+}
+
+// OAI-PMH: map the request arguments to a pre-rendered response file
+app.all('/oai', express.urlencoded({ extended: false }), (req, res) => {
+  const args = req.method === 'POST' ? req.body : req.query;
+  const repository = new OaiPmhRepository({ baseUrl: `${req.protocol}://${req.get('host')}/oai` });
+  const request = Object.fromEntries(Object.entries(args).filter(([, value]) => typeof value === 'string'));
+  const result = resolveOaiRequest(args, { selective: true });
+
+  res.type('text/xml');
+  if (result.error) {
+    return res.send(repository.renderError(request, result.error));
+  }
+
+  // Selective harvesting: filter by datestamp instead of serving a file
+  if (result.list) {
+    repository.addArticles(getOaiArticles());
+    const xml = repository.renderSelectiveList(result.list);
+    return res.send(xml || repository.renderError(request, result.notFound));
+  }
+
+  const filePath = path.join(OAI_DIR, result.path);
+  const missing = [result.path, result.check].filter(Boolean)
+    .some(file => !fs.existsSync(path.join(OAI_DIR, file)));
+  if (missing) {
+    if (!fs.existsSync(path.join(OAI_DIR, 'Identify.xml'))) {
+      return res.status(503).type('text/plain').send('OAI-PMH files not found - run "npm run export:oai" first');
+    }
+    return res.send(repository.renderError(request, result.notFound));
+  }
+
+  res.sendFile(filePath);
+});
+
 // Serve static files from dist directory with proper MIME types
 app.use(express.static(DIST_DIR, {
   index: false, // Don't auto-serve index.html
@@ -70,5 +128,6 @@ app.listen(PORT, () => {
   console.log(`  ➜  Dist:    ${DIST_DIR}`);
   console.log('\n  ✓ WASM MIME types configured');
   console.log('  ✓ CORS headers enabled');
+  console.log(`  ✓ OAI-PMH: http://localhost:${PORT}/oai?verb=Identify`);
   console.log('\n  Press Ctrl+C to stop\n');
 });
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Full-Text Search (SQLite FTS5)
+ *
+ * Searches titles, abstracts, author names, keywords and full text of the
+ * latest version of every article, ranked by BM25.
+ *
+ * Query syntax: words are ANDed, "quoted phrases" match exactly and a
+ * trailing * matches prefixes (polic* → police, policing). Pass --raw to use
+ * FTS5 syntax directly (OR, NOT, NEAR(), column filters).
+ *
+ * Usage:
+ *   npm run search -- "procedural justice"
+ *   npm run search -- "body worn camera*" --year=2020-2023
+ *   npm run search -- "restorative" --author="Smith" --collection="Postprints"
+ *   npm run search -- --author="Weisburd" --limit=50
+ *   npm run search -- "police NOT (stop OR frisk)" --raw
+ *   npm run search -- "desistance" --json=results.json
+ *   npm run search -- --rebuild   # Rebuild the index from the articles table
+ */
+
+import fs from 'fs/promises';
+import { CrimRxivDatabase } from '../src/lib/database.js';
+
+function getArg(name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+/**
+ * --year=2021 or --year=2019-2022 (either end may be left open: 2019-, -2022)
+ */
+function parseYears(value) {
+  if (!value) return { yearFrom: null, yearTo: null };
+
+  const [from, to] = value.includes('-') ? value.split('-') : [value, value];
+  return {
+    yearFrom: from ? parseInt(from) : null,
+    yearTo: to ? parseInt(to) : null
+  };
+}
+
+function formatAuthors(authorsJson) {
+  const names = JSON.parse(authorsJson || '[]').map(author => author.name).filter(Boolean);
+  if (names.length === 0) return 'No authors listed';
+  return names.length > 3 ? `${names.slice(0, 3).join(', ')} et al.` : names.join(', ');
+}
+
+async function main() {
+  const query = process.argv.slice(2).filter(arg => !arg.startsWith('--')).join(' ');
+  const jsonPath = getArg('json');
+
+  // Bold matches on a terminal, brackets when piped to a file
+  const highlight = process.stdout.isTTY ? ['\x1b[1m', '\x1b[0m'] : ['[', ']'];
+
+  console.log('\n' + '='.repeat(60));
+  console.log('🔎 Full-Text Search');
+  console.log('='.repeat(60) + '\n');
+
+  const db = new CrimRxivDatabase();
+  db.initialize();
+  console.log();
+
+  try {
+    if (process.argv.includes('--rebuild')) {
+      const count = db.rebuildSearchIndex();
+      console.log(`✅ Search index rebuilt: ${count} articles\n`);
+      return;
+    }
+
+    const author = getArg('author');
+    const collection = getArg('collection');
+    const year = getArg('year');
+
+    if (!query && !author) {
+      console.error('❌ Usage: npm run search -- "<query>" [--author=] [--collection=] [--year=]\n');
+      process.exitCode = 1;
+      return;
+    }
+
+    const results = db.searchArticles(query, {
+      author,
+      collection,
+      ...parseYears(year),
+      limit: parseInt(getArg('limit')) || 20,
+      raw: process.argv.includes('--raw'),
+      highlight: jsonPath ? ['[', ']'] : highlight
+    });
+
+    const filters = [
+      author && `author: ${author}`,
+      collection && `collection: ${collection}`,
+      year && `year: ${year}`
+    ].filter(Boolean);
+    console.log(`Query: ${query || '(none)'}${filters.length > 0 ? `  (${filters.join(', ')})` : ''}`);
+    console.log(`Results: ${results.length}\n`);
+
+    if (jsonPath) {
+      const output = results.map(result => ({
+        ...result,
+        authors: JSON.parse(result.authors_json || '[]'),
+        collections: JSON.parse(result.collections_json || '[]'),
+        url: `https://www.crimrxiv.com/pub/${result.slug}`
+      }));
+      await fs.writeFile(jsonPath, JSON.stringify(output, null, 2));
+      console.log(`💾 Written: ${jsonPath}\n`);
+      return;
+    }
+
+    results.forEach((result, index) => {
+      const year = result.published_at ? result.published_at.substring(0, 4) : 'n.d.';
+      const status = result.status && result.status !== 'active' ? ` [${result.status}]` : '';
+
+      console.log(`${index + 1}. ${result.title}${status}`);
+      console.log(`   ${formatAuthors(result.authors_json)} (${year})`);
+      console.log(`   https://www.crimrxiv.com/pub/${result.slug}  score ${(-result.score).toFixed(2)}`);
+      if (result.snippet) {
+        console.log(`   ${result.snippet.replace(/\s+/g, ' ')}`);
+      }
+      console.log();
+    });
+  } catch (error) {
+    // FTS5 syntax errors in --raw queries are user errors, not crashes
+    if (process.argv.includes('--raw') && error.code?.includes('SQLITE')) {
+      console.error(`❌ Invalid search query: ${error.message}\n`);
+    } else {
+      console.error('❌ Search failed:', error);
+    }
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+// Run if executed directly
+const isRunningDirectly = process.argv[1] && process.argv[1].endsWith('search.js');
+if (isRunningDirectly) {
+  main();
+}
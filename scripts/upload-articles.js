@@ -10,7 +10,8 @@
  * 4. Updates SQLite with manifest_tx_id
  *
  * The uploadFolder() method creates a manifest automatically,
- * grouping all files in the folder under one TX ID.
+ * grouping all files in the folder under one TX ID. article.html is the
+ * manifest index, so https://arweave.net/{manifestTxId} opens the article.
  *
  * Usage:
  *   npm run upload:articles                        # Upload all (5 concurrent)
@@ -20,6 +21,7 @@
 
 import { TurboFactory, ArweaveSigner } from '@ardrive/turbo-sdk/node';
 import { CrimRxivDatabase } from '../src/lib/database.js';
+import { getHttpClient, TURBO_UPLOAD_HOST } from '../src/lib/http-client.js';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -45,6 +47,7 @@ class ArticleUploader {
   constructor() {
     this.turbo = null;
     this.db = null;
+    this.http = getHttpClient();
     this.stats = {
       total: 0,
       uploaded: 0,
@@ -112,8 +115,12 @@ class ArticleUploader {
       // This automatically creates a manifest!
       console.log(`   📤 Uploading folder...`);
 
-      const uploadResult = await this.turbo.uploadFolder({
+      // Rate limited and circuit broken, but never retried: a retry after Turbo
+      // accepted the folder would pay twice and create a second manifest
+      const uploadResult = await this.http.execute(TURBO_UPLOAD_HOST, () => this.turbo.uploadFolder({
         folderPath: articleDir,
+        // Opening the manifest URL directly shows the standalone article page
+        ...(fs.existsSync(path.join(articleDir, 'article.html')) ? { manifestOptions: { indexFile: 'article.html' } } : {}),
         dataItemOpts: {
           tags: [
             { name: 'App-Name', value: 'CrimRxiv-Archive' },
@@ -123,7 +130,7 @@ class ArticleUploader {
             // Content-Type auto-detected by SDK for each file type
           ]
         }
-      });
+      }), { label: `Upload ${slug}`, maxRetries: 0 });
 
       // Get manifest TX ID from manifestResponse
       const manifestTxId = uploadResult.manifestResponse?.id;
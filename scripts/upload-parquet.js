@@ -1,30 +1,45 @@
 #!/usr/bin/env node
 
 /**
- * Upload Parquet File to Arweave + Update ArNS Undername
+ * Upload Parquet Files to Arweave + Update ArNS Undername
  *
  * This script:
- * 1. Uploads metadata.parquet to Arweave using Turbo SDK
- * 2. Automatically updates ArNS undername to point to new TX ID
+ * 1. Uploads public/data/ (release.json, index.parquet,
+ *    metadata/year={YYYY}/data.parquet, deltas/, authors.parquet and the
+ *    scholarly/ dumps from npm run export:scholarly) to Arweave using Turbo
+ *    SDK. Files already uploaded with the same SHA-256 (see
+ *    data/uploads/data-files.json) are reused, so after a delta export only
+ *    the new delta, release.json and authors.parquet are uploaded
+ * 2. Uploads a path manifest for the folder and points the ArNS undername at it
  * 3. Provides verification URLs
  *
+ * With --fulltext it uploads public/fulltext/fulltext.parquet instead (a
+ * single file, much larger than the metadata) and points its own undername
+ * at it, so the data folder stays small and can be re-uploaded cheaply.
+ *
  * Required .env variables:
  * - ARWEAVE_WALLET_PATH: Path to Arweave wallet JWK file
  * - ARNS_ROOT_NAME: Root ArNS name (e.g., "crimrxiv")
  * - ARNS_DATA_UNDERNAME: Data undername (e.g., "data")
  * - ARNS_PROCESS_ID: ANT process ID for the ArNS name
+ * - ARNS_FULLTEXT_UNDERNAME: Full-text undername (optional, default "fulltext")
  *
- * Result: {ARNS_DATA_UNDERNAME}_{ARNS_ROOT_NAME} → Parquet TX ID
- * Example: data_crimrxiv → ar://abc123.../metadata.parquet
+ * Result: {ARNS_DATA_UNDERNAME}_{ARNS_ROOT_NAME} → data folder manifest
+ * Example: data_crimrxiv/index.parquet → ar://abc123.../index.parquet
+ * Full text: fulltext_crimrxiv → ar://def456... (fulltext.parquet)
  *
  * Usage:
  *   npm run upload:parquet
+ *   npm run upload:parquet -- --force   # Re-upload every file
+ *   npm run upload:fulltext
  */
 
 import { TurboFactory, ArweaveSigner } from '@ardrive/turbo-sdk/node';
 import { ANT } from '@ar.io/sdk';
+import { getHttpClient, TURBO_UPLOAD_HOST } from '../src/lib/http-client.js';
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 
@@ -38,22 +53,26 @@ const packageJson = JSON.parse(await fs.readFile(path.join(__dirname, '../packag
 const APP_VERSION = packageJson.version;
 
 const CONFIG = {
-  PARQUET_PATH: path.join(__dirname, '../public/data/metadata.parquet'),
+  DATA_DIR: path.join(__dirname, '../public/data'),
+  FULLTEXT_PATH: path.join(__dirname, '../public/fulltext/fulltext.parquet'),
+  UPLOAD_LEDGER: path.join(__dirname, '../data/uploads/data-files.json'),  // path → { sha256, id } of uploaded files
   WALLET_PATH: process.env.ARWEAVE_WALLET_PATH,
   ARNS_ROOT_NAME: process.env.ARNS_ROOT_NAME,
   ARNS_DATA_UNDERNAME: process.env.ARNS_DATA_UNDERNAME || 'data',
+  ARNS_FULLTEXT_UNDERNAME: process.env.ARNS_FULLTEXT_UNDERNAME || 'fulltext',
   ARNS_PROCESS_ID: process.env.ARNS_PROCESS_ID,
 };
 
 /**
  * Update ArNS undername to point to new TX ID
+ * (the data undername unless another one is given)
  */
-async function updateArNSRecord(txId, walletJwk) {
+async function updateArNSRecord(txId, walletJwk, undername = CONFIG.ARNS_DATA_UNDERNAME) {
   console.log('\n' + '='.repeat(60));
   console.log('🌐 Updating ArNS Undername');
   console.log('='.repeat(60) + '\n');
 
-  console.log(`📝 Undername: ${CONFIG.ARNS_DATA_UNDERNAME}`);
+  console.log(`📝 Undername: ${undername}`);
   console.log(`📝 Root name: ${CONFIG.ARNS_ROOT_NAME}`);
   console.log(`📝 Target TX: ${txId}\n`);
 
@@ -62,8 +81,8 @@ async function updateArNSRecord(txId, walletJwk) {
     if (!CONFIG.ARNS_PROCESS_ID) {
       throw new Error('ARNS_PROCESS_ID is not configured in .env');
     }
-    if (!CONFIG.ARNS_DATA_UNDERNAME) {
-      throw new Error('ARNS_DATA_UNDERNAME is not configured in .env');
+    if (!undername) {
+      throw new Error('Undername is not configured in .env');
     }
     if (!txId) {
       throw new Error('Transaction ID is missing');
@@ -90,7 +109,7 @@ async function updateArNSRecord(txId, walletJwk) {
     console.log('\n📤 Setting undername record...');
 
     const recordParams = {
-      undername: CONFIG.ARNS_DATA_UNDERNAME,
+      undername,
       transactionId: txId,
       ttlSeconds: 60
     };
@@ -117,9 +136,9 @@ async function updateArNSRecord(txId, walletJwk) {
     console.log('='.repeat(60));
     console.log('🌐 ARNS UPDATE RESULT');
     console.log('='.repeat(60));
-    console.log(`Undername: ${CONFIG.ARNS_DATA_UNDERNAME}_${CONFIG.ARNS_ROOT_NAME}`);
+    console.log(`Undername: ${undername}_${CONFIG.ARNS_ROOT_NAME}`);
     console.log(`Target TX: ${txId}`);
-    console.log(`Direct URL: https://${CONFIG.ARNS_DATA_UNDERNAME}_${CONFIG.ARNS_ROOT_NAME}.arweave.net`);
+    console.log(`Direct URL: https://${undername}_${CONFIG.ARNS_ROOT_NAME}.arweave.net`);
     console.log(`Result:`, result);
     console.log('='.repeat(60) + '\n');
 
@@ -128,14 +147,137 @@ async function updateArNSRecord(txId, walletJwk) {
     console.error('❌ Failed to update ArNS record:', error.message);
     console.error('   Error stack:', error.stack);
     console.error('\n💡 You can manually update the record later using:');
-    console.error(`   ARNS_DATA_UNDERNAME=${CONFIG.ARNS_DATA_UNDERNAME}`);
+    console.error(`   Undername: ${undername}`);
     console.error(`   TX_ID=${txId}\n`);
     throw error;
   }
 }
 
+// Content-Type of the scholarly metadata dumps, by extension
+const SCHOLARLY_CONTENT_TYPES = {
+  '.bib': 'application/x-bibtex',
+  '.ris': 'application/x-research-info-systems',
+  '.csl.json': 'application/vnd.citationstyles.csl+json',
+  '.jsonld': 'application/ld+json'
+};
+
+/**
+ * Content-Type tag for a data file
+ */
+function getContentType(file) {
+  const scholarly = Object.keys(SCHOLARLY_CONTENT_TYPES).find(extension => file.endsWith(extension));
+  if (scholarly) return SCHOLARLY_CONTENT_TYPES[scholarly];
+  return file.endsWith('.json') ? 'application/json' : 'application/octet-stream';
+}
+
 /**
- * Upload parquet file to Arweave
+ * File-Type tag for a data file
+ */
+function getFileType(file) {
+  if (file.startsWith('scholarly/')) return file.slice(file.indexOf('.') + 1);
+  return file.endsWith('.json') ? 'json' : 'parquet';
+}
+
+/**
+ * Upload the files of public/data/ that changed since the last upload,
+ * then a path manifest over all of them
+ * @returns {object} { manifestId, uploaded, reused, uploadedBytes }
+ */
+async function uploadDataFiles(turbo, files) {
+  let ledger = { files: {} };
+  if (!process.argv.includes('--force')) {
+    try {
+      ledger = JSON.parse(await fs.readFile(CONFIG.UPLOAD_LEDGER, 'utf-8'));
+    } catch (error) {
+      console.log('ℹ️  No upload ledger yet, uploading every file\n');
+    }
+  }
+
+  const paths = {};
+  const uploadedFiles = {};
+  let uploaded = 0;
+  let uploadedBytes = 0;
+
+  for (const file of files) {
+    const buffer = await fs.readFile(path.join(CONFIG.DATA_DIR, file));
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const previous = ledger.files[file];
+
+    if (previous?.sha256 === sha256) {
+      paths[file] = { id: previous.id };
+      uploadedFiles[file] = previous;
+      continue;
+    }
+
+    console.log(`📤 ${file} (${(buffer.length / 1024).toFixed(1)} KB)`);
+    const result = await getHttpClient().execute(TURBO_UPLOAD_HOST, () => turbo.uploadFile({
+      fileStreamFactory: () => buffer,
+      fileSizeFactory: () => buffer.length,
+      dataItemOpts: {
+        tags: [
+          { name: 'Content-Type', value: getContentType(file) },
+          { name: 'App-Name', value: 'CrimRxiv-Archive' },
+          { name: 'App-Version', value: APP_VERSION },
+          { name: 'File-Type', value: getFileType(file) },
+          { name: 'Data-Type', value: 'metadata' },
+          { name: 'Path', value: file }
+        ]
+      }
+    }), { label: `Upload ${file}`, maxRetries: 0 });
+
+    if (!result.id) {
+      throw new Error(`No transaction ID returned for ${file}`);
+    }
+
+    paths[file] = { id: result.id };
+    uploadedFiles[file] = { sha256, id: result.id };
+    uploaded++;
+    uploadedBytes += buffer.length;
+  }
+
+  // Arweave path manifest: data_crimrxiv/{path} resolves to each file
+  const manifest = JSON.stringify({
+    manifest: 'arweave/paths',
+    version: '0.2.0',
+    index: { path: 'release.json' },
+    paths
+  });
+
+  const manifestResult = await getHttpClient().execute(TURBO_UPLOAD_HOST, () => turbo.uploadFile({
+    fileStreamFactory: () => Buffer.from(manifest),
+    fileSizeFactory: () => Buffer.byteLength(manifest),
+    dataItemOpts: {
+      tags: [
+        { name: 'Content-Type', value: 'application/x.arweave-manifest+json' },
+        { name: 'App-Name', value: 'CrimRxiv-Archive' },
+        { name: 'App-Version', value: APP_VERSION },
+        { name: 'Data-Type', value: 'metadata' },
+        { name: 'Description', value: 'CrimRxiv article metadata in Parquet format (base + deltas)' }
+      ]
+    }
+  }), { label: 'Upload data manifest', maxRetries: 0 });
+
+  if (!manifestResult.id) {
+    throw new Error('No manifest ID returned from upload');
+  }
+
+  await fs.mkdir(path.dirname(CONFIG.UPLOAD_LEDGER), { recursive: true });
+  await fs.writeFile(CONFIG.UPLOAD_LEDGER, JSON.stringify({
+    manifestId: manifestResult.id,
+    uploadedAt: new Date().toISOString(),
+    files: uploadedFiles
+  }, null, 2));
+
+  return {
+    manifestId: manifestResult.id,
+    uploaded,
+    reused: files.length - uploaded,
+    uploadedBytes
+  };
+}
+
+/**
+ * Upload parquet files to Arweave
  */
 async function uploadParquet() {
   console.log('\n' + '='.repeat(60));
@@ -155,21 +297,117 @@ async function uploadParquet() {
     process.exit(1);
   }
 
-  // Check if parquet file exists
+  // Check if the export exists
+  try {
+    await fs.access(path.join(CONFIG.DATA_DIR, 'index.parquet'));
+    await fs.access(path.join(CONFIG.DATA_DIR, 'release.json'));
+  } catch (error) {
+    console.error(`❌ Error: index.parquet or release.json not found in ${CONFIG.DATA_DIR}`);
+    console.error('   Run "npm run export" first to generate the parquet files\n');
+    process.exit(1);
+  }
+
+  try {
+    // Get folder stats
+    const files = (await fs.readdir(CONFIG.DATA_DIR, { recursive: true }))
+      .map(file => file.split(path.sep).join('/'))
+      .filter(file => file.endsWith('.parquet') || file === 'release.json' ||
+        (file.startsWith('scholarly/') && getContentType(file) !== 'application/octet-stream'))
+      .sort();
+    let totalSize = 0;
+    for (const file of files) {
+      totalSize += (await fs.stat(path.join(CONFIG.DATA_DIR, file))).size;
+    }
+    const sizeMB = (totalSize / 1024 / 1024).toFixed(2);
+
+    console.log(`📦 Folder: ${CONFIG.DATA_DIR} (${files.length} files)`);
+    console.log(`💾 Size: ${sizeMB} MB\n`);
+
+    // Load wallet
+    console.log('🔑 Loading Arweave wallet...');
+    const walletJson = JSON.parse(await fs.readFile(CONFIG.WALLET_PATH, 'utf-8'));
+    const signer = new ArweaveSigner(walletJson);
+
+    // Initialize Turbo
+    console.log('🚀 Initializing Turbo SDK...');
+    const turbo = TurboFactory.authenticated({ signer });
+
+    // Check balance
+    const balance = await turbo.getBalance();
+    console.log(`💰 Balance: ${balance.winc} winc\n`);
+
+    // Upload changed files + manifest (paths relative to public/data/)
+    console.log('📤 Uploading to Arweave via Turbo...');
+    console.log('   This may take a few minutes...\n');
+
+    const { manifestId, uploaded, reused, uploadedBytes } = await uploadDataFiles(turbo, files);
+
+    console.log('✅ Upload successful!\n');
+    console.log('='.repeat(60));
+    console.log('📊 UPLOAD RESULT');
+    console.log('='.repeat(60));
+    console.log(`Manifest ID: ${manifestId}`);
+    console.log(`Files: ${files.length} (${sizeMB} MB)`);
+    console.log(`Uploaded: ${uploaded} (${(uploadedBytes / 1024 / 1024).toFixed(2)} MB), reused: ${reused}`);
+    console.log(`Index URL: https://arweave.net/${manifestId}/index.parquet`);
+    console.log('='.repeat(60) + '\n');
+
+    // Update ArNS record to point to new TX ID
+    try {
+      await updateArNSRecord(manifestId, walletJson);
+    } catch (error) {
+      console.warn('⚠️  Warning: Upload succeeded but ArNS update failed');
+      console.warn('   You can update the record manually later\n');
+    }
+
+    console.log('💡 Next steps:');
+    console.log('  1. Wait for confirmation (~2-10 minutes)');
+    console.log(`  2. Test direct URL: https://arweave.net/${manifestId}/index.parquet`);
+    console.log(`  3. Test ArNS URL: https://${CONFIG.ARNS_DATA_UNDERNAME}_${CONFIG.ARNS_ROOT_NAME}.arweave.net/index.parquet`);
+    console.log('  4. Deploy app: npm run deploy\n');
+
+    return manifestId;
+  } catch (error) {
+    console.error('\n❌ Upload failed:', error);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+/**
+ * Upload fulltext.parquet to Arweave (own undername)
+ */
+async function uploadFulltext() {
+  console.log('\n' + '='.repeat(60));
+  console.log('📤 Upload Full-Text Index to Arweave + Update ArNS');
+  console.log('='.repeat(60) + '\n');
+
+  // Validate configuration
+  const missingVars = [];
+  if (!CONFIG.WALLET_PATH) missingVars.push('ARWEAVE_WALLET_PATH');
+  if (!CONFIG.ARNS_ROOT_NAME) missingVars.push('ARNS_ROOT_NAME');
+  if (!CONFIG.ARNS_PROCESS_ID) missingVars.push('ARNS_PROCESS_ID');
+
+  if (missingVars.length > 0) {
+    console.error('❌ Error: Missing required .env variables:');
+    missingVars.forEach(v => console.error(`   - ${v}`));
+    console.error('\nPlease add these to your .env file\n');
+    process.exit(1);
+  }
+
   try {
-    await fs.access(CONFIG.PARQUET_PATH);
+    await fs.access(CONFIG.FULLTEXT_PATH);
   } catch (error) {
-    console.error(`❌ Error: Parquet file not found at ${CONFIG.PARQUET_PATH}`);
-    console.error('   Run "npm run export" first to generate the parquet file\n');
+    console.error(`❌ Error: fulltext.parquet not found at ${CONFIG.FULLTEXT_PATH}`);
+    console.error('   Run "npm run export" first (without --no-fulltext)\n');
     process.exit(1);
   }
 
   try {
-    // Get file stats
-    const stats = await fs.stat(CONFIG.PARQUET_PATH);
+    const stats = await fs.stat(CONFIG.FULLTEXT_PATH);
     const sizeMB = (stats.size / 1024 / 1024).toFixed(2);
 
-    console.log(`📦 File: ${path.basename(CONFIG.PARQUET_PATH)}`);
+    console.log(`📦 File: ${path.basename(CONFIG.FULLTEXT_PATH)}`);
     console.log(`💾 Size: ${sizeMB} MB\n`);
 
     // Load wallet
@@ -185,15 +423,13 @@ async function uploadParquet() {
     const balance = await turbo.getBalance();
     console.log(`💰 Balance: ${balance.winc} winc\n`);
 
-    // Read file
     console.log('📖 Reading parquet file...');
-    const fileBuffer = await fs.readFile(CONFIG.PARQUET_PATH);
+    const fileBuffer = await fs.readFile(CONFIG.FULLTEXT_PATH);
 
-    // Upload
     console.log('📤 Uploading to Arweave via Turbo...');
     console.log('   This may take a few minutes...\n');
 
-    const uploadResult = await turbo.uploadFile({
+    const uploadResult = await getHttpClient().execute(TURBO_UPLOAD_HOST, () => turbo.uploadFile({
       fileStreamFactory: () => fileBuffer,
       fileSizeFactory: () => stats.size,
       dataItemOpts: {
@@ -202,13 +438,12 @@ async function uploadParquet() {
           { name: 'App-Name', value: 'CrimRxiv-Archive' },
           { name: 'App-Version', value: APP_VERSION },
           { name: 'File-Type', value: 'parquet' },
-          { name: 'Data-Type', value: 'metadata' },
-          { name: 'Description', value: 'CrimRxiv article metadata in Parquet format' }
+          { name: 'Data-Type', value: 'fulltext' },
+          { name: 'Description', value: 'CrimRxiv article full text (slug + normalized body) in Parquet format' }
         ]
       }
-    });
+    }), { label: 'Upload fulltext.parquet', maxRetries: 0 });
 
-    // Verify we got a transaction ID
     if (!uploadResult.id) {
       console.error('❌ Error: No transaction ID returned from upload');
       console.error('Upload result:', JSON.stringify(uploadResult, null, 2));
@@ -224,9 +459,8 @@ async function uploadParquet() {
     console.log(`Direct URL: https://arweave.net/${uploadResult.id}`);
     console.log('='.repeat(60) + '\n');
 
-    // Update ArNS record to point to new TX ID
     try {
-      await updateArNSRecord(uploadResult.id, walletJson);
+      await updateArNSRecord(uploadResult.id, walletJson, CONFIG.ARNS_FULLTEXT_UNDERNAME);
     } catch (error) {
       console.warn('⚠️  Warning: Upload succeeded but ArNS update failed');
       console.warn('   You can update the record manually later\n');
@@ -234,9 +468,8 @@ async function uploadParquet() {
 
     console.log('💡 Next steps:');
     console.log('  1. Wait for confirmation (~2-10 minutes)');
-    console.log(`  2. Test direct URL: https://arweave.net/${uploadResult.id}`);
-    console.log(`  3. Test ArNS URL: https://${CONFIG.ARNS_DATA_UNDERNAME}_${CONFIG.ARNS_ROOT_NAME}.arweave.net`);
-    console.log('  4. Deploy app: npm run deploy\n');
+    console.log(`  2. Test ArNS URL: https://${CONFIG.ARNS_FULLTEXT_UNDERNAME}_${CONFIG.ARNS_ROOT_NAME}.arweave.net`);
+    console.log('  3. Run a full-text search in the app\n');
 
     return uploadResult.id;
   } catch (error) {
@@ -253,7 +486,12 @@ const isRunningDirectly = process.argv[1] && (
 );
 
 if (isRunningDirectly) {
-  uploadParquet();
+  if (process.argv.includes('--fulltext')) {
+    uploadFulltext();
+  } else {
+    uploadParquet();
+  }
 }
 
+export { uploadFulltext };
 export default uploadParquet;
@@ -20,6 +20,7 @@
  */
 
 import { TurboFactory, ArweaveSigner } from '@ardrive/turbo-sdk/node';
+import { getHttpClient, TURBO_UPLOAD_HOST } from '../src/lib/http-client.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -97,7 +98,7 @@ async function uploadWasm() {
     console.log('📤 Uploading folder to Arweave...');
     console.log('   This may take a few minutes...\n');
 
-    const uploadResult = await turbo.uploadFolder({
+    const uploadResult = await getHttpClient().execute(TURBO_UPLOAD_HOST, () => turbo.uploadFolder({
       folderPath: CONFIG.WASM_DIR,
       dataItemOpts: {
         tags: [
@@ -107,7 +108,7 @@ async function uploadWasm() {
           // Content-Type auto-detected by SDK for each file type
         ]
       }
-    });
+    }), { label: 'Upload DuckDB WASM', maxRetries: 0 });
 
     // Get manifest TX ID from manifestResponse
     const txId = uploadResult.manifestResponse?.id;
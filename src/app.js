@@ -4,7 +4,7 @@
  * Main application entry point. Initializes DuckDB-WASM and manages routing.
  */
 
-import { ParquetDB } from './lib/parquet-db-external.js';
+import { ParquetDB, DataVersionMismatchError } from './lib/parquet-db-external.js';
 import { manifestLoader } from './lib/manifest-loader.js';
 import { Router } from './lib/router.js';
 import { Homepage } from './components/homepage.js';
@@ -53,6 +53,7 @@ export class CrimRxivApp {
       this.db = new ParquetDB();
       await this.db.initialize();
       console.log('✅ Database ready');
+      this.updateDataFreshness();
 
       // Initialize router first (components will get it via this)
       this.router = new Router(this);
@@ -78,7 +79,9 @@ export class CrimRxivApp {
       await this.router.handleRoute();
     } catch (error) {
       console.error('❌ Failed to initialize app:', error);
-      this.showError('Failed to initialize application: ' + error.message);
+      this.showError(error instanceof DataVersionMismatchError
+        ? error.message
+        : 'Failed to initialize application: ' + error.message);
     }
   }
 
@@ -181,13 +184,13 @@ export class CrimRxivApp {
   /**
    * Show search results
    */
-  async showSearch(query) {
+  async showSearch(query, options = {}) {
     try {
       // Note: Static content visibility is managed by router
       // Show loading indicator
       this.showLoadingIndicator();
 
-      const html = await this.components.search.render(query);
+      const html = await this.components.search.render(query, options);
       this.updateView(html);
       this.updatePageTitle(`Search: ${query} - CrimRxiv Archive`);
     } catch (error) {
@@ -291,6 +294,27 @@ export class CrimRxivApp {
     }, 3000); // Auto-remove after 3 seconds
   }
 
+  /**
+   * Show when the data was exported (footer), from release.json
+   */
+  updateDataFreshness() {
+    const element = document.getElementById('data-freshness');
+    const release = this.db.release;
+    if (!element || !release) return;
+
+    const exportedAt = new Date(release.exported_at);
+    const days = Math.floor((Date.now() - exportedAt.getTime()) / (24 * 60 * 60 * 1000));
+    const age = days <= 0 ? 'today' : days === 1 ? 'yesterday' : `${days} days ago`;
+
+    element.textContent = `Data updated ${exportedAt.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    })} (${age}) · ${Number(release.row_count).toLocaleString('en-US')} articles`;
+    element.title = `Schema v${release.schema_version} · ${release.content_hash}` +
+      (release.source_commit ? ` · commit ${release.source_commit.substring(0, 7)}` : '');
+  }
+
   /**
    * Show error message
    */
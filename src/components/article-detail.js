@@ -15,7 +15,8 @@
 import { EditorState } from 'prosemirror-state';
 import { EditorView } from 'prosemirror-view';
 import { schema } from 'prosemirror-schema-basic';
-import { getManifestUrl, getAttachmentUrl } from '../config/arweave.js';
+import { getManifestUrl, getAttachmentUrl, getLocalArticleUrl, isDevelopment, isUsingRemoteData } from '../config/arweave.js';
+import { classifyContent, getContentTypeLabel } from '../config/content-types.js';
 
 export class ArticleDetail {
   constructor(db, router, manifestLoader) {
@@ -27,6 +28,10 @@ export class ArticleDetail {
     this.versionsData = null;
     this.currentVersion = null;
     this.currentSlug = null;
+
+    // Where archived inline images live (set when content comes from a manifest)
+    this.contentManifestTxId = null;
+    this.contentBasePath = '';
   }
 
   /**
@@ -75,6 +80,8 @@ export class ArticleDetail {
 
       // Store current slug
       this.currentSlug = slug;
+      this.contentManifestTxId = null;
+      this.contentBasePath = '';
 
       // Track if we failed to load the manifest
       let manifestLoadFailed = false;
@@ -129,6 +136,10 @@ export class ArticleDetail {
 
             const html = this.renderManifestArticle(fullArticle);
 
+            // Version content.json lives in {version}/, so its image paths do too
+            this.contentManifestTxId = metadata.manifest_tx_id;
+            this.contentBasePath = `${this.currentVersion}/`;
+
             // Render ProseMirror content after DOM is ready (if available)
             if (fullArticle.content_prosemirror) {
               setTimeout(() => this.renderProseMirrorContent(fullArticle.slug, fullArticle.content_prosemirror), 0);
@@ -142,6 +153,7 @@ export class ArticleDetail {
             // Single version article - use default loading
             const fullArticle = await this.manifestLoader.getFullArticle(metadata);
             const html = this.renderManifestArticle(fullArticle);
+            this.contentManifestTxId = metadata.manifest_tx_id;
 
             // Render ProseMirror content after DOM is ready (if available)
             if (fullArticle.content_prosemirror) {
@@ -902,22 +914,19 @@ export class ArticleDetail {
   }
 
   /**
-   * Determine publication type from collections
-   * @param {object} article - Article with collections array
+   * Determine publication type from the import-time classification
+   * @param {object} article - Article with content_type (Parquet) or contentType (metadata.json)
    * @returns {string} Publication type for display
    */
   getPublicationType(article) {
-    const collections = article.collections || [];
-
-    // Check for specific collection types in priority order
-    if (collections.includes('Code/Software & Datasets')) return 'Code/Software & Datasets';
-    if (collections.includes('Crimversations')) return 'Crimversations';
-    if (collections.includes('News')) return 'News';
-    if (collections.includes('Postprints + Versions of Record')) return 'Postprints + Versions of Record';
-    if (collections.includes('Preprints + Working Papers')) return 'Preprints + Working Papers';
+    // Data exported before content_type existed: classify with the same rules
+    const contentType = article.content_type || article.contentType || classifyContent({
+      title: article.title,
+      collections: article.collections,
+      authors: article.authors
+    });
 
-    // Return first collection or default
-    return collections.length > 0 ? collections[0] : 'Publication';
+    return getContentTypeLabel(contentType);
   }
 
   /**
@@ -949,6 +958,9 @@ export class ArticleDetail {
               </div>
             ` : ''}
 
+            <!-- Withdrawn / Removed Notice -->
+            ${this.renderStatusNotice(article)}
+
             <!-- Publication Type & Date -->
             <div class="publication-meta">
               <span class="publication-type">${publicationType}</span>
@@ -1069,6 +1081,9 @@ export class ArticleDetail {
               </section>
             ` : ''}
 
+            <!-- References & Cited By -->
+            ${this.renderReferences(article.references_json, article.citations_json)}
+
             <!-- Attachments -->
             ${article.attachments && article.attachments.length > 0 ? `
               <section class="attachments-section">
@@ -1144,6 +1159,9 @@ export class ArticleDetail {
               </div>
             ` : ''}
 
+            <!-- Withdrawn / Removed Notice -->
+            ${this.renderStatusNotice(article)}
+
             <!-- Publication Type & Date -->
             <div class="publication-meta">
               <span class="publication-type">${publicationType}</span>
@@ -1263,6 +1281,9 @@ export class ArticleDetail {
               </section>
             ` : ''}
 
+            <!-- References & Cited By -->
+            ${this.renderReferences(article.references_json, article.citations_json)}
+
             <!-- Attachments -->
             ${article.attachments_json ? `
               <section class="attachments-section">
@@ -1466,6 +1487,23 @@ export class ArticleDetail {
     }
   }
 
+  /**
+   * Resolve an image node's src, preferring the copy archived in the
+   * article manifest (attrs.localPath) over the original CDN URL
+   */
+  resolveImageSrc(attrs) {
+    if (attrs.localPath && this.contentManifestTxId) {
+      const imagePath = `${this.contentBasePath}${attrs.localPath}`;
+
+      // In full local mode, articles are served from data/articles/{slug}/
+      if (isDevelopment() && !isUsingRemoteData()) {
+        return getLocalArticleUrl(this.currentSlug, imagePath);
+      }
+      return getAttachmentUrl(this.contentManifestTxId, imagePath);
+    }
+    return attrs.url || attrs.src || '';
+  }
+
   /**
    * Simple ProseMirror to HTML converter
    */
@@ -1544,8 +1582,8 @@ export class ArticleDetail {
           return text;
 
         case 'image':
-          const src = attrs.src || '';
-          const alt = attrs.alt || '';
+          const src = this.resolveImageSrc(attrs);
+          const alt = attrs.alt || attrs.altText || '';
           const title = attrs.title || '';
           return `<figure><img src="${this.escapeHtml(src)}" alt="${this.escapeHtml(alt)}" />${title ? `<figcaption>${this.escapeHtml(title)}</figcaption>` : ''}</figure>`;
 
@@ -1832,6 +1870,107 @@ export class ArticleDetail {
     }
   }
 
+  /**
+   * Render a notice for articles that were withdrawn or removed on CrimRxiv
+   * (status is set by the importer's reconciliation pass)
+   */
+  renderStatusNotice(article) {
+    const status = article._parquetMetadata?.status || article.status;
+    if (!status || status === 'active') return '';
+
+    const heading = status === 'withdrawn'
+      ? 'This article has been withdrawn'
+      : 'This article has been removed from CrimRxiv';
+    const since = article._parquetMetadata?.status_changed_at || article.status_changed_at;
+
+    return `
+      <div class="warning-banner" style="background: #fdecea; border: 2px solid #e57373; border-radius: 8px; padding: 16px; margin-bottom: 24px;">
+        <div style="display: flex; align-items: start; gap: 12px;">
+          <span style="font-size: 24px;">🚫</span>
+          <div>
+            <strong style="color: #b71c1c; font-size: 16px;">${heading}</strong>
+            <p style="color: #b71c1c; margin: 8px 0 0 0; line-height: 1.5;">
+              ${since ? `Detected on ${this.formatDate(since)}. ` : ''}It is no longer published on CrimRxiv; the copy below is preserved in the archive as it was last released.
+            </p>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render reference list and cited-by list (from pub edges and DOI citations)
+   */
+  renderReferences(referencesJson, citationsJson) {
+    let references = [];
+    let citations = [];
+
+    try {
+      references = JSON.parse(referencesJson || '[]');
+      citations = JSON.parse(citationsJson || '[]');
+    } catch (error) {
+      console.error('Failed to parse references:', error);
+      return '';
+    }
+
+    if (references.length === 0 && citations.length === 0) {
+      return '';
+    }
+
+    // Internal pubs link to the archive, everything else to DOI or URL
+    const renderItem = (item) => {
+      const label = this.escapeHtml(item.title || item.text || item.doi || item.url || 'Untitled');
+      const href = item.slug
+        ? `#/article/${item.slug}`
+        : (item.doi ? `https://doi.org/${item.doi}` : item.url);
+
+      return `
+        <li class="reference-item">
+          ${href ? `<a href="${this.escapeHtml(href)}"${item.slug ? '' : ' target="_blank"'}>${label}</a>` : label}
+          ${item.doi && item.title ? `<span class="reference-doi">doi:${this.escapeHtml(item.doi)}</span>` : ''}
+        </li>
+      `;
+    };
+
+    return `
+      ${references.length > 0 ? `
+        <section class="references-section">
+          <h3 class="subsection-title">References (${references.length})</h3>
+          <ol class="references-list">
+            ${references.map(renderItem).join('')}
+          </ol>
+        </section>
+      ` : ''}
+      ${citations.length > 0 ? `
+        <section class="references-section">
+          <h3 class="subsection-title">Cited By (${citations.length})</h3>
+          <ul class="references-list">
+            ${citations.map(renderItem).join('')}
+          </ul>
+        </section>
+      ` : ''}
+      <style>
+        .references-list {
+          padding-left: 1.5rem;
+          margin: 0.5rem 0 1.5rem;
+        }
+
+        .reference-item {
+          margin-bottom: 0.5rem;
+          line-height: 1.5;
+          font-size: 0.95rem;
+        }
+
+        .reference-doi {
+          display: block;
+          font-size: 0.8rem;
+          color: #6c757d;
+          font-family: 'Courier New', monospace;
+        }
+      </style>
+    `;
+  }
+
   /**
    * Render release selector UI (compact, expandable)
    */
@@ -4,46 +4,14 @@
  * Displays CrimRxiv Consortium members and information
  */
 
+import { CONSORTIUM_MEMBERS } from '../config/consortium-members.js';
+
 export class Consortium {
   constructor(db, router) {
     this.db = db;
     this.router = router;
 
-    // Consortium members from crimrxiv.com/consortium
-    this.members = [
-      { name: 'University of Manchester, Department of Criminology', slug: 'university-of-manchester-criminology', logo: 'uomcriminology.png', patterns: ['University of Manchester'] },
-      { name: 'University of Manchester, Office for Open Research', slug: 'university-of-manchester-open-research', logo: 'uomopenresearch.png', patterns: ['University of Manchester'] },
-      { name: 'Knowledge Futures', slug: 'knowledge-futures', logo: 'kf1c.png', patterns: ['Knowledge Futures'] },
-      { name: 'Academy of Criminal Justice Sciences', slug: 'academy-criminal-justice-sciences', logo: 'acjs1c.jpg', patterns: ['Academy of Criminal Justice Sciences', 'ACJS'] },
-      { name: 'Criminology: An Interdisciplinary Journal', slug: 'criminology-journal', logo: 'crim2.jpg', patterns: ['Criminology: An Interdisciplinary Journal', 'CRIMINOLOGY', 'Criminology & Public Policy', 'Criminology and Public Policy'] },
-      { name: 'Georgia State University, Evidence-Based Cybersecurity Research Group', slug: 'georgia-state-university', logo: 'cybersecurity1c.png', patterns: ['Georgia State University'] },
-      { name: 'Ghent University, Department of Criminology', slug: 'ghent-university', logo: 'ghent1c.jpg', patterns: ['Ghent University', 'Universiteit Gent'] },
-      { name: 'Hawai\'i Crime Lab', slug: 'hawaii-crime-lab', logo: 'hawaiicrimelab.jpg', patterns: ['Hawaii Crime Lab', 'Hawai\'i Crime Lab'] },
-      { name: 'John Jay College of Criminal Justice, Research & Evaluation Center', slug: 'john-jay-college', logo: 'johnjayrec1c.png', patterns: ['John Jay College'] },
-      { name: 'Journal of Historical Criminology', slug: 'journal-historical-criminology', logo: 'jhc.jpg', patterns: ['Journal of Historical Criminology', 'ASC Historical Criminology', 'Historical Criminology'] },
-      { name: 'Max Planck Institute for the Study of Crime, Security & Law', slug: 'max-planck-institute', logo: 'mpicsl.jpg', patterns: ['Max Planck Institute'] },
-      { name: 'Northeastern University, School of Criminology & Criminal Justice', slug: 'northeastern-university', logo: 'northeasternccj.png', patterns: ['Northeastern University'] },
-      { name: 'Oral History of Criminology Project', slug: 'oral-history-criminology', logo: 'ohcp1c.jpg', patterns: ['Oral History of Criminology'] },
-      { name: 'Philadelphia District Attorney\'s Office, DATA Lab', slug: 'philadelphia-da-office', logo: 'philadelphia-dao-datalab.jpg', patterns: ['Philadelphia District Attorney', 'Philadelphia DA'] },
-      { name: 'Simon Fraser University, School of Criminology', slug: 'simon-fraser-university', logo: 'sfu1c.png', patterns: ['Simon Fraser University'] },
-      { name: 'Sociedad Española de Investigación Criminológica', slug: 'sociedad-espanola', logo: 'seic.jpg', patterns: ['Sociedad Española de Investigación Criminológica', 'SEIC', 'Revista Española De Investigación Criminológica'] },
-      { name: 'Society of Evidence Based Policing', slug: 'society-evidence-based-policing', logo: 'sebp.jpg', patterns: ['Society of Evidence Based Policing', 'SEBP', 'Evidence Based Policing'] },
-      { name: 'South Asian Society of Criminology and Victimology', slug: 'south-asian-society', logo: 'sascv.jpg', patterns: ['South Asian Society of Criminology'] },
-      { name: 'Temple University, Department of Criminal Justice', slug: 'temple-university', logo: 'temple1c.jpg', patterns: ['Temple University'] },
-      { name: 'UC Irvine, Department of Criminology, Law and Society', slug: 'uc-irvine', logo: 'ucirvine.jpg', patterns: ['UC Irvine', 'University of California, Irvine'] },
-      { name: 'UCL, Bentham Project', slug: 'ucl-bentham', logo: 'benthamproject1c.jpg', patterns: ['UCL', 'University College London'] },
-      { name: 'Université de Montréal, École de Criminologie', slug: 'universite-montreal', logo: 'montreal1c.png', patterns: ['Université de Montréal', 'University of Montreal'] },
-      { name: 'University of Cambridge, Institute of Criminology, Prisons Research Centre', slug: 'university-of-cambridge', logo: 'prisonsresearch1c.jpg', patterns: ['University of Cambridge', 'Cambridge'] },
-      { name: 'University of Georgia, Department of Sociology', slug: 'university-of-georgia', logo: 'uga1c.png', patterns: ['University of Georgia'] },
-      { name: 'University of Leeds, Centre for Criminal Justice Studies', slug: 'university-of-leeds', logo: 'leeds.png', patterns: ['University of Leeds'] },
-      { name: 'University of Liverpool, Department of Sociology, Social Policy and Criminology', slug: 'university-of-liverpool', logo: 'liverpool.jpg', patterns: ['University of Liverpool', 'Liverpool'] },
-      { name: 'University of Missouri—St. Louis, Department of Criminology & Criminal Justice', slug: 'university-of-missouri-st-louis', logo: 'umsl1c.png', patterns: ['University of Missouri', 'Missouri.*St. Louis', 'UMSL'] },
-      { name: 'University of Nebraska Omaha, School of Criminology & Criminal Justice', slug: 'university-of-nebraska-omaha', logo: 'unosccj.jpg', patterns: ['University of Nebraska Omaha', 'UNO'] },
-      { name: 'University of South Carolina, Department of Criminology and Criminal Justice', slug: 'university-of-south-carolina', logo: 'southcarolina.jpg', patterns: ['University of South Carolina', 'USC'] },
-      { name: 'University of Texas at Dallas, Criminology & Criminal Justice', slug: 'university-of-texas-dallas', logo: 'utd1c.png', patterns: ['University of Texas at Dallas', 'UT Dallas'] },
-      { name: 'University of Waikato, Te Puna Haumaru New Zealand Institute for Security & Crime Science', slug: 'university-of-waikato', logo: 'nziscs.png', patterns: ['University of Waikato'] },
-      { name: 'Erasmus University Rotterdam Library', slug: 'erasmus-university-rotterdam', logo: 'eur.jpg', patterns: ['Erasmus University Rotterdam', 'EUR Library', 'EUR'] },
-    ];
+    this.members = CONSORTIUM_MEMBERS;
   }
 
   /**
@@ -51,25 +19,7 @@ export class Consortium {
    */
   async getMemberLogo(member) {
     try {
-      // Build WHERE clause for avatar search
-      const safePatterns = member.patterns.map(p => p.replace(/'/g, "''"));
-      const whereConditions = safePatterns.map(pattern =>
-        `avatar ILIKE '%${pattern}%'`
-      ).join(' OR ');
-
-      const result = await this.db.conn.query(`
-        SELECT avatar
-        FROM metadata
-        WHERE ${whereConditions}
-        AND avatar IS NOT NULL
-        LIMIT 1
-      `);
-
-      const rows = result.toArray();
-      if (rows.length > 0) {
-        return rows[0].avatar;
-      }
-      return null;
+      return await this.db.getAvatarByPattern(member.patterns);
     } catch (error) {
       console.error(`Error fetching logo for ${member.name}:`, error);
       return null;
@@ -6,6 +6,8 @@
  * - Crimversations (article highlights and discussions)
  */
 
+import { getContentTypeLabel } from '../config/content-types.js';
+
 export class News {
   constructor(db, router) {
     this.db = db;
@@ -127,10 +129,10 @@ export class News {
       ? new Date(dateToDisplay).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
       : 'Date unknown';
 
-    // Determine news type from title
+    // Determine news type (podcast = Crimversations, see src/config/content-types.js)
     let newsType = 'News';
-    if (article.title.includes('Crimversations')) {
-      newsType = 'Crimversations';
+    if (article.content_type === 'podcast') {
+      newsType = getContentTypeLabel('podcast');
     } else if (article.title.includes('Consortium joined')) {
       newsType = 'New Member';
     } else if (article.title.includes('partners with')) {
@@ -1,8 +1,10 @@
 /**
  * Search Component
  *
- * Displays search results from metadata.parquet.
+ * Displays search results from the metadata Parquet partitions.
  * Searches across: title, abstract, keywords, authors
+ * Full-text mode (#/search?q=...&fulltext=1) also searches article bodies
+ * and marks the results that matched there with a snippet.
  */
 
 export class Search {
@@ -38,15 +40,15 @@ export class Search {
   /**
    * Render search results page
    */
-  async render(query) {
+  async render(query, { fulltext = false } = {}) {
     try {
       // Show loading state
       this.showLoading(query);
 
-      // Perform search
-      const results = await this.db.search(query, 100);
+      // Perform search (full text downloads fulltext.parquet on first use)
+      const results = await this.db.search(query, 100, { fulltext });
 
-      return this.renderResults(query, results);
+      return this.renderResults(query, results, fulltext);
     } catch (error) {
       console.error(`❌ Search error for "${query}":`, error);
       return this.renderError(error.message, query);
@@ -68,7 +70,7 @@ export class Search {
   /**
    * Render search results
    */
-  renderResults(query, results) {
+  renderResults(query, results, fulltext = false) {
     return `
       <div class="search-results-page">
         ${this.renderHeader()}
@@ -86,6 +88,7 @@ export class Search {
               <p class="results-query">
                 ${results.length > 0 ? `for` : `matching`} <strong>"${this.escapeHtml(query)}"</strong>
               </p>
+              ${this.renderFulltextToggle(query, results, fulltext)}
             </div>
 
             ${results.length > 0 ? `
@@ -122,6 +125,39 @@ export class Search {
     `;
   }
 
+  /**
+   * Render the switch between metadata and full-text search
+   */
+  renderFulltextToggle(query, results, fulltext) {
+    const searchUrl = `#/search?q=${encodeURIComponent(query)}`;
+
+    if (!fulltext) {
+      return `
+        <p class="fulltext-toggle">
+          Searched titles, abstracts, keywords and authors.
+          <a href="${searchUrl}&fulltext=1">Also search the full text of articles</a>
+        </p>
+      `;
+    }
+
+    if (this.db.fulltextAvailable === false) {
+      return `
+        <p class="fulltext-toggle fulltext-unavailable">
+          The full-text index could not be loaded, so only titles, abstracts,
+          keywords and authors were searched.
+        </p>
+      `;
+    }
+
+    const bodyMatches = results.filter(article => article.matched_in_body).length;
+    return `
+      <p class="fulltext-toggle">
+        Searched the full text of articles: ${bodyMatches} result${bodyMatches !== 1 ? 's' : ''} matched in the body.
+        <a href="${searchUrl}">Search metadata only</a>
+      </p>
+    `;
+  }
+
   /**
    * Render search bar
    */
@@ -184,6 +220,15 @@ export class Search {
             <p class="article-abstract">${highlightText(abstractPreview)}</p>
           ` : ''}
 
+          ${article.matched_in_body ? `
+            <div class="body-match">
+              <span class="body-match-badge">Matched in full text</span>
+              ${article.body_snippet ? `
+                <p class="body-snippet">…${highlightText(article.body_snippet)}…</p>
+              ` : ''}
+            </div>
+          ` : ''}
+
           ${article.doi ? `
             <div class="article-doi">
               <span class="doi-label">DOI:</span> ${article.doi}
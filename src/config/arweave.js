@@ -70,17 +70,20 @@ function getProtocol() {
  * These values match your .env file:
  * - ARNS_ROOT_NAME=crimrxiv
  * - ARNS_DATA_UNDERNAME=data
+ * - ARNS_FULLTEXT_UNDERNAME=fulltext
  * - ARNS_WASM_NAME=duck-db-wasm
  */
 const ARNS_CONFIG = {
   rootName: 'crimrxiv',
   dataUndername: 'data',
+  fulltextUndername: 'fulltext',
   wasmName: 'duck-db-wasm',
 };
 
 /**
- * Get Parquet data URL using ArNS undername
- * The ArNS undername points directly to the parquet file (no path needed)
+ * Get Parquet data base URL using ArNS undername
+ * The ArNS undername points to the manifest of the public/data/ folder
+ * (index.parquet, metadata/year={YYYY}/data.parquet, authors.parquet)
  * Pattern: {dataUndername}_{rootName}.{gateway}
  * Examples:
  *   - App on crimrxiv.ar.io → Data from data_crimrxiv.ar.io
@@ -93,10 +96,23 @@ function getParquetDataUrl() {
   const gateway = isDev ? 'arweave.net' : getGatewayDomain();
   const protocol = isDev ? 'https' : getProtocol();
 
-  // ArNS undername points directly to the parquet file
+  // ArNS undername points to the data folder manifest
   return `${protocol}://${ARNS_CONFIG.dataUndername}_${ARNS_CONFIG.rootName}.${gateway}`;
 }
 
+/**
+ * Get full-text index URL using ArNS undername
+ * The undername points directly at fulltext.parquet (single file)
+ * Pattern: {fulltextUndername}_{rootName}.{gateway}
+ */
+function getFulltextUrl() {
+  // On localhost in hybrid mode, use arweave.net gateway
+  const gateway = isDev ? 'arweave.net' : getGatewayDomain();
+  const protocol = isDev ? 'https' : getProtocol();
+
+  return `${protocol}://${ARNS_CONFIG.fulltextUndername}_${ARNS_CONFIG.rootName}.${gateway}`;
+}
+
 /**
  * Get DuckDB-WASM URLs using ArNS name
  * Pattern: {wasmName}.{gateway}
@@ -127,9 +143,12 @@ function getDuckDBWasmUrls() {
  * All resources use ArNS undernames (no raw transaction IDs)
  */
 const PRODUCTION_CONFIG = {
-  // Parquet metadata file (via ArNS undername on current gateway)
+  // Parquet data folder (via ArNS undername on current gateway)
   parquet: getParquetDataUrl(),
 
+  // Full-text index, loaded on first full-text search (via ArNS undername)
+  fulltext: getFulltextUrl(),
+
   // DuckDB-WASM bundles (via ArNS name on current gateway)
   // See public/duckdb/HOW-TO.md for details
   wasm: getDuckDBWasmUrls(),
@@ -165,10 +184,15 @@ function getLocalPort() {
  * with Web Workers. Only parquet and articles can be loaded remotely.
  */
 const DEV_CONFIG = {
-  // Parquet metadata file (local or remote based on mode)
+  // Parquet data folder (local or remote based on mode)
   parquet: useRemoteData
     ? getParquetDataUrl()
-    : `http://localhost:${getLocalPort()}/data/metadata.parquet`,
+    : `http://localhost:${getLocalPort()}/data`,
+
+  // Full-text index (public/fulltext/, loaded on first full-text search)
+  fulltext: useRemoteData
+    ? getFulltextUrl()
+    : `http://localhost:${getLocalPort()}/fulltext/fulltext.parquet`,
 
   // DuckDB-WASM bundles (ALWAYS local on localhost - CORS requirement)
   wasm: {
@@ -0,0 +1,91 @@
+/**
+ * CrimRxiv Consortium Members
+ * From crimrxiv.com/consortium. Used by the consortium pages (logos, member
+ * publications) and the OAI-PMH sets (npm run export:oai).
+ *
+ * patterns are a loose UI filter (member pages, logos): case-insensitive
+ * substrings of an article's author affiliations, external publications,
+ * collections and avatar URL (ParquetDB.searchByAffiliation()).
+ *
+ * affiliations assign the permanent OAI-PMH member sets, so they are strict:
+ * whole words/phrases of an author affiliation only, compared without case,
+ * accents and punctuation ("University of Missouri St. Louis" matches
+ * "University of Missouri—St. Louis"). No acronyms; journal members without
+ * author affiliations have none (their articles are in the collection sets).
+ */
+
+export const CONSORTIUM_MEMBERS = [
+  { name: 'University of Manchester, Department of Criminology', slug: 'university-of-manchester-criminology', logo: 'uomcriminology.png', patterns: ['University of Manchester'], affiliations: ['University of Manchester'] },
+  { name: 'University of Manchester, Office for Open Research', slug: 'university-of-manchester-open-research', logo: 'uomopenresearch.png', patterns: ['University of Manchester'], affiliations: ['University of Manchester'] },
+  { name: 'Knowledge Futures', slug: 'knowledge-futures', logo: 'kf1c.png', patterns: ['Knowledge Futures'], affiliations: ['Knowledge Futures'] },
+  { name: 'Academy of Criminal Justice Sciences', slug: 'academy-criminal-justice-sciences', logo: 'acjs1c.jpg', patterns: ['Academy of Criminal Justice Sciences', 'ACJS'], affiliations: ['Academy of Criminal Justice Sciences'] },
+  { name: 'Criminology: An Interdisciplinary Journal', slug: 'criminology-journal', logo: 'crim2.jpg', patterns: ['Criminology: An Interdisciplinary Journal', 'CRIMINOLOGY', 'Criminology & Public Policy', 'Criminology and Public Policy'], affiliations: [] },
+  { name: 'Georgia State University, Evidence-Based Cybersecurity Research Group', slug: 'georgia-state-university', logo: 'cybersecurity1c.png', patterns: ['Georgia State University'], affiliations: ['Georgia State University'] },
+  { name: 'Ghent University, Department of Criminology', slug: 'ghent-university', logo: 'ghent1c.jpg', patterns: ['Ghent University', 'Universiteit Gent'], affiliations: ['Ghent University', 'Universiteit Gent'] },
+  { name: 'Hawai\'i Crime Lab', slug: 'hawaii-crime-lab', logo: 'hawaiicrimelab.jpg', patterns: ['Hawaii Crime Lab', 'Hawai\'i Crime Lab'], affiliations: ['Hawaii Crime Lab'] },
+  { name: 'John Jay College of Criminal Justice, Research & Evaluation Center', slug: 'john-jay-college', logo: 'johnjayrec1c.png', patterns: ['John Jay College'], affiliations: ['John Jay College'] },
+  { name: 'Journal of Historical Criminology', slug: 'journal-historical-criminology', logo: 'jhc.jpg', patterns: ['Journal of Historical Criminology', 'ASC Historical Criminology', 'Historical Criminology'], affiliations: [] },
+  { name: 'Max Planck Institute for the Study of Crime, Security & Law', slug: 'max-planck-institute', logo: 'mpicsl.jpg', patterns: ['Max Planck Institute'], affiliations: ['Max Planck Institute for the Study of Crime', 'Max Planck Institute for Foreign and International Criminal Law'] },
+  { name: 'Northeastern University, School of Criminology & Criminal Justice', slug: 'northeastern-university', logo: 'northeasternccj.png', patterns: ['Northeastern University'], affiliations: ['Northeastern University'] },
+  { name: 'Oral History of Criminology Project', slug: 'oral-history-criminology', logo: 'ohcp1c.jpg', patterns: ['Oral History of Criminology'], affiliations: ['Oral History of Criminology Project'] },
+  { name: 'Philadelphia District Attorney\'s Office, DATA Lab', slug: 'philadelphia-da-office', logo: 'philadelphia-dao-datalab.jpg', patterns: ['Philadelphia District Attorney', 'Philadelphia DA'], affiliations: ['Philadelphia District Attorney'] },
+  { name: 'Simon Fraser University, School of Criminology', slug: 'simon-fraser-university', logo: 'sfu1c.png', patterns: ['Simon Fraser University'], affiliations: ['Simon Fraser University'] },
+  { name: 'Sociedad Española de Investigación Criminológica', slug: 'sociedad-espanola', logo: 'seic.jpg', patterns: ['Sociedad Española de Investigación Criminológica', 'SEIC', 'Revista Española De Investigación Criminológica'], affiliations: ['Sociedad Espanola de Investigacion Criminologica'] },
+  { name: 'Society of Evidence Based Policing', slug: 'society-evidence-based-policing', logo: 'sebp.jpg', patterns: ['Society of Evidence Based Policing', 'SEBP', 'Evidence Based Policing'], affiliations: ['Society of Evidence Based Policing'] },
+  { name: 'South Asian Society of Criminology and Victimology', slug: 'south-asian-society', logo: 'sascv.jpg', patterns: ['South Asian Society of Criminology'], affiliations: ['South Asian Society of Criminology'] },
+  { name: 'Temple University, Department of Criminal Justice', slug: 'temple-university', logo: 'temple1c.jpg', patterns: ['Temple University'], affiliations: ['Temple University'] },
+  { name: 'UC Irvine, Department of Criminology, Law and Society', slug: 'uc-irvine', logo: 'ucirvine.jpg', patterns: ['UC Irvine', 'University of California, Irvine'], affiliations: ['UC Irvine', 'University of California Irvine'] },
+  { name: 'UCL, Bentham Project', slug: 'ucl-bentham', logo: 'benthamproject1c.jpg', patterns: ['UCL', 'University College London'], affiliations: ['University College London'] },
+  { name: 'Université de Montréal, École de Criminologie', slug: 'universite-montreal', logo: 'montreal1c.png', patterns: ['Université de Montréal', 'University of Montreal'], affiliations: ['Universite de Montreal', 'University of Montreal'] },
+  { name: 'University of Cambridge, Institute of Criminology, Prisons Research Centre', slug: 'university-of-cambridge', logo: 'prisonsresearch1c.jpg', patterns: ['University of Cambridge', 'Cambridge'], affiliations: ['University of Cambridge'] },
+  { name: 'University of Georgia, Department of Sociology', slug: 'university-of-georgia', logo: 'uga1c.png', patterns: ['University of Georgia'], affiliations: ['University of Georgia'] },
+  { name: 'University of Leeds, Centre for Criminal Justice Studies', slug: 'university-of-leeds', logo: 'leeds.png', patterns: ['University of Leeds'], affiliations: ['University of Leeds'] },
+  { name: 'University of Liverpool, Department of Sociology, Social Policy and Criminology', slug: 'university-of-liverpool', logo: 'liverpool.jpg', patterns: ['University of Liverpool', 'Liverpool'], affiliations: ['University of Liverpool'] },
+  { name: 'University of Missouri—St. Louis, Department of Criminology & Criminal Justice', slug: 'university-of-missouri-st-louis', logo: 'umsl1c.png', patterns: ['University of Missouri', 'UMSL'], affiliations: ['University of Missouri St. Louis'] },
+  { name: 'University of Nebraska Omaha, School of Criminology & Criminal Justice', slug: 'university-of-nebraska-omaha', logo: 'unosccj.jpg', patterns: ['University of Nebraska Omaha', 'UNO'], affiliations: ['University of Nebraska Omaha', 'University of Nebraska at Omaha'] },
+  { name: 'University of South Carolina, Department of Criminology and Criminal Justice', slug: 'university-of-south-carolina', logo: 'southcarolina.jpg', patterns: ['University of South Carolina', 'USC'], affiliations: ['University of South Carolina'] },
+  { name: 'University of Texas at Dallas, Criminology & Criminal Justice', slug: 'university-of-texas-dallas', logo: 'utd1c.png', patterns: ['University of Texas at Dallas', 'UT Dallas'], affiliations: ['University of Texas at Dallas', 'UT Dallas'] },
+  { name: 'University of Waikato, Te Puna Haumaru New Zealand Institute for Security & Crime Science', slug: 'university-of-waikato', logo: 'nziscs.png', patterns: ['University of Waikato'], affiliations: ['University of Waikato'] },
+  { name: 'Erasmus University Rotterdam Library', slug: 'erasmus-university-rotterdam', logo: 'eur.jpg', patterns: ['Erasmus University Rotterdam', 'EUR Library', 'EUR'], affiliations: ['Erasmus University Rotterdam'] },
+];
+
+/**
+ * Lowercase, accents and punctuation folded to single spaces
+ */
+function normalizeAffiliation(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Does an article (SQLite row) belong to a member's OAI-PMH set?
+ * Whole-phrase match of member.affiliations against author affiliations
+ */
+export function articleMatchesMember(article, member) {
+  if (!member.affiliations || member.affiliations.length === 0) return false;
+
+  let authors = [];
+  try {
+    authors = JSON.parse(article.authors_json || '[]');
+  } catch (error) {
+    return false;
+  }
+
+  const affiliations = authors
+    .map(author => author?.affiliation)
+    .filter(Boolean)
+    .map(normalizeAffiliation);
+
+  return member.affiliations.some(pattern => {
+    const regex = new RegExp(`\\b${escapeRegExp(normalizeAffiliation(pattern))}\\b`);
+    return affiliations.some(affiliation => regex.test(affiliation));
+  });
+}
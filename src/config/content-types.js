@@ -0,0 +1,113 @@
+/**
+ * Content Type Classification
+ * Single source of truth for what kind of publication an article is.
+ *
+ * Used by the importer (computes content_type, stored in SQLite and exported
+ * to Parquet) and by the browser (labels, and a fallback for older data
+ * without a content_type column).
+ *
+ * Rules are checked in order; the first match wins. A rule can match on:
+ * - collections:  any of these collection titles (exact match)
+ * - titlePattern: regular expression tested against the title
+ * - attribution:  'none' (no named authors) or 'named' (at least one)
+ * All conditions given in a rule must hold.
+ *
+ * requiresAuthors: pubs without named authors are skipped on import
+ * expectsDoi:      a missing DOI is reported by `npm run quality`
+ * formats:         item types in the scholarly dumps (`npm run export:scholarly`)
+ *                  OAI-PMH and JATS: CSL-JSON type, BibTeX entry type, RIS TY,
+ *                  schema.org @type, DCMI type (dc:type) and JATS article-type
+ */
+
+export const CONTENT_TYPES = {
+  research: {
+    label: 'Research',
+    requiresAuthors: true,
+    expectsDoi: true,
+    formats: { csl: 'article', bibtex: 'misc', ris: 'JOUR', schemaOrg: 'ScholarlyArticle', dc: 'Text', jats: 'research-article' }
+  },
+  postprint: {
+    label: 'Postprints + Versions of Record',
+    requiresAuthors: true,
+    expectsDoi: true,
+    formats: { csl: 'article-journal', bibtex: 'article', ris: 'JOUR', schemaOrg: 'ScholarlyArticle', dc: 'Text', jats: 'research-article' }
+  },
+  dataset: {
+    label: 'Code/Software & Datasets',
+    requiresAuthors: true,
+    expectsDoi: true,
+    formats: { csl: 'dataset', bibtex: 'misc', ris: 'DATA', schemaOrg: 'Dataset', dc: 'Dataset', jats: 'data-paper' }
+  },
+  podcast: {
+    label: 'Crimversations',
+    requiresAuthors: false,
+    expectsDoi: false,
+    formats: { csl: 'broadcast', bibtex: 'misc', ris: 'SOUND', schemaOrg: 'PodcastEpisode', dc: 'Sound', jats: 'other' }
+  },
+  news: {
+    label: 'News',
+    requiresAuthors: false,
+    expectsDoi: false,
+    formats: { csl: 'post-weblog', bibtex: 'misc', ris: 'NEWS', schemaOrg: 'NewsArticle', dc: 'Text', jats: 'news' }
+  }
+};
+
+export const DEFAULT_CONTENT_TYPE = 'research';
+
+export const CLASSIFICATION_RULES = [
+  // Collections curated by the CrimRxiv editors are the strongest signal
+  { type: 'dataset', collections: ['Code/Software & Datasets'] },
+  { type: 'podcast', collections: ['Crimversations'] },
+  { type: 'news', collections: ['News'] },
+
+  // Crimversations episodes filed outside the collection
+  { type: 'podcast', titlePattern: /^Crimversations\b/i },
+
+  // Consortium announcements ("X joined the CrimRxiv Consortium",
+  // "CrimRxiv partners with Y") are published without named authors.
+  // A research paper about consortia has authors and is not news.
+  { type: 'news', titlePattern: /\bCrimRxiv\b|\bConsortium\b/i, attribution: 'none' },
+
+  { type: 'postprint', collections: ['Postprints + Versions of Record'] }
+];
+
+/**
+ * Check whether an author list has at least one named author.
+ * Accepts importer attributions ({ user: { fullName } }) and stored authors ({ name }).
+ */
+function hasNamedAuthors(authors) {
+  return (authors || []).some(author => author?.user?.fullName || author?.name);
+}
+
+function matchesRule(rule, { title, collections, authors }) {
+  if (rule.collections && !rule.collections.some(name => collections.includes(name))) {
+    return false;
+  }
+  if (rule.titlePattern && !rule.titlePattern.test(title)) {
+    return false;
+  }
+  if (rule.attribution) {
+    const named = hasNamedAuthors(authors);
+    if (rule.attribution === 'none' && named) return false;
+    if (rule.attribution === 'named' && !named) return false;
+  }
+  return true;
+}
+
+/**
+ * Classify a publication
+ * @param {object} item - { title, collections: string[], authors: object[] }
+ * @returns {string} Content type key (see CONTENT_TYPES)
+ */
+export function classifyContent({ title = '', collections = [], authors = [] } = {}) {
+  const input = { title: title || '', collections: collections || [], authors: authors || [] };
+  const rule = CLASSIFICATION_RULES.find(rule => matchesRule(rule, input));
+  return rule ? rule.type : DEFAULT_CONTENT_TYPE;
+}
+
+/**
+ * Display label for a content type
+ */
+export function getContentTypeLabel(type) {
+  return (CONTENT_TYPES[type] || CONTENT_TYPES[DEFAULT_CONTENT_TYPE]).label;
+}
@@ -0,0 +1,58 @@
+/**
+ * Data Release Contract
+ * What the app expects from the Parquet files at the data undername.
+ *
+ * Used by the exporter (writes public/data/release.json and refuses to
+ * export a layout the app can't read) and by the browser (ParquetDB checks
+ * release.json before loading anything else).
+ *
+ * Bump DATA_SCHEMA_VERSION when a column the app reads is removed, renamed
+ * or changes type, or the file layout changes. Adding columns doesn't need
+ * a bump. The app and the data must then be deployed together.
+ */
+
+export const DATA_SCHEMA_VERSION = 2;   // 2: base snapshot + deltas
+
+// Columns the app reads, per file (metadata as read with hive_partitioning)
+export const REQUIRED_COLUMNS = {
+  metadata: [
+    'article_id', 'slug', 'title', 'description', 'abstract', 'abstract_preview',
+    'authors_json', 'author_count', 'keywords_json', 'collections_json', 'collection_count',
+    'content_type', 'doi', 'license', 'avatar', 'published_at', 'url', 'pdf_url',
+    'version_number', 'version_timestamp', 'has_multiple_versions', 'manifest_tx_id',
+    'word_count', 'attachment_count', 'reference_count', 'citation_count',
+    'external_publications_json', 'references_json', 'citations_json', 'status'
+  ],
+  index: [
+    'slug', 'article_id', 'year', 'published_at', 'version_timestamp', 'content_type', 'author_count'
+  ]
+};
+
+/**
+ * Check a release.json against this version of the app
+ * @param {object} release - Parsed release.json
+ * @returns {string[]} Problems (empty when compatible)
+ */
+export function checkReleaseCompatibility(release) {
+  const problems = [];
+
+  if (release.schema_version !== DATA_SCHEMA_VERSION) {
+    problems.push(`data schema v${release.schema_version}, app expects v${DATA_SCHEMA_VERSION}`);
+  }
+
+  // Deltas carry full metadata rows plus the partition year
+  const required = { ...REQUIRED_COLUMNS };
+  if (release.deltas?.length > 0) {
+    required.delta = [...REQUIRED_COLUMNS.metadata, 'year'];
+  }
+
+  for (const [file, columnNames] of Object.entries(required)) {
+    const columns = (release.columns?.[file] || []).map(column => column.name);
+    const missing = columnNames.filter(name => !columns.includes(name));
+    if (missing.length > 0) {
+      problems.push(`${file} is missing column(s) ${missing.join(', ')}`);
+    }
+  }
+
+  return problems;
+}
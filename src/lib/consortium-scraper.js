@@ -4,9 +4,8 @@
  * Built for reliability and team handoff
  */
 
-import axios from 'axios';
-import fs from 'fs-extra';
-import { Logger, FileHelper, ProgressTracker, StateManager, withRetry } from './utils.js';
+import { Logger, FileHelper, ProgressTracker, StateManager } from './utils.js';
+import { getHttpClient } from './http-client.js';
 
 export class ConsortiumScraper {
   constructor() {
@@ -30,22 +29,27 @@ export class ConsortiumScraper {
       maxRetries: 3,             // Retry failed requests
       userAgent: 'CrimConsortium-Archive-Bot/1.0 (crimrxiv@manchester.ac.uk)',
       respectRobots: true,       // Follow robots.txt
-      maxConcurrent: 3           // Max concurrent requests
+      maxConcurrent: 3,          // Max concurrent requests
+      maxPerSecond: 0.5          // 30 requests per minute to crimrxiv.com
     };
     
+    // Retries, backoff and per-request circuit breaking live in the shared client
+    this.http = getHttpClient({
+      timeout: this.config.timeout,
+      maxRetries: this.config.maxRetries,
+      userAgent: this.config.userAgent,
+      rateLimits: { 'www.crimrxiv.com': this.config.maxPerSecond }
+    });
+    
     // State tracking
     this.state = {
       lastScrape: null,
       totalScraped: 0,
       errors: [],
-      rateLimit: {
-        requests: 0,
-        window: Date.now(),
-        maxPerMinute: 30
-      }
+      requests: 0
     };
     
-    // Fault tolerance
+    // Fault tolerance across scraping runs (persisted with the state)
     this.circuitBreaker = {
       failures: 0,
       threshold: 10,
@@ -69,10 +73,7 @@ export class ConsortiumScraper {
         throw new Error('Circuit breaker is open - too many recent failures');
       }
       
-      // Step 2: Check rate limiting
-      await this.checkRateLimit();
-      
-      // Step 3: Try API approach first
+      // Step 2: Try API approach first
       let success = false;
       try {
         await this.scrapeViaAPI();
@@ -83,7 +84,7 @@ export class ConsortiumScraper {
         this.recordFailure(error);
       }
       
-      // Step 4: Fallback to HTML scraping
+      // Step 3: Fallback to HTML scraping
       if (!success) {
         try {
           await this.scrapeViaHTML();
@@ -96,16 +97,16 @@ export class ConsortiumScraper {
         }
       }
       
-      // Step 5: Download article content and PDFs
+      // Step 4: Download article content and PDFs
       if (this.publications.length > 0) {
         await this.downloadPublicationContent();
       }
       
-      // Step 6: Save results
+      // Step 5: Save results
       await this.saveResults();
       await this.saveState();
       
-      // Step 7: Reset circuit breaker on success
+      // Step 6: Reset circuit breaker on success
       this.resetCircuitBreaker();
       
       this.logger.success(`Scraping complete: ${this.publications.length} publications from ${this.members.length} members`);
@@ -442,38 +443,27 @@ export class ConsortiumScraper {
     }
     
     try {
-      return await withRetry(async () => {
-        const fileName = `${publication.slug || publication.id}.pdf`;
-        const filePath = `./data/consortium/pdfs/${fileName}`;
-        
-        // Check if already downloaded
-        if (await this.fileHelper.exists(filePath)) {
-          const fileSize = await this.fileHelper.getFileSize(filePath);
-          if (fileSize > 0) {
-            return { success: true, filePath, fileSize, skipped: true };
-          }
+      const fileName = `${publication.slug || publication.id}.pdf`;
+      const filePath = `./data/consortium/pdfs/${fileName}`;
+      
+      // Check if already downloaded
+      if (await this.fileHelper.exists(filePath)) {
+        const fileSize = await this.fileHelper.getFileSize(filePath);
+        if (fileSize > 0) {
+          return { success: true, filePath, fileSize, skipped: true };
         }
-        
-        this.logger.info(`📥 Downloading: ${fileName}`);
-        
-        const response = await this.makeRequest(pdfUrl, {
-          responseType: 'stream',
-          timeout: 60000 // Longer timeout for large files
-        });
-        
-        const writer = fs.createWriteStream(filePath);
-        response.data.pipe(writer);
-        
-        return new Promise((resolve, reject) => {
-          writer.on('finish', async () => {
-            const fileSize = await this.fileHelper.getFileSize(filePath);
-            resolve({ success: true, filePath, fileSize });
-          });
-          writer.on('error', reject);
-          response.data.on('error', reject);
-        });
-        
-      }, this.config.maxRetries, 2000);
+      }
+      
+      this.logger.info(`📥 Downloading: ${fileName}`);
+      
+      // Retried as a whole, written via a .part file
+      this.state.requests++;
+      await this.http.download(pdfUrl, filePath, {
+        timeout: 60000 // Longer timeout for large files
+      });
+      
+      const fileSize = await this.fileHelper.getFileSize(filePath);
+      return { success: true, filePath, fileSize };
       
     } catch (error) {
       return { success: false, error: error.message };
@@ -481,12 +471,10 @@ export class ConsortiumScraper {
   }
 
   /**
-   * Make HTTP request with fault tolerance
+   * Make HTTP request through the shared resilient client
+   * (rate limited, retried with backoff on 429/5xx/network errors)
    */
   async makeRequest(url, options = {}) {
-    // Rate limiting check
-    await this.checkRateLimit();
-    
     const config = {
       timeout: this.config.timeout,
       headers: {
@@ -499,8 +487,8 @@ export class ConsortiumScraper {
     };
     
     try {
-      this.state.rateLimit.requests++;
-      const response = await axios.get(url, config);
+      this.state.requests++;
+      const response = await this.http.get(url, config);
       
       // Log successful request
       this.logger.info(`✅ Request successful: ${url.substring(0, 50)}...`);
@@ -508,14 +496,12 @@ export class ConsortiumScraper {
       return response;
       
     } catch (error) {
-      // Enhanced error handling
-      if (error.response) {
-        const status = error.response.status;
-        const message = `HTTP ${status}: ${error.response.statusText}`;
+      // Retries are exhausted at this point; translate for the logs
+      if (error.status) {
+        const status = error.status;
+        const message = error.message;
         
         if (status === 429) {
-          this.logger.warning('Rate limited, waiting longer...');
-          await this.delay(5000); // Wait 5 seconds for rate limit
           throw new Error(`Rate limited: ${message}`);
         } else if (status >= 500) {
           throw new Error(`Server error: ${message}`);
@@ -534,30 +520,6 @@ export class ConsortiumScraper {
     }
   }
 
-  /**
-   * Rate limiting implementation
-   */
-  async checkRateLimit() {
-    const now = Date.now();
-    const windowExpired = now - this.state.rateLimit.window > 60000; // 1 minute window
-    
-    if (windowExpired) {
-      // Reset window
-      this.state.rateLimit.window = now;
-      this.state.rateLimit.requests = 0;
-    }
-    
-    if (this.state.rateLimit.requests >= this.config.maxPerMinute) {
-      const waitTime = 60000 - (now - this.state.rateLimit.window);
-      this.logger.warning(`Rate limit reached, waiting ${Math.ceil(waitTime/1000)}s...`);
-      await this.delay(waitTime);
-      
-      // Reset after waiting
-      this.state.rateLimit.window = Date.now();
-      this.state.rateLimit.requests = 0;
-    }
-  }
-
   /**
    * Circuit breaker pattern implementation
    */
@@ -737,7 +699,7 @@ export class ConsortiumScraper {
       publications: this.publications.slice(0, 10), // Sample
       errors: this.state.errors,
       performance: {
-        requestsSuccessful: this.state.rateLimit.requests - this.state.errors.length,
+        requestsSuccessful: this.state.requests - this.state.errors.length,
         requestsFailed: this.state.errors.length,
         circuitBreakerState: this.circuitBreaker.state
       }
@@ -0,0 +1,300 @@
+/**
+ * Data Quality Checks - SQLite + data/articles/ consistency
+ *
+ * Checks the latest version of every active article in SQLite and its
+ * folder in data/articles/{slug}/ (written by scripts/import-to-articles.js).
+ * Each check produces issues of the form
+ * { check, severity, article_id, slug, title, content_type, detail }.
+ *
+ * Severity:
+ * - error:   wrong or broken data that readers will notice
+ * - warning: incomplete data worth fixing upstream on PubPub
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONTENT_TYPES, DEFAULT_CONTENT_TYPE } from '../config/content-types.js';
+
+// PubPub licenseSlug values
+export const KNOWN_LICENSES = [
+  'cc-by',
+  'cc-by-sa',
+  'cc-by-nd',
+  'cc-by-nc',
+  'cc-by-nc-sa',
+  'cc-by-nc-nd',
+  'cc-0',
+  'copyright'
+];
+
+export const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+
+export const QUALITY_CHECKS = {
+  folder_missing: {
+    label: 'Article folder missing',
+    severity: 'error',
+    description: 'In SQLite but data/articles/{slug}/ does not exist'
+  },
+  doi_missing: {
+    label: 'Missing DOI',
+    severity: 'warning',
+    description: 'No DOI for a content type that should have one'
+  },
+  doi_malformed: {
+    label: 'Malformed DOI',
+    severity: 'error',
+    description: 'DOI is not of the form 10.NNNN/suffix'
+  },
+  abstract_empty: {
+    label: 'Empty abstract',
+    severity: 'error',
+    description: 'No abstract heading, usable paragraphs or PubPub description'
+  },
+  abstract_fallback: {
+    label: 'Abstract from body paragraphs',
+    severity: 'warning',
+    description: 'No "Abstract" heading - the first paragraphs of the body were used'
+  },
+  no_authors: {
+    label: 'No named authors',
+    severity: 'error',
+    description: 'Zero named authors for a content type that requires them'
+  },
+  attachment_missing: {
+    label: 'Attachment missing on disk',
+    severity: 'error',
+    description: 'Listed in attachments.json but the file is not in attachments/'
+  },
+  attachment_not_downloaded: {
+    label: 'Attachment not downloaded',
+    severity: 'warning',
+    description: 'File attachments in the content that were never saved (offline import)'
+  },
+  versions_mismatch: {
+    label: 'versions.json inconsistent',
+    severity: 'error',
+    description: 'versions.json disagrees with the release folders or the releases table'
+  },
+  license_unknown: {
+    label: 'Unknown license',
+    severity: 'warning',
+    description: `License missing or not one of: ${KNOWN_LICENSES.join(', ')}`
+  }
+};
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    return { invalid: error.message };
+  }
+}
+
+/**
+ * Normalize "CC-BY-4.0" style values to PubPub license slugs
+ */
+function normalizeLicense(license) {
+  return String(license).trim().toLowerCase().replace(/-\d+(\.\d+)?$/, '');
+}
+
+export class DataQualityChecker {
+  /**
+   * @param {CrimRxivDatabase} db - Initialized database
+   * @param {string} articlesDir - data/articles/
+   */
+  constructor(db, articlesDir) {
+    this.db = db;
+    this.articlesDir = articlesDir;
+  }
+
+  /**
+   * Run every check
+   * @returns {object} { generated_at, totals, checks: [...with count], issues }
+   */
+  run() {
+    const articles = this.db.getArticlesForQualityCheck();
+    const active = articles.filter(article => !article.status || article.status === 'active');
+    const issues = [];
+
+    for (const article of active) {
+      const add = (check, detail) => issues.push({
+        check,
+        severity: QUALITY_CHECKS[check].severity,
+        article_id: article.article_id,
+        slug: article.slug,
+        title: article.title,
+        content_type: article.content_type,
+        detail
+      });
+
+      this.checkMetadata(article, add);
+
+      const articleDir = path.join(this.articlesDir, article.slug);
+      if (!fs.existsSync(articleDir)) {
+        add('folder_missing', `data/articles/${article.slug}/`);
+        continue;
+      }
+
+      this.checkAttachments(article, articleDir, add);
+      this.checkVersions(article, articleDir, add);
+    }
+
+    const checks = Object.entries(QUALITY_CHECKS).map(([id, check]) => ({
+      id,
+      ...check,
+      count: issues.filter(issue => issue.check === id).length
+    }));
+
+    return {
+      generated_at: new Date().toISOString(),
+      totals: {
+        articles: articles.length,
+        checked: active.length,
+        skipped_inactive: articles.length - active.length,
+        articles_with_issues: new Set(issues.map(issue => issue.article_id)).size,
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length
+      },
+      checks,
+      issues
+    };
+  }
+
+  /**
+   * DOI, abstract, authors and license (SQLite only)
+   */
+  checkMetadata(article, add) {
+    const type = CONTENT_TYPES[article.content_type] || CONTENT_TYPES[DEFAULT_CONTENT_TYPE];
+
+    if (!article.doi) {
+      if (type.expectsDoi) add('doi_missing', 'none');
+    } else if (!DOI_PATTERN.test(article.doi.trim())) {
+      add('doi_malformed', article.doi);
+    }
+
+    if (!article.abstract || !article.abstract.trim()) {
+      add('abstract_empty', 'empty');
+    } else if (article.abstract_source === 'fallback') {
+      const preview = article.abstract.replace(/\s+/g, ' ');
+      add('abstract_fallback', preview.length > 120 ? `${preview.substring(0, 120)}…` : preview);
+    }
+
+    const named = parseJson(article.authors_json, []).filter(author => author?.name);
+    if (named.length === 0 && type.requiresAuthors) {
+      add('no_authors', `${article.author_count || 0} attribution(s), none named`);
+    }
+
+    if (!article.license) {
+      add('license_unknown', 'none');
+    } else if (!KNOWN_LICENSES.includes(normalizeLicense(article.license))) {
+      add('license_unknown', article.license);
+    }
+  }
+
+  /**
+   * Attachments listed for the article and each release folder exist on disk
+   */
+  checkAttachments(article, articleDir, add) {
+    // Root attachments.json, falling back to the copy in SQLite
+    const listed = readJsonFile(path.join(articleDir, 'attachments.json'))
+      || parseJson(article.attachments_json, []);
+    const sources = [{ dir: articleDir, prefix: '', attachments: Array.isArray(listed) ? listed : [] }];
+
+    for (const number of this.getReleaseFolders(articleDir)) {
+      const releaseDir = path.join(articleDir, String(number));
+      const attachments = readJsonFile(path.join(releaseDir, 'attachments.json'));
+      if (Array.isArray(attachments)) {
+        sources.push({ dir: releaseDir, prefix: `${number}/`, attachments });
+      }
+    }
+
+    for (const { dir, prefix, attachments } of sources) {
+      for (const attachment of attachments) {
+        const relative = attachment.path || `attachments/${attachment.filename}`;
+        if (!fs.existsSync(path.join(dir, relative))) {
+          add('attachment_missing', `${prefix}${relative}`);
+        }
+      }
+    }
+
+    // attachment_count counts file nodes in the content; inline images are extra
+    const files = sources[0].attachments.filter(attachment => !attachment.inline).length;
+    if ((article.attachment_count || 0) > files) {
+      add('attachment_not_downloaded', `${files} of ${article.attachment_count} file attachment(s) saved`);
+    }
+  }
+
+  /**
+   * versions.json against the {n}/ release folders and the releases table
+   */
+  checkVersions(article, articleDir, add) {
+    const folders = this.getReleaseFolders(articleDir);
+    const manifest = readJsonFile(path.join(articleDir, 'versions.json'));
+    const releases = this.db.getReleases(article.article_id);
+    const problems = [];
+
+    if (!manifest) {
+      if (folders.length > 0 || releases.some(release => release.manifest_path)) {
+        problems.push(`no versions.json but ${folders.length} release folder(s)`);
+      }
+    } else if (manifest.invalid) {
+      problems.push(`versions.json is not valid JSON (${manifest.invalid})`);
+    } else {
+      const versions = Array.isArray(manifest.versions) ? manifest.versions : [];
+      const numbers = versions.map(version => version.number);
+
+      const withoutFolder = numbers.filter(number => !folders.includes(number));
+      const withoutEntry = folders.filter(number => !numbers.includes(number));
+      if (withoutFolder.length > 0) problems.push(`no folder for version(s) ${withoutFolder.join(', ')}`);
+      if (withoutEntry.length > 0) problems.push(`folder(s) ${withoutEntry.join(', ')} not in versions.json`);
+
+      if (manifest.total !== versions.length) {
+        problems.push(`total is ${manifest.total}, ${versions.length} version(s) listed`);
+      }
+      const latest = numbers.length > 0 ? Math.max(...numbers) : null;
+      if (manifest.latest !== latest) {
+        problems.push(`latest is ${manifest.latest}, highest listed is ${latest}`);
+      }
+
+      // The releases table records which releases were saved and their hashes
+      if (releases.length > 0) {
+        const saved = releases.filter(release => release.manifest_path).map(release => release.release_number);
+        const unsaved = saved.filter(number => !numbers.includes(number));
+        const unknown = numbers.filter(number => !releases.some(release => release.release_number === number));
+        if (unsaved.length > 0) problems.push(`release(s) ${unsaved.join(', ')} in SQLite but not in versions.json`);
+        if (unknown.length > 0) problems.push(`version(s) ${unknown.join(', ')} not in the releases table`);
+
+        const hashMismatch = versions.filter(version => {
+          const release = releases.find(r => r.release_number === version.number);
+          return release?.content_hash && version.contentHash && release.content_hash !== version.contentHash;
+        }).map(version => version.number);
+        if (hashMismatch.length > 0) problems.push(`content hash differs from SQLite for version(s) ${hashMismatch.join(', ')}`);
+      }
+    }
+
+    if (problems.length > 0) {
+      add('versions_mismatch', problems.join('; '));
+    }
+  }
+
+  /**
+   * Numbered release folders ({slug}/1/, {slug}/2/, ...), ascending
+   */
+  getReleaseFolders(articleDir) {
+    return fs.readdirSync(articleDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && /^\d+$/.test(entry.name))
+      .map(entry => parseInt(entry.name))
+      .sort((a, b) => a - b);
+  }
+}
+
+export default DataQualityChecker;
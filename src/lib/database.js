@@ -8,9 +8,12 @@
  */
 
 import Database from 'better-sqlite3';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { classifyContent, DEFAULT_CONTENT_TYPE } from '../config/content-types.js';
+import { SchemaMigrator } from './schema-migrator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,12 +22,15 @@ export class CrimRxivDatabase {
   constructor(dbPath = null) {
     this.dbPath = dbPath || path.join(__dirname, '../../data/sqlite/crimrxiv.db');
     this.db = null;
+    this.changeRunId = null;
   }
 
   /**
    * Initialize database and create schema
+   * @param {object} options - { applyMigrations: false } leaves pending
+   *   schema migrations alone (used by scripts/db-migrate.js)
    */
-  initialize() {
+  initialize({ applyMigrations = true } = {}) {
     // Ensure directory exists
     const dir = path.dirname(this.dbPath);
     if (!fs.existsSync(dir)) {
@@ -40,12 +46,18 @@ export class CrimRxivDatabase {
 
     // Run migrations
     this.migrate();
+    this.migrator = new SchemaMigrator(this.db, this.dbPath);
+    if (applyMigrations) {
+      this.applySchemaMigrations();
+    }
 
     console.log(`✅ Database initialized: ${this.dbPath}`);
   }
 
   /**
    * Create database schema
+   * This is the baseline (schema version 0). Don't edit it for structural
+   * changes - add a numbered migration in src/lib/migrations/ instead.
    */
   createSchema() {
     // Articles table
@@ -114,8 +126,12 @@ export class CrimRxivDatabase {
         collections_json TEXT,
         collection_count INTEGER DEFAULT 0,
 
+        -- Classification (src/config/content-types.js)
+        content_type TEXT DEFAULT 'research',  -- research, news, podcast, dataset, postprint
+
         -- Keywords (JSON array)
         keywords_json TEXT,
+        keywords_source TEXT,            -- 'pubpub' (provided) or 'tfidf' (extracted)
 
         -- External publications (version-of relationships)
         external_publications_json TEXT,
@@ -124,6 +140,10 @@ export class CrimRxivDatabase {
         url TEXT,
         pdf_url TEXT,
 
+        -- Upstream status (set by the import reconciliation pass)
+        status TEXT DEFAULT 'active',    -- active, withdrawn (unpublished) or removed (deleted)
+        status_changed_at TEXT,
+
         -- Export tracking
         exported INTEGER DEFAULT 0,
         export_batch TEXT,
@@ -163,6 +183,35 @@ export class CrimRxivDatabase {
         created_at TEXT DEFAULT CURRENT_TIMESTAMP
       );
 
+      -- Authors (one row per resolved identity)
+      -- author_id: orcid-{ORCID} when an ORCID is known, otherwise
+      -- name-{hash of normalized name + affiliation}
+      CREATE TABLE IF NOT EXISTS authors (
+        author_id TEXT PRIMARY KEY,
+        orcid TEXT UNIQUE,
+        name TEXT NOT NULL,
+        normalized_name TEXT NOT NULL,
+        affiliation TEXT,
+        normalized_affiliation TEXT,
+        name_variants_json TEXT,         -- JSON array of every spelling seen
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_authors_name ON authors(normalized_name, normalized_affiliation);
+
+      -- Article ↔ author links (latest version's author list)
+      CREATE TABLE IF NOT EXISTS article_authors (
+        article_id TEXT NOT NULL,
+        author_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        affiliation TEXT,
+        is_corresponding INTEGER DEFAULT 0,
+        PRIMARY KEY (article_id, author_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_article_authors_author ON article_authors(author_id);
+
       -- Scrape metadata table
       CREATE TABLE IF NOT EXISTS scrape_metadata (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -177,7 +226,8 @@ export class CrimRxivDatabase {
   }
 
   /**
-   * Migrate existing database to add new fields
+   * Bring databases created before the baseline up to it (adds missing columns)
+   * Structural changes after the baseline are schema migrations, see below
    */
   migrate() {
     console.log('🔄 Running database migration...');
@@ -213,6 +263,13 @@ export class CrimRxivDatabase {
       { name: 'manifest_uploaded_at', type: 'TEXT' },
       // Institutional badge/logo
       { name: 'avatar', type: 'TEXT' },
+      // Where keywords_json came from ('pubpub' or 'tfidf')
+      { name: 'keywords_source', type: 'TEXT' },
+      // Upstream status (active, withdrawn, removed)
+      { name: 'status', type: "TEXT DEFAULT 'active'" },
+      { name: 'status_changed_at', type: 'TEXT' },
+      // Classification (research, news, podcast, dataset, postprint)
+      { name: 'content_type', type: "TEXT DEFAULT 'research'" },
     ];
 
     let migrationCount = 0;
@@ -224,11 +281,43 @@ export class CrimRxivDatabase {
       }
     }
 
+    // Classify rows imported before content_type existed
+    if (!existingColumns.has('content_type')) {
+      const classified = this.reclassifyArticles();
+      console.log(`  Classified ${classified} article versions`);
+    }
+
     if (migrationCount > 0) {
       console.log(`✅ Migration complete: Added ${migrationCount} columns`);
     } else {
       console.log('✅ Database is up to date');
     }
+
+    // Populate authors tables for databases created before they existed
+    const { authorLinks } = this.db.prepare('SELECT COUNT(*) as authorLinks FROM article_authors').get();
+    if (authorLinks === 0) {
+      const backfilled = this.backfillAuthors();
+      if (backfilled > 0) {
+        console.log(`✅ Linked authors for ${backfilled} articles`);
+      }
+    }
+  }
+
+  /**
+   * Apply pending schema migrations (with a backup first)
+   */
+  applySchemaMigrations() {
+    const pending = this.migrator.getPending();
+    if (pending.length === 0) {
+      return;
+    }
+
+    // Nothing to protect in a freshly created database
+    const { count } = this.db.prepare('SELECT COUNT(*) as count FROM articles').get();
+
+    console.log(`🔄 Applying ${pending.length} schema migration(s)...`);
+    this.migrator.apply({ backup: count > 0 });
+    console.log(`✅ Schema at version ${this.migrator.getCurrentVersion()}`);
   }
 
   /**
@@ -397,26 +486,45 @@ export class CrimRxivDatabase {
 
   /**
    * Upsert article (handles versions)
+   *
+   * Versions follow PubPub releases: article.version_number is the latest
+   * release number, and a new version row is only added when a release
+   * appears that isn't in the releases table yet. Metadata or content edits
+   * without a new release update the latest row in place.
+   *
+   * @param {object} article - Article row (version_number = latest release number)
+   * @param {Array} releases - Optional release records, see syncReleases()
    */
-  upsertArticle(article) {
+  upsertArticle(article, releases = null) {
+    return this.db.transaction(() => {
+      const result = this.upsertArticleVersion(article);
+      if (releases) {
+        this.syncReleases(article.article_id, releases);
+      }
+      return result;
+    })();
+  }
+
+  upsertArticleVersion(article) {
     // Check if article exists
     const existing = this.db.prepare(`
       SELECT * FROM articles
       WHERE article_id = ?
-      ORDER BY version_number DESC
+      ORDER BY is_latest_version DESC, version_number DESC
       LIMIT 1
     `).get(article.article_id);
 
-    // Generate version ID
-    const versionId = existing
-      ? `${article.article_id}_v${existing.version_number + 1}`
-      : `${article.article_id}_v1`;
+    // Before the first release sync there is nothing to compare against,
+    // so the existing row is realigned instead of versioned
+    const knownRelease = existing ? this.getLatestReleaseNumber(article.article_id) : 0;
+    const isNewVersion = existing && knownRelease > 0 && article.version_number > knownRelease;
 
-    // Determine if this is a new version
-    const isNewVersion = existing && (
-      existing.updated_at !== article.updated_at ||
-      existing.content_text !== article.content_text
-    );
+    // Generate version ID ({article_id}_v{release}); rows invented by older
+    // versions of this code may already hold that ID
+    let versionId = `${article.article_id}_v${article.version_number || 1}`;
+    if (isNewVersion && this.db.prepare('SELECT 1 FROM articles WHERE id = ?').get(versionId)) {
+      versionId = `${versionId}_h${article.release_history_key}`;
+    }
 
     if (isNewVersion) {
       // Mark old version as not latest
@@ -433,28 +541,30 @@ export class CrimRxivDatabase {
       this.db.prepare(`
         INSERT INTO articles (
           id, article_id, slug, version_number, version_timestamp, is_latest_version,
-          title, description, abstract, doi, license, avatar,
+          title, description, abstract, abstract_source, doi, license, avatar,
           created_at, updated_at, published_at,
-          content_text, content_json,
+          content_text,
           content_prosemirror, content_markdown, content_text_full, word_count,
           authors_json, author_count,
-          collections_json, collection_count,
-          keywords_json,
+          collections_json, collection_count, content_type,
+          keywords_json, keywords_source,
           external_publications_json,
           attachments_json, attachment_count,
+          references_json, citations_json, reference_count, citation_count,
           full_content_scraped, full_content_scraped_at,
           url, pdf_url
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).run(
         versionId,
         article.article_id,
         article.slug,
-        existing.version_number + 1,
-        article.updated_at,
+        article.version_number,
+        article.version_timestamp || article.updated_at,
         1, // is_latest_version
         article.title,
         article.description,
         article.abstract,
+        article.abstract_source || null,
         article.doi,
         article.license,
         article.avatar || null,
@@ -462,7 +572,6 @@ export class CrimRxivDatabase {
         article.updated_at,
         article.published_at,
         article.content_text,
-        article.content_json,
         article.content_prosemirror || null,
         article.content_markdown || null,
         article.content_text_full || null,
@@ -471,17 +580,25 @@ export class CrimRxivDatabase {
         article.author_count,
         article.collections_json,
         article.collection_count,
+        article.content_type || DEFAULT_CONTENT_TYPE,
         article.keywords_json,
+        article.keywords_json ? (article.keywords_source || null) : null,
         article.external_publications_json || null,
         article.attachments_json,
         article.attachment_count,
+        article.references_json || null,
+        article.citations_json || null,
+        article.reference_count || 0,
+        article.citation_count || 0,
         hasFullContent,
         scrapedAt,
         article.url,
         article.pdf_url
       );
 
-      return { action: 'updated', versionNumber: existing.version_number + 1 };
+      this.recordArticleChanges(existing, article, versionId);
+
+      return { action: 'updated', versionNumber: article.version_number };
     } else if (!existing) {
       // Insert first version
       const hasFullContent = article.content_prosemirror ? 1 : 0;
@@ -490,28 +607,30 @@ export class CrimRxivDatabase {
       this.db.prepare(`
         INSERT INTO articles (
           id, article_id, slug, version_number, version_timestamp, is_latest_version,
-          title, description, abstract, doi, license, avatar,
+          title, description, abstract, abstract_source, doi, license, avatar,
           created_at, updated_at, published_at,
-          content_text, content_json,
+          content_text,
           content_prosemirror, content_markdown, content_text_full, word_count,
           authors_json, author_count,
-          collections_json, collection_count,
-          keywords_json,
+          collections_json, collection_count, content_type,
+          keywords_json, keywords_source,
           external_publications_json,
           attachments_json, attachment_count,
+          references_json, citations_json, reference_count, citation_count,
           full_content_scraped, full_content_scraped_at,
           url, pdf_url
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).run(
         versionId,
         article.article_id,
         article.slug,
-        1, // version_number
-        article.updated_at,
+        article.version_number || 1,
+        article.version_timestamp || article.updated_at,
         1, // is_latest_version
         article.title,
         article.description,
         article.abstract,
+        article.abstract_source || null,
         article.doi,
         article.license,
         article.avatar || null,
@@ -519,7 +638,6 @@ export class CrimRxivDatabase {
         article.updated_at,
         article.published_at,
         article.content_text,
-        article.content_json,
         article.content_prosemirror || null,
         article.content_markdown || null,
         article.content_text_full || null,
@@ -528,29 +646,45 @@ export class CrimRxivDatabase {
         article.author_count,
         article.collections_json,
         article.collection_count,
+        article.content_type || DEFAULT_CONTENT_TYPE,
         article.keywords_json,
+        article.keywords_json ? (article.keywords_source || null) : null,
         article.external_publications_json || null,
         article.attachments_json,
         article.attachment_count,
+        article.references_json || null,
+        article.citations_json || null,
+        article.reference_count || 0,
+        article.citation_count || 0,
         hasFullContent,
         scrapedAt,
         article.url,
         article.pdf_url
       );
 
-      return { action: 'inserted', versionNumber: 1 };
+      return { action: 'inserted', versionNumber: article.version_number || 1 };
     } else {
-      // No content changes, but update attachments, collections, authors, avatar, and/or content if provided
+      // No new release, but update metadata, attachments, collections, authors, avatar, and/or content if provided
       const needsUpdate =
+        (article.version_number && article.version_number !== existing.version_number) ||
+        (article.version_timestamp && article.version_timestamp !== existing.version_timestamp) ||
+        (article.title && article.title !== existing.title) ||
+        (article.updated_at && article.updated_at !== existing.updated_at) ||
+        (article.content_text && article.content_text !== existing.content_text) ||
         (article.avatar && article.avatar !== existing.avatar) ||
         (article.attachments_json && article.attachments_json !== existing.attachments_json) ||
         (article.abstract && article.abstract.length > (existing.abstract?.length || 0)) ||
+        (article.abstract_source && !existing.abstract_source && article.abstract === existing.abstract) ||
         (article.content_prosemirror && !existing.content_prosemirror) ||
+        (article.content_markdown && article.content_markdown !== existing.content_markdown) ||
         (article.content_text_full && article.content_text_full.length > (existing.content_text_full?.length || 0)) ||
         (article.collections_json && article.collections_json !== existing.collections_json) ||
+        (article.content_type && article.content_type !== existing.content_type) ||
         (article.authors_json && article.authors_json !== existing.authors_json) ||
         (article.keywords_json && article.keywords_json !== existing.keywords_json) ||
-        (article.external_publications_json && article.external_publications_json !== existing.external_publications_json);
+        (article.external_publications_json && article.external_publications_json !== existing.external_publications_json) ||
+        (article.references_json && article.references_json !== existing.references_json) ||
+        (article.citations_json && article.citations_json !== existing.citations_json);
 
       if (needsUpdate) {
         const hasFullContent = article.content_prosemirror ? 1 : (existing.content_prosemirror ? 1 : 0);
@@ -558,12 +692,24 @@ export class CrimRxivDatabase {
 
         this.db.prepare(`
           UPDATE articles
-          SET attachments_json = ?,
+          SET version_number = COALESCE(?, version_number),
+              version_timestamp = COALESCE(?, version_timestamp),
+              title = COALESCE(?, title),
+              description = COALESCE(?, description),
+              doi = COALESCE(?, doi),
+              license = COALESCE(?, license),
+              updated_at = COALESCE(?, updated_at),
+              content_text = COALESCE(?, content_text),
+              attachments_json = ?,
               attachment_count = ?,
               abstract = CASE
                 WHEN LENGTH(?) > LENGTH(COALESCE(abstract, '')) THEN ?
                 ELSE abstract
               END,
+              abstract_source = CASE
+                WHEN LENGTH(?) > LENGTH(COALESCE(abstract, '')) OR abstract = ? THEN COALESCE(?, abstract_source)
+                ELSE abstract_source
+              END,
               content_prosemirror = COALESCE(?, content_prosemirror),
               content_markdown = COALESCE(?, content_markdown),
               content_text_full = CASE
@@ -576,19 +722,36 @@ export class CrimRxivDatabase {
               END,
               collections_json = ?,
               collection_count = ?,
+              content_type = COALESCE(?, content_type),
               authors_json = ?,
               author_count = ?,
-              keywords_json = ?,
+              keywords_json = COALESCE(?, keywords_json),
+              keywords_source = COALESCE(?, keywords_source),
               external_publications_json = COALESCE(?, external_publications_json),
+              references_json = COALESCE(?, references_json),
+              citations_json = COALESCE(?, citations_json),
+              reference_count = COALESCE(?, reference_count),
+              citation_count = COALESCE(?, citation_count),
               avatar = COALESCE(?, avatar),
               full_content_scraped = ?,
               full_content_scraped_at = ?
           WHERE id = ?
         `).run(
+          article.version_number || null,
+          article.version_timestamp || null,
+          article.title || null,
+          article.description ?? null,
+          article.doi || null,
+          article.license || null,
+          article.updated_at || null,
+          article.content_text || null,
           article.attachments_json,
           article.attachment_count || 0,
           article.abstract || '',
           article.abstract || '',
+          article.abstract || '',
+          article.abstract || '',
+          article.abstract_source || null,
           article.content_prosemirror,
           article.content_markdown,
           article.content_text_full || '',
@@ -597,17 +760,26 @@ export class CrimRxivDatabase {
           article.word_count || 0,
           article.collections_json || '[]',
           article.collection_count || 0,
+          article.content_type || null,
           article.authors_json || '[]',
           article.author_count || 0,
-          article.keywords_json || '[]',
+          article.keywords_json || null,
+          article.keywords_json ? (article.keywords_source || null) : null,
           article.external_publications_json,
+          article.references_json || null,
+          article.citations_json || null,
+          article.references_json ? article.reference_count : null,
+          article.citations_json ? article.citation_count : null,
           article.avatar,
           hasFullContent,
           scrapedAt,
           existing.id
         );
 
-        return { action: 'attachments_updated', versionNumber: existing.version_number };
+        // title, doi, license and content are COALESCEd above: missing values don't overwrite
+        this.recordArticleChanges(existing, article, existing.id, { coalesce: true });
+
+        return { action: 'refreshed', versionNumber: existing.version_number };
       }
 
       // Truly no changes
@@ -615,6 +787,401 @@ export class CrimRxivDatabase {
     }
   }
 
+  /**
+   * Set the run ID recorded with article changes (e.g. "import@{start time}")
+   */
+  setChangeRun(runId) {
+    this.changeRunId = runId;
+  }
+
+  /**
+   * Write one article_changes row per tracked field that differs
+   * @param {object} existing - Row before the upsert
+   * @param {object} article - Incoming article
+   * @param {string} versionId - Row the new values were written to
+   * @param {object} options - { coalesce: true } when null values leave the column unchanged
+   */
+  recordArticleChanges(existing, article, versionId, { coalesce = false } = {}) {
+    const hash = (text) => text ? crypto.createHash('sha256').update(text).digest('hex') : null;
+
+    const tracked = [
+      { field: 'title', old: existing.title, new: article.title, coalesced: true },
+      { field: 'authors', old: existing.authors_json, new: article.authors_json || '[]' },
+      { field: 'doi', old: existing.doi, new: article.doi, coalesced: true },
+      { field: 'license', old: existing.license, new: article.license, coalesced: true },
+      { field: 'collections', old: existing.collections_json, new: article.collections_json || '[]' },
+      { field: 'content_hash', old: hash(existing.content_text), new: hash(article.content_text), coalesced: true }
+    ];
+
+    const insert = this.db.prepare(`
+      INSERT INTO article_changes (
+        run_id, article_id, slug, version_id, field, old_value, new_value, changed_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    // Scripts that don't set a run get one per database connection
+    this.changeRunId = this.changeRunId || `manual@${new Date().toISOString()}`;
+    const changedAt = new Date().toISOString();
+
+    let count = 0;
+    for (const change of tracked) {
+      const oldValue = change.old ?? null;
+      const newValue = change.new ?? null;
+      if (coalesce && change.coalesced && newValue === null) continue;
+      if (oldValue === newValue) continue;
+
+      insert.run(this.changeRunId, article.article_id, article.slug, versionId, change.field, oldValue, newValue, changedAt);
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Import runs that changed articles, most recent first
+   */
+  getChangeRuns(limit = 10) {
+    return this.db.prepare(`
+      SELECT run_id,
+             MIN(changed_at) as started_at,
+             COUNT(DISTINCT article_id) as article_count,
+             COUNT(*) as change_count
+      FROM article_changes
+      GROUP BY run_id
+      ORDER BY started_at DESC
+      LIMIT ?
+    `).all(limit);
+  }
+
+  /**
+   * Number of changes per field in one run
+   */
+  getChangeFieldCounts(runId) {
+    return this.db.prepare(`
+      SELECT field, COUNT(*) as count
+      FROM article_changes
+      WHERE run_id = ?
+      GROUP BY field
+      ORDER BY count DESC
+    `).all(runId);
+  }
+
+  /**
+   * Article changes, filtered by run and/or article (slug or article_id)
+   */
+  getArticleChanges({ runId = null, article = null } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM article_changes
+      WHERE (? IS NULL OR run_id = ?)
+        AND (? IS NULL OR slug = ? OR article_id = ?)
+      ORDER BY changed_at, id
+    `).all(runId, runId, article, article, article);
+  }
+
+  /**
+   * Record an article's PubPub releases
+   * Releases PubPub no longer lists are removed, so the table always
+   * mirrors crimrxiv.com's "Release X of Y".
+   * @param {string} articleId
+   * @param {Array} releases - [{ historyKey, releaseNumber, noteText, createdAt, contentHash, manifestPath }]
+   */
+  syncReleases(articleId, releases) {
+    const keep = new Set(releases.map(release => release.historyKey));
+    const stale = this.db.prepare('SELECT history_key FROM releases WHERE article_id = ?')
+      .all(articleId)
+      .filter(row => !keep.has(row.history_key));
+
+    const remove = this.db.prepare('DELETE FROM releases WHERE article_id = ? AND history_key = ?');
+    const upsert = this.db.prepare(`
+      INSERT INTO releases (
+        article_id, history_key, release_number, note_text, created_at, content_hash, manifest_path
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(article_id, history_key) DO UPDATE SET
+        release_number = excluded.release_number,
+        note_text = excluded.note_text,
+        created_at = excluded.created_at,
+        content_hash = COALESCE(excluded.content_hash, content_hash),
+        manifest_path = excluded.manifest_path
+    `);
+
+    this.db.transaction(() => {
+      for (const row of stale) {
+        remove.run(articleId, row.history_key);
+      }
+      for (const release of releases) {
+        upsert.run(
+          articleId,
+          release.historyKey,
+          release.releaseNumber,
+          release.noteText || null,
+          release.createdAt || null,
+          release.contentHash || null,
+          release.manifestPath || null
+        );
+      }
+    })();
+  }
+
+  getLatestReleaseNumber(articleId) {
+    const row = this.db.prepare('SELECT MAX(release_number) as latest FROM releases WHERE article_id = ?').get(articleId);
+    return row.latest || 0;
+  }
+
+  /**
+   * Releases of an article, oldest first
+   */
+  getReleases(articleId) {
+    return this.db.prepare(`
+      SELECT * FROM releases
+      WHERE article_id = ?
+      ORDER BY release_number
+    `).all(articleId);
+  }
+
+  /**
+   * Latest release number, release count and latest release date per article
+   * @returns {Map} article_id → { latest, count, latestCreatedAt }
+   */
+  getReleaseSummaries() {
+    const rows = this.db.prepare(`
+      SELECT article_id,
+             MAX(release_number) as latest,
+             COUNT(*) as count,
+             MAX(created_at) as latest_created_at
+      FROM releases
+      GROUP BY article_id
+    `).all();
+
+    return new Map(rows.map(row => [row.article_id, {
+      latest: row.latest,
+      count: row.count,
+      latestCreatedAt: row.latest_created_at
+    }]));
+  }
+
+  /**
+   * Recompute content_type for every article version from its stored
+   * title, collections and authors (after editing the classification rules)
+   * @returns {number} Rows whose content_type changed
+   */
+  reclassifyArticles() {
+    const rows = this.db.prepare(`
+      SELECT id, title, collections_json, authors_json, content_type
+      FROM articles
+    `).all();
+
+    const update = this.db.prepare('UPDATE articles SET content_type = ? WHERE id = ?');
+    let changed = 0;
+
+    this.db.transaction(() => {
+      for (const row of rows) {
+        const contentType = classifyContent({
+          title: row.title,
+          collections: JSON.parse(row.collections_json || '[]'),
+          authors: JSON.parse(row.authors_json || '[]')
+        });
+        if (contentType !== row.content_type) {
+          update.run(contentType, row.id);
+          changed++;
+        }
+      }
+    })();
+
+    return changed;
+  }
+
+  /**
+   * Latest-version article counts by content_type
+   */
+  getContentTypeCounts() {
+    return this.db.prepare(`
+      SELECT content_type, COUNT(*) as count
+      FROM articles
+      WHERE is_latest_version = 1
+      GROUP BY content_type
+      ORDER BY count DESC
+    `).all();
+  }
+
+  /**
+   * Get every article version with its text and keyword state
+   */
+  getArticleVersionsForKeywords() {
+    return this.db.prepare(`
+      SELECT id, article_id, is_latest_version, content_text, keywords_json, keywords_source
+      FROM articles
+    `).all();
+  }
+
+  /**
+   * Store keywords for article versions
+   * @param {Array<{id: string, keywords: string[]}>} updates - Version rows to update
+   * @param {string} source - 'pubpub' or 'tfidf'
+   */
+  updateArticleKeywords(updates, source) {
+    const stmt = this.db.prepare(`
+      UPDATE articles
+      SET keywords_json = ?, keywords_source = ?
+      WHERE id = ?
+    `);
+
+    const transaction = this.db.transaction((rows) => {
+      for (const row of rows) {
+        stmt.run(JSON.stringify(row.keywords), source, row.id);
+      }
+    });
+
+    transaction(updates);
+  }
+
+  /**
+   * Normalize a name or affiliation for identity matching
+   * (case, diacritics, punctuation and whitespace insensitive)
+   */
+  normalizeAuthorText(value) {
+    return String(value || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Extract a bare ORCID iD (0000-0000-0000-000X) from an ORCID or URL
+   */
+  normalizeOrcid(value) {
+    const match = String(value || '').match(/(\d{4}-\d{4}-\d{4}-\d{3}[\dX])/i);
+    return match ? match[1].toUpperCase() : null;
+  }
+
+  /**
+   * Find or create the author row for one attribution
+   * Resolution order: ORCID, then normalized name + affiliation
+   * Returns the author_id, or null for attributions without a name
+   */
+  resolveAuthor(author) {
+    const name = (author.name || '').trim();
+    const normalizedName = this.normalizeAuthorText(name);
+    if (!normalizedName) {
+      return null;
+    }
+
+    const orcid = this.normalizeOrcid(author.orcid);
+    const affiliation = author.affiliation || null;
+    const normalizedAffiliation = this.normalizeAuthorText(affiliation);
+
+    let existing = orcid
+      ? this.db.prepare('SELECT * FROM authors WHERE orcid = ?').get(orcid)
+      : null;
+
+    if (!existing) {
+      // Prefer an ORCID-backed identity when one has the same name + affiliation
+      existing = this.db.prepare(`
+        SELECT * FROM authors
+        WHERE normalized_name = ? AND COALESCE(normalized_affiliation, '') = ?
+          AND (? IS NULL OR orcid IS NULL)
+        ORDER BY orcid IS NULL, created_at
+        LIMIT 1
+      `).get(normalizedName, normalizedAffiliation, orcid);
+    }
+
+    if (existing) {
+      const variants = new Set(JSON.parse(existing.name_variants_json || '[]'));
+      const needsOrcid = orcid && !existing.orcid;
+
+      if (!variants.has(name) || needsOrcid) {
+        variants.add(name);
+        this.db.prepare(`
+          UPDATE authors
+          SET name_variants_json = ?, orcid = COALESCE(orcid, ?), updated_at = ?
+          WHERE author_id = ?
+        `).run(JSON.stringify([...variants]), orcid, new Date().toISOString(), existing.author_id);
+      }
+
+      return existing.author_id;
+    }
+
+    const authorId = orcid
+      ? `orcid-${orcid}`
+      : `name-${crypto.createHash('sha1').update(`${normalizedName}|${normalizedAffiliation}`).digest('hex').substring(0, 16)}`;
+
+    this.db.prepare(`
+      INSERT INTO authors (
+        author_id, orcid, name, normalized_name, affiliation, normalized_affiliation, name_variants_json
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(authorId, orcid, name, normalizedName, affiliation, normalizedAffiliation || null, JSON.stringify([name]));
+
+    return authorId;
+  }
+
+  /**
+   * Replace an article's author links from its authors_json entries
+   */
+  syncArticleAuthors(articleId, authors) {
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO article_authors (
+        article_id, author_id, position, affiliation, is_corresponding
+      ) VALUES (?, ?, ?, ?, ?)
+    `);
+
+    const transaction = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM article_authors WHERE article_id = ?').run(articleId);
+
+      authors.forEach((author, index) => {
+        const authorId = this.resolveAuthor(author);
+        if (authorId) {
+          insert.run(articleId, authorId, index + 1, author.affiliation || null, author.is_corresponding ? 1 : 0);
+        }
+      });
+    });
+
+    transaction();
+  }
+
+  /**
+   * Link authors for every latest article (used to populate the tables once)
+   * Returns the number of articles processed
+   */
+  backfillAuthors() {
+    const articles = this.db.prepare(`
+      SELECT article_id, authors_json FROM articles
+      WHERE is_latest_version = 1 AND authors_json IS NOT NULL
+    `).all();
+
+    for (const article of articles) {
+      try {
+        this.syncArticleAuthors(article.article_id, JSON.parse(article.authors_json));
+      } catch (error) {
+        console.warn(`  ⚠️  Could not link authors for ${article.article_id}:`, error.message);
+      }
+    }
+
+    return articles.length;
+  }
+
+  /**
+   * Get authors with their (latest) articles, for authors.parquet
+   */
+  getAuthorsForExport() {
+    return this.db.prepare(`
+      SELECT
+        au.author_id,
+        au.orcid,
+        au.name,
+        au.affiliation,
+        au.name_variants_json,
+        COUNT(a.article_id) as article_count,
+        json_group_array(a.slug) as article_slugs_json,
+        MIN(a.published_at) as first_published_at,
+        MAX(a.published_at) as last_published_at
+      FROM authors au
+      JOIN article_authors aa ON aa.author_id = au.author_id
+      JOIN articles a ON a.article_id = aa.article_id AND a.is_latest_version = 1
+      GROUP BY au.author_id
+      ORDER BY au.name
+    `).all();
+  }
+
   /**
    * Get unexported articles
    */
@@ -627,6 +1194,89 @@ export class CrimRxivDatabase {
     `).all(limit);
   }
 
+  /**
+   * Turn user input into an FTS5 query: words and "quoted phrases" are
+   * ANDed, a trailing * keeps prefix matching, everything else is literal
+   */
+  static toFtsQuery(input) {
+    const terms = String(input || '').match(/"[^"]+"|\S+/g) || [];
+    return terms
+      .map(term => {
+        const prefix = !term.startsWith('"') && term.endsWith('*');
+        const text = term.replace(/^"|"$/g, '').replace(/\*+$/, '').replace(/"/g, '""');
+        return text ? `"${text}"${prefix ? '*' : ''}` : null;
+      })
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  /**
+   * Full-text search over the latest article versions (articles_fts)
+   * Ranked by BM25 with title > abstract > authors > keywords > body.
+   * @param {string} query - Search terms (see toFtsQuery; raw FTS5 syntax with options.raw)
+   * @param {object} options - { author, collection, yearFrom, yearTo, limit, raw, highlight: [open, close] }
+   */
+  searchArticles(query, options = {}) {
+    const {
+      author = null,
+      collection = null,
+      yearFrom = null,
+      yearTo = null,
+      limit = 20,
+      raw = false,
+      highlight = ['[', ']']
+    } = options;
+
+    const parts = [];
+    const textQuery = raw ? query : CrimRxivDatabase.toFtsQuery(query);
+    if (textQuery) parts.push(`(${textQuery})`);
+    const authorQuery = CrimRxivDatabase.toFtsQuery(author);
+    if (authorQuery) parts.push(`authors : (${authorQuery})`);
+
+    if (parts.length === 0) {
+      throw new Error('Search needs a query or an author');
+    }
+
+    return this.db.prepare(`
+      SELECT
+        a.article_id, a.slug, a.title, a.authors_json, a.collections_json,
+        a.published_at, a.doi, a.content_type, a.status,
+        bm25(articles_fts, 10.0, 5.0, 3.0, 2.0, 1.0) as score,
+        snippet(articles_fts, -1, ?, ?, '…', 24) as snippet
+      FROM articles_fts
+      JOIN articles a ON a.rowid = articles_fts.rowid
+      WHERE articles_fts MATCH ?
+        AND (? IS NULL OR EXISTS (
+          SELECT 1 FROM json_each(a.collections_json) WHERE value LIKE '%' || ? || '%'
+        ))
+        AND (? IS NULL OR CAST(substr(a.published_at, 1, 4) AS INTEGER) >= ?)
+        AND (? IS NULL OR CAST(substr(a.published_at, 1, 4) AS INTEGER) <= ?)
+      ORDER BY score
+      LIMIT ?
+    `).all(
+      highlight[0], highlight[1],
+      parts.join(' AND '),
+      collection, collection,
+      yearFrom, yearFrom,
+      yearTo, yearTo,
+      limit
+    );
+  }
+
+  /**
+   * Rebuild articles_fts from the articles table (after bulk edits with
+   * triggers disabled, or if the index is suspected to be out of sync)
+   * @returns {number} Indexed articles
+   */
+  rebuildSearchIndex() {
+    return this.db.transaction(() => {
+      this.db.exec('DELETE FROM articles_fts');
+      // Touching is_latest_version fires the update trigger for each row
+      this.db.exec('UPDATE articles SET is_latest_version = is_latest_version WHERE is_latest_version = 1');
+      return this.db.prepare('SELECT COUNT(*) as count FROM articles_fts').get().count;
+    })();
+  }
+
   /**
    * Get all latest articles
    */
@@ -638,6 +1288,22 @@ export class CrimRxivDatabase {
     `).all();
   }
 
+  /**
+   * Latest articles with the fields checked by the data-quality report
+   * (without the large content columns)
+   */
+  getArticlesForQualityCheck() {
+    return this.db.prepare(`
+      SELECT article_id, slug, title, content_type, status,
+             doi, license, abstract, abstract_source,
+             authors_json, author_count,
+             attachments_json, attachment_count, version_number
+      FROM articles
+      WHERE is_latest_version = 1
+      ORDER BY published_at DESC
+    `).all();
+  }
+
   /**
    * Get single article by slug (latest version)
    */
@@ -649,6 +1315,39 @@ export class CrimRxivDatabase {
     `).get(slug);
   }
 
+  /**
+   * Get upstream status of every article (latest versions)
+   */
+  getArticleStatuses() {
+    return this.db.prepare(`
+      SELECT article_id, slug, status, status_changed_at
+      FROM articles
+      WHERE is_latest_version = 1
+    `).all();
+  }
+
+  /**
+   * Set upstream status for all versions of an article
+   */
+  setArticleStatus(articleId, status) {
+    return this.db.prepare(`
+      UPDATE articles
+      SET status = ?, status_changed_at = ?
+      WHERE article_id = ?
+    `).run(status, new Date().toISOString(), articleId);
+  }
+
+  /**
+   * Get single article by PubPub id (latest version)
+   */
+  getArticleByArticleId(articleId) {
+    return this.db.prepare(`
+      SELECT * FROM articles
+      WHERE article_id = ? AND is_latest_version = 1
+      LIMIT 1
+    `).get(articleId);
+  }
+
   /**
    * Mark articles as exported
    */
@@ -676,18 +1375,62 @@ export class CrimRxivDatabase {
     return this.db.prepare(`
       INSERT INTO export_batches (
         batch_name, export_date, article_count, file_path,
-        file_size_bytes, file_size_mb
-      ) VALUES (?, ?, ?, ?, ?, ?)
+        file_size_bytes, file_size_mb,
+        schema_version, content_hash, source_commit, columns_json, kind
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       batchInfo.batchName,
       batchInfo.exportDate,
       batchInfo.articleCount,
       batchInfo.filePath,
       batchInfo.fileSizeBytes,
-      batchInfo.fileSizeMB
+      batchInfo.fileSizeMB,
+      batchInfo.schemaVersion ?? null,
+      batchInfo.contentHash || null,
+      batchInfo.sourceCommit || null,
+      batchInfo.columns ? JSON.stringify(batchInfo.columns) : null,
+      batchInfo.kind || null
     );
   }
 
+  /**
+   * Row hashes of the last export, by article_id (for delta exports)
+   * @returns {Map<string, string>}
+   */
+  getExportRowHashes() {
+    const rows = this.db.prepare('SELECT article_id, row_hash FROM export_rows').all();
+    return new Map(rows.map(row => [row.article_id, row.row_hash]));
+  }
+
+  /**
+   * Record the rows written by an export batch
+   * @param {Array<{article_id, row_hash}>} rows
+   * @param {string} batchName - export_batches.batch_name
+   * @param {object} options - { reset: true } for a base export (replaces all rows)
+   */
+  recordExportRows(rows, batchName, { reset = false } = {}) {
+    const exportedAt = new Date().toISOString();
+    const upsert = this.db.prepare(`
+      INSERT INTO export_rows (article_id, row_hash, batch_name, exported_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(article_id) DO UPDATE SET
+        row_hash = excluded.row_hash,
+        batch_name = excluded.batch_name,
+        exported_at = excluded.exported_at
+    `);
+
+    const transaction = this.db.transaction(() => {
+      if (reset) {
+        this.db.prepare('DELETE FROM export_rows').run();
+      }
+      for (const row of rows) {
+        upsert.run(row.article_id, row.row_hash, batchName, exportedAt);
+      }
+    });
+
+    transaction();
+  }
+
   /**
    * Update batch with Arweave info
    */
@@ -741,6 +1484,8 @@ export class CrimRxivDatabase {
 
   /**
    * Record scrape run
+   * stats.scrapeDate defaults to now; pass the run's start time so pubs
+   * updated while the import was running are picked up next time
    */
   recordScrapeRun(stats) {
     return this.db.prepare(`
@@ -748,7 +1493,7 @@ export class CrimRxivDatabase {
         scrape_date, total_articles, new_articles, updated_articles, duration_seconds
       ) VALUES (?, ?, ?, ?, ?)
     `).run(
-      new Date().toISOString(),
+      stats.scrapeDate || new Date().toISOString(),
       stats.total,
       stats.inserted,
       stats.updated,
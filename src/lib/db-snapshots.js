@@ -0,0 +1,329 @@
+/**
+ * Database Snapshots - Backup, verify and restore for the SQLite database
+ *
+ * The database is the only place manifest_tx_id values live before they
+ * reach Parquet, so snapshots are taken with SQLite's online backup API
+ * (consistent while the database is open in WAL mode) and stored with a
+ * sha256 checksum next to a small JSON sidecar in data/sqlite/snapshots/.
+ *
+ * Snapshots can also be encrypted (AES-256-GCM, key derived from a
+ * passphrase with scrypt) for off-site storage on Arweave.
+ */
+
+import Database from 'better-sqlite3';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const ENCRYPTION_MAGIC = Buffer.from('CRDBSNAP1');
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Run SQLite's integrity check plus the app-level invariants
+ * @param {Database} db - Open better-sqlite3 handle
+ * @returns {object} { ok, checks: [{ name, ok, detail }] }
+ */
+export function verifyDatabase(db) {
+  const checks = [];
+  const add = (name, problems, describe) => {
+    checks.push({
+      name,
+      ok: problems.length === 0,
+      detail: problems.length === 0 ? 'ok' : describe(problems)
+    });
+  };
+
+  const integrity = db.prepare('PRAGMA integrity_check').all().map(row => Object.values(row)[0]);
+  add('integrity_check', integrity.filter(result => result !== 'ok'), problems =>
+    problems.slice(0, 5).join('; '));
+
+  // Every article has exactly one latest version
+  const latest = db.prepare(`
+    SELECT article_id, SUM(is_latest_version) as latest_count
+    FROM articles
+    GROUP BY article_id
+    HAVING SUM(is_latest_version) != 1
+  `).all();
+  add('one latest version per article', latest, problems =>
+    `${problems.length} article(s), e.g. ${problems.slice(0, 3).map(p => `${p.article_id} (${p.latest_count})`).join(', ')}`);
+
+  // Slugs identify articles in URLs and article folders
+  const slugs = db.prepare(`
+    SELECT slug, COUNT(*) as count
+    FROM articles
+    WHERE is_latest_version = 1
+    GROUP BY slug
+    HAVING COUNT(*) > 1
+  `).all();
+  add('unique slugs', slugs, problems =>
+    `${problems.length} duplicate slug(s), e.g. ${problems.slice(0, 3).map(p => `${p.slug} (${p.count})`).join(', ')}`);
+
+  // A manifest TX ID belongs to one article
+  const manifests = db.prepare(`
+    SELECT manifest_tx_id, COUNT(DISTINCT article_id) as count
+    FROM articles
+    WHERE manifest_tx_id IS NOT NULL
+    GROUP BY manifest_tx_id
+    HAVING COUNT(DISTINCT article_id) > 1
+  `).all();
+  add('unique manifest TX IDs', manifests, problems =>
+    `${problems.length} TX ID(s) shared between articles, e.g. ${problems[0].manifest_tx_id}`);
+
+  return { ok: checks.every(check => check.ok), checks };
+}
+
+/**
+ * Row counts recorded in snapshot sidecars
+ */
+function describeDatabase(db) {
+  const count = (sql) => db.prepare(sql).get().count;
+  const hasMigrations = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+
+  return {
+    schema_version: hasMigrations ? (db.prepare('SELECT MAX(version) as version FROM schema_migrations').get().version || 0) : 0,
+    article_count: count('SELECT COUNT(DISTINCT article_id) as count FROM articles'),
+    version_count: count('SELECT COUNT(*) as count FROM articles'),
+    manifest_tx_id_count: count('SELECT COUNT(*) as count FROM articles WHERE manifest_tx_id IS NOT NULL')
+  };
+}
+
+export class SnapshotManager {
+  /**
+   * @param {string} dbPath - Live database path
+   * @param {string} snapshotDir - Defaults to data/sqlite/snapshots/ next to the database
+   */
+  constructor(dbPath, snapshotDir = null) {
+    this.dbPath = dbPath;
+    this.snapshotDir = snapshotDir || path.join(path.dirname(dbPath), 'snapshots');
+  }
+
+  snapshotPath(name) {
+    return path.join(this.snapshotDir, `${name}.db`);
+  }
+
+  sidecarPath(name) {
+    return path.join(this.snapshotDir, `${name}.json`);
+  }
+
+  async checksum(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Take an online backup of the live database
+   * @param {object} options - { label } appended to the snapshot name
+   * @returns {object} Sidecar metadata
+   */
+  async create({ label = null } = {}) {
+    if (!fs.existsSync(this.dbPath)) {
+      throw new Error(`Database not found: ${this.dbPath}`);
+    }
+
+    fs.mkdirSync(this.snapshotDir, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const safeLabel = label ? `-${label.replace(/[^a-zA-Z0-9_-]+/g, '-')}` : '';
+    const name = `${path.basename(this.dbPath, '.db')}-${timestamp}${safeLabel}`;
+    const filePath = this.snapshotPath(name);
+
+    const db = new Database(this.dbPath, { fileMustExist: true });
+    let description;
+    try {
+      await db.backup(filePath);
+      description = describeDatabase(db);
+    } finally {
+      db.close();
+    }
+
+    const stats = fs.statSync(filePath);
+    const metadata = {
+      name,
+      file: path.basename(filePath),
+      created_at: new Date().toISOString(),
+      source: this.dbPath,
+      size_bytes: stats.size,
+      sha256: await this.checksum(filePath),
+      ...description
+    };
+
+    this.writeMetadata(metadata);
+    return metadata;
+  }
+
+  writeMetadata(metadata) {
+    fs.writeFileSync(this.sidecarPath(metadata.name), JSON.stringify(metadata, null, 2));
+  }
+
+  /**
+   * Snapshots with their sidecar metadata, newest first
+   */
+  list() {
+    if (!fs.existsSync(this.snapshotDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.snapshotDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(this.snapshotDir, file), 'utf-8')))
+      .filter(metadata => fs.existsSync(this.snapshotPath(metadata.name)))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Find a snapshot by exact name ('latest' picks the newest snapshot).
+   * Partial names are rejected with the candidates listed, so a restore
+   * never picks a snapshot the caller didn't name.
+   */
+  get(name) {
+    const snapshots = this.list();
+    if (name === 'latest') return snapshots[0] || null;
+
+    const exact = snapshots.find(s => s.name === name);
+    if (exact) return exact;
+
+    const candidates = name ? snapshots.filter(s => s.name.includes(name)) : [];
+    if (candidates.length > 0) {
+      throw new Error(`No snapshot named "${name}" - use the full name or "latest". Matching snapshots:\n${candidates.map(s => `  ${s.name}`).join('\n')}`);
+    }
+    return null;
+  }
+
+  /**
+   * Check a database file (read-only)
+   */
+  verifyFile(filePath) {
+    const db = new Database(filePath, { readonly: true, fileMustExist: true });
+    try {
+      return verifyDatabase(db);
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Checksum plus integrity/invariant checks for a snapshot
+   */
+  async verifySnapshot(name) {
+    const metadata = this.get(name);
+    if (!metadata) {
+      throw new Error(`Snapshot not found: ${name}`);
+    }
+
+    const sha256 = await this.checksum(this.snapshotPath(metadata.name));
+    const checksum = {
+      name: 'sha256 checksum',
+      ok: sha256 === metadata.sha256,
+      detail: sha256 === metadata.sha256 ? 'ok' : `expected ${metadata.sha256}, got ${sha256}`
+    };
+
+    // Don't open a file that doesn't match its checksum
+    if (!checksum.ok) {
+      return { metadata, ok: false, checks: [checksum] };
+    }
+
+    const result = this.verifyFile(this.snapshotPath(metadata.name));
+    return { metadata, ok: result.ok, checks: [checksum, ...result.checks] };
+  }
+
+  /**
+   * Replace the live database with a verified snapshot
+   * The current database is snapshotted first (label "pre-restore").
+   * Nothing else may have the database open while this runs.
+   */
+  async restore(name, { force = false } = {}) {
+    const verification = await this.verifySnapshot(name);
+    if (!verification.ok && !force) {
+      const failed = verification.checks.filter(check => !check.ok).map(check => `${check.name}: ${check.detail}`);
+      throw new Error(`Snapshot ${verification.metadata.name} failed verification (${failed.join('; ')})`);
+    }
+
+    const safety = fs.existsSync(this.dbPath) ? await this.create({ label: 'pre-restore' }) : null;
+
+    // Stale WAL/SHM files would be replayed on top of the restored file
+    for (const suffix of ['-wal', '-shm']) {
+      fs.rmSync(`${this.dbPath}${suffix}`, { force: true });
+    }
+
+    const tempPath = `${this.dbPath}.restoring`;
+    fs.copyFileSync(this.snapshotPath(verification.metadata.name), tempPath);
+    fs.renameSync(tempPath, this.dbPath);
+
+    return { restored: verification.metadata, safety };
+  }
+
+  /**
+   * Encrypt a snapshot for off-site storage
+   * Layout: magic | salt | iv | auth tag | ciphertext
+   */
+  static encrypt(buffer, passphrase) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const key = crypto.scryptSync(passphrase, salt, 32);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+    return Buffer.concat([ENCRYPTION_MAGIC, salt, iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  static decrypt(buffer, passphrase) {
+    if (!buffer.subarray(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC)) {
+      throw new Error('Not an encrypted CrimRxiv database snapshot');
+    }
+
+    let offset = ENCRYPTION_MAGIC.length;
+    const take = (length) => buffer.subarray(offset, offset += length);
+    const salt = take(SALT_LENGTH);
+    const iv = take(IV_LENGTH);
+    const tag = take(TAG_LENGTH);
+
+    const key = crypto.scryptSync(passphrase, salt, 32);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+
+    // Throws if the passphrase is wrong or the data was altered
+    return Buffer.concat([decipher.update(buffer.subarray(offset)), decipher.final()]);
+  }
+
+  /**
+   * Store a decrypted snapshot downloaded from Arweave
+   */
+  async importBuffer(buffer, { label = 'arweave', txId = null } = {}) {
+    fs.mkdirSync(this.snapshotDir, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const name = `${path.basename(this.dbPath, '.db')}-${timestamp}-${label}`;
+    const filePath = this.snapshotPath(name);
+    fs.writeFileSync(filePath, buffer);
+
+    const db = new Database(filePath, { readonly: true, fileMustExist: true });
+    let description;
+    try {
+      description = describeDatabase(db);
+    } finally {
+      db.close();
+    }
+
+    const metadata = {
+      name,
+      file: path.basename(filePath),
+      created_at: new Date().toISOString(),
+      source: txId ? `ar://${txId}` : 'import',
+      size_bytes: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      arweave_tx_id: txId,
+      ...description
+    };
+
+    this.writeMetadata(metadata);
+    return metadata;
+  }
+}
+
+export default SnapshotManager;
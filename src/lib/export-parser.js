@@ -388,6 +388,68 @@ export class ExportParser {
     return downloads;
   }
 
+  /**
+   * Load the export as an offline source for scripts/import-to-articles.js
+   * (--from-export). Returns the raw pubs in the same shape as the SDK.
+   */
+  async loadAsImportSource() {
+    await this.loadExportFile();
+    await this.extractCommunityMetadata();
+
+    // Collections referenced only through collectionPubs
+    const known = new Set(this.metadata.collections.map(c => c.id));
+    for (const pub of this.rawData.pubs) {
+      for (const collectionPub of pub.collectionPubs || []) {
+        const collection = collectionPub.collection;
+        if (collection && !known.has(collection.id)) {
+          known.add(collection.id);
+          this.metadata.collections.push({
+            id: collection.id,
+            title: collection.title,
+            slug: collection.slug,
+            kind: collection.kind
+          });
+        }
+      }
+    }
+
+    return this.rawData.pubs;
+  }
+
+  /**
+   * Get the ProseMirror doc for a release (or the latest content when
+   * historyKey is null) from an exported pub
+   */
+  getPubText(pub, historyKey = null) {
+    const releases = (pub.releases || []).slice().sort((a, b) =>
+      new Date(a.createdAt) - new Date(b.createdAt)
+    );
+
+    const docOf = (release) => release && (release.doc || release.content || release.text || null);
+
+    if (historyKey !== null && historyKey !== undefined) {
+      return docOf(releases.find(r => r.historyKey === historyKey));
+    }
+
+    // Latest content: newest release, falling back to the draft
+    return docOf(releases[releases.length - 1]) || pub.draft?.doc || null;
+  }
+
+  /**
+   * Get an outbound edge with its nested externalPublication (same shape as
+   * the SDK's pubEdge.get response body)
+   */
+  getPubEdge(edge) {
+    if (edge.externalPublication) {
+      return edge;
+    }
+
+    const externalPublication = (this.rawData.externalPublications || [])
+      .find(ext => ext.id === edge.externalPublicationId);
+
+    return externalPublication ? { ...edge, externalPublication } : null;
+  }
+
   /**
    * Extract and normalize publication dates
    */
@@ -0,0 +1,395 @@
+/**
+ * ProseMirror → Standalone HTML Page (PubPub node set)
+ *
+ * Renders article.html for each article and release folder: one
+ * self-contained page (inline CSS, no scripts) with a metadata header,
+ * license badge, the full body, footnotes, references and the attachments
+ * list. It is the index of the article manifest, so opening
+ * https://arweave.net/{manifestTxId} shows a readable article without the
+ * SPA or DuckDB.
+ *
+ * <head> carries Highwire citation_* meta tags (Google Scholar, Zotero) and
+ * the schema.org JSON-LD of the article. Images point at the archived
+ * attachments/ copies, relative to the page.
+ */
+
+import { normalizeProseMirrorJson, htmlToText } from './markdown-serializer.js';
+import { toRecord, toJsonLd, PUBLISHER } from './scholarly-formats.js';
+import { getContentTypeLabel } from '../config/content-types.js';
+
+const MARK_TAGS = {
+  em: 'em',
+  strong: 'strong',
+  code: 'code',
+  strike: 's',
+  sub: 'sub',
+  sup: 'sup'
+};
+
+const STYLE = `
+  :root { --text: #1a1a1a; --muted: #5f6368; --accent: #0b5394; --border: #e0e0e0; --bg-soft: #f7f7f5; }
+  * { box-sizing: border-box; }
+  body { margin: 0; color: var(--text); background: #fff; font: 18px/1.65 Georgia, 'Times New Roman', serif; }
+  main { max-width: 46rem; margin: 0 auto; padding: 2.5rem 1.25rem 4rem; }
+  a { color: var(--accent); }
+  header.article-header { border-bottom: 1px solid var(--border); margin-bottom: 2rem; padding-bottom: 1.5rem; }
+  .meta, .authors, .release, footer, .badge, figcaption, table, .attachments { font-family: -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; }
+  .content-type { color: var(--muted); font-size: .8rem; letter-spacing: .08em; text-transform: uppercase; }
+  h1 { font-size: 2rem; line-height: 1.25; margin: .4rem 0 1rem; }
+  .authors { font-size: 1rem; margin: 0 0 .75rem; }
+  .author-affiliation { color: var(--muted); }
+  .orcid { font-size: .75rem; margin-left: .2rem; }
+  .meta { color: var(--muted); display: flex; flex-wrap: wrap; gap: .4rem 1.2rem; font-size: .85rem; margin: 0; }
+  .badge { border: 1px solid var(--border); border-radius: 3px; display: inline-block; font-size: .75rem; padding: .05rem .45rem; text-decoration: none; }
+  .release { background: var(--bg-soft); border-radius: 4px; font-size: .85rem; margin-top: 1rem; padding: .6rem .9rem; }
+  .abstract { background: var(--bg-soft); border-radius: 4px; padding: 1rem 1.25rem; }
+  h2, h3, h4, h5, h6 { line-height: 1.3; margin: 2rem 0 .75rem; }
+  figure { margin: 1.75rem 0; }
+  img, video { max-width: 100%; height: auto; }
+  figcaption { color: var(--muted); font-size: .85rem; margin-top: .4rem; }
+  blockquote { border-left: 3px solid var(--border); color: #444; margin: 1.25rem 0; padding-left: 1rem; }
+  pre { background: var(--bg-soft); overflow-x: auto; padding: .75rem 1rem; font-size: .85rem; }
+  table { border-collapse: collapse; display: block; font-size: .85rem; overflow-x: auto; width: 100%; }
+  th, td { border: 1px solid var(--border); padding: .35rem .6rem; text-align: left; vertical-align: top; }
+  th { background: var(--bg-soft); }
+  table caption { caption-side: bottom; color: var(--muted); padding-top: .4rem; text-align: left; }
+  .notes { border-top: 1px solid var(--border); font-size: .9rem; margin-top: 3rem; }
+  .attachments ul { padding-left: 1.2rem; }
+  footer { border-top: 1px solid var(--border); color: var(--muted); font-size: .8rem; margin-top: 3rem; padding-top: 1rem; }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Only http(s), mailto and relative links (no javascript: etc.)
+ */
+function safeUrl(url) {
+  const value = String(url || '').trim();
+  return /^(https?:|mailto:|#|[^:]*$)/i.test(value) ? value : '#';
+}
+
+function formatDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date)) return null;
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * One document conversion (collects footnotes and references)
+ */
+class HtmlWriter {
+  constructor() {
+    this.footnotes = [];
+    this.citations = [];
+  }
+
+  blocks(nodes) {
+    return (nodes || []).map(node => this.block(node)).filter(Boolean).join('\n');
+  }
+
+  caption(html) {
+    const text = htmlToText(html);
+    return text ? `<figcaption>${escapeHtml(text)}</figcaption>` : '';
+  }
+
+  idAttr(node) {
+    return node.attrs?.id ? ` id="${escapeHtml(node.attrs.id)}"` : '';
+  }
+
+  block(node) {
+    const { attrs = {} } = node;
+
+    switch (node.type) {
+      case 'paragraph':
+        return `<p>${this.inline(node.content)}</p>`;
+      case 'heading': {
+        // The page title is the <h1>
+        const level = Math.min((attrs.level || 1) + 1, 6);
+        return `<h${level}${this.idAttr(node)}>${this.inline(node.content)}</h${level}>`;
+      }
+      case 'blockquote':
+        return `<blockquote>\n${this.blocks(node.content)}\n</blockquote>`;
+      case 'code_block':
+        return `<pre><code>${escapeHtml(this.text(node))}</code></pre>`;
+      case 'ordered_list':
+        return `<ol${attrs.order > 1 ? ` start="${parseInt(attrs.order, 10)}"` : ''}>\n${(node.content || []).map(item => `<li>${this.blocks(item.content)}</li>`).join('\n')}\n</ol>`;
+      case 'bullet_list':
+        return `<ul>\n${(node.content || []).map(item => `<li>${this.blocks(item.content)}</li>`).join('\n')}\n</ul>`;
+      case 'horizontal_rule':
+        return '<hr>';
+      case 'image': {
+        const src = attrs.localPath || attrs.url || attrs.src || '';
+        const alt = attrs.altText || attrs.alt || '';
+        return `<figure${this.idAttr(node)}><img src="${escapeHtml(safeUrl(src))}" alt="${escapeHtml(alt)}" loading="lazy">${this.caption(attrs.caption)}</figure>`;
+      }
+      case 'video':
+        return `<figure${this.idAttr(node)}><video controls preload="metadata" src="${escapeHtml(safeUrl(attrs.url))}"></video>${this.caption(attrs.caption)}</figure>`;
+      case 'audio':
+        return `<figure${this.idAttr(node)}><audio controls preload="metadata" src="${escapeHtml(safeUrl(attrs.url))}"></audio>${this.caption(attrs.caption)}</figure>`;
+      case 'iframe':
+        return `<figure${this.idAttr(node)}><p><a href="${escapeHtml(safeUrl(attrs.url))}">Embedded content</a></p>${this.caption(attrs.caption)}</figure>`;
+      case 'file':
+        return `<p><a href="${escapeHtml(safeUrl(attrs.url))}">${escapeHtml(attrs.fileName || 'Attachment')}</a></p>`;
+      case 'table':
+        return this.table(node);
+      case 'block_equation':
+        return `<pre class="equation"${this.idAttr(node)}>${escapeHtml(attrs.value || '')}</pre>`;
+      case 'citation_list':
+      case 'footnote_list':
+        return '';
+      default: {
+        // Inline nodes directly under a block container get their own paragraph
+        if (!['text', 'hard_break', 'equation', 'footnote', 'citation', 'reference'].includes(node.type)) {
+          return this.blocks(node.content);
+        }
+        return `<p>${this.inlineNode(node)}</p>`;
+      }
+    }
+  }
+
+  table(node) {
+    const rows = (node.content || []).map(row => {
+      const cells = (row.content || []).map(cell => {
+        const tag = cell.type === 'table_header' ? 'th' : 'td';
+        const span = [
+          cell.attrs?.colspan > 1 ? ` colspan="${parseInt(cell.attrs.colspan, 10)}"` : '',
+          cell.attrs?.rowspan > 1 ? ` rowspan="${parseInt(cell.attrs.rowspan, 10)}"` : ''
+        ].join('');
+        return `<${tag}${span}>${this.blocks(cell.content)}</${tag}>`;
+      });
+      return `<tr>${cells.join('')}</tr>`;
+    });
+
+    const caption = htmlToText(node.attrs?.caption);
+    return `<table${this.idAttr(node)}>${caption ? `<caption>${escapeHtml(caption)}</caption>` : ''}\n${rows.join('\n')}\n</table>`;
+  }
+
+  text(node) {
+    if (node.type === 'text') return node.text;
+    return (node.content || []).map(child => this.text(child)).join('');
+  }
+
+  inline(nodes) {
+    return (nodes || []).map(node => this.inlineNode(node)).join('');
+  }
+
+  inlineNode(node) {
+    const { attrs = {} } = node;
+
+    switch (node.type) {
+      case 'text': {
+        let html = escapeHtml(node.text);
+        for (const mark of node.marks || []) {
+          if (mark.type === 'link') {
+            html = `<a href="${escapeHtml(safeUrl(mark.attrs?.href || '#'))}">${html}</a>`;
+          } else if (MARK_TAGS[mark.type]) {
+            html = `<${MARK_TAGS[mark.type]}>${html}</${MARK_TAGS[mark.type]}>`;
+          }
+        }
+        return html;
+      }
+      case 'hard_break':
+        return '<br>';
+      case 'equation':
+        return `<code class="math">${escapeHtml(attrs.value || '')}</code>`;
+      case 'footnote': {
+        const text = htmlToText(attrs.value) || htmlToText(attrs.structuredHtml) || attrs.structuredValue || '';
+        this.footnotes.push(text);
+        const n = this.footnotes.length;
+        return `<sup><a href="#fn-${n}" id="fnref-${n}">${n}</a></sup>`;
+      }
+      case 'citation': {
+        const text = htmlToText(attrs.html) || htmlToText(attrs.unstructuredValue) || attrs.value || '';
+        let index = this.citations.indexOf(text) + 1;
+        if (index === 0) {
+          this.citations.push(text);
+          index = this.citations.length;
+        }
+        return `<a href="#ref-${index}">[${escapeHtml(attrs.customLabel || index)}]</a>`;
+      }
+      case 'reference':
+        if (!attrs.label) return '';
+        return attrs.targetId ? `<a href="#${escapeHtml(attrs.targetId)}">${escapeHtml(attrs.label)}</a>` : escapeHtml(attrs.label);
+      default:
+        return this.inline(node.content);
+    }
+  }
+
+  notes() {
+    const parts = [];
+    if (this.footnotes.length > 0) {
+      parts.push(`<section class="notes">\n<h2>Footnotes</h2>\n<ol>\n${this.footnotes
+        .map((text, i) => `<li id="fn-${i + 1}">${escapeHtml(text)} <a href="#fnref-${i + 1}">↩</a></li>`)
+        .join('\n')}\n</ol>\n</section>`);
+    }
+    if (this.citations.length > 0) {
+      parts.push(`<section class="notes">\n<h2>References</h2>\n<ol>\n${this.citations
+        .map((text, i) => `<li id="ref-${i + 1}">${escapeHtml(text)}</li>`)
+        .join('\n')}\n</ol>\n</section>`);
+    }
+    return parts.join('\n');
+  }
+}
+
+/**
+ * Convert a PubPub ProseMirror document to an HTML fragment
+ * @param {object} doc - ProseMirror JSON document
+ * @returns {{ body: string, notes: string }} Body and footnotes/references sections
+ */
+export function prosemirrorToHtml(doc) {
+  if (!doc?.content) return { body: '', notes: '' };
+  const [normalized] = normalizeProseMirrorJson({ ...doc, type: 'doc' });
+  const writer = new HtmlWriter();
+  const body = writer.blocks(normalized.content);
+  return { body, notes: writer.notes() };
+}
+
+/**
+ * Highwire Press citation_* meta tags
+ */
+function renderCitationMeta(record, article) {
+  const tags = [['citation_title', record.title]];
+
+  for (const author of record.authors) {
+    tags.push(['citation_author', author.literal || `${author.family}, ${author.given}`]);
+    if (author.affiliation) tags.push(['citation_author_institution', author.affiliation]);
+    if (author.orcid) tags.push(['citation_author_orcid', `https://orcid.org/${author.orcid}`]);
+  }
+  if (record.published) {
+    tags.push(['citation_publication_date', record.published.toISOString().substring(0, 10).replace(/-/g, '/')]);
+  }
+  tags.push(['citation_publisher', PUBLISHER]);
+  if (record.doi) tags.push(['citation_doi', record.doi]);
+  if (record.abstract) tags.push(['citation_abstract', record.abstract]);
+  if (record.keywords.length > 0) tags.push(['citation_keywords', record.keywords.join('; ')]);
+  tags.push(['citation_fulltext_html_url', record.url]);
+  if (article.pdf_url) tags.push(['citation_pdf_url', article.pdf_url]);
+  if (record.license) tags.push(['dc.rights', record.license.url || record.license.name]);
+
+  return tags.map(([name, content]) => `<meta name="${name}" content="${escapeHtml(content)}">`).join('\n');
+}
+
+function renderAuthors(record) {
+  if (record.authors.length === 0) return '';
+  const authors = record.authors.map(author => [
+    `<span class="author">${escapeHtml(author.name)}`,
+    author.affiliation ? ` <span class="author-affiliation">(${escapeHtml(author.affiliation)})</span>` : '',
+    author.orcid ? ` <a class="orcid" href="https://orcid.org/${author.orcid}" title="ORCID ${author.orcid}">ORCID</a>` : '',
+    '</span>'
+  ].join(''));
+  return `<p class="authors">${authors.join(', ')}</p>`;
+}
+
+function renderLicense(record) {
+  if (!record.license) return '';
+  return record.license.url
+    ? `<a class="badge" rel="license" href="${escapeHtml(record.license.url)}">${escapeHtml(record.license.name)}</a>`
+    : `<span class="badge">${escapeHtml(record.license.name)}</span>`;
+}
+
+/**
+ * Links between the article root page and its release pages
+ */
+function renderReleases(versions, release, pathPrefix) {
+  if (!versions || versions.length === 0) return '';
+  const latest = versions[versions.length - 1].number;
+
+  const links = versions.map(version => {
+    const label = `Release ${version.number}${formatDate(version.createdAt) ? ` (${formatDate(version.createdAt)})` : ''}`;
+    return release?.number === version.number
+      ? `<strong>${escapeHtml(label)}</strong>`
+      : `<a href="${pathPrefix}${version.number}/article.html">${escapeHtml(label)}</a>`;
+  });
+
+  const status = release
+    ? `Release ${release.number} of ${versions.length}${release.number !== latest ? ` · <a href="${pathPrefix}article.html">Latest version</a>` : ''}`
+    : `Latest release (${latest} of ${versions.length})`;
+
+  return `<div class="release">${status}${release?.noteText ? `<br>${escapeHtml(htmlToText(release.noteText))}` : ''}${versions.length > 1 ? `<br>${links.join(' · ')}` : ''}</div>`;
+}
+
+function renderAttachments(attachments) {
+  const files = (attachments || []).filter(attachment => !attachment.inline);
+  if (files.length === 0) return '';
+  const items = files.map(file => {
+    const size = file.size ? ` (${(file.size / 1024 / 1024).toFixed(1)} MB)` : '';
+    return `<li><a href="${escapeHtml(file.path)}">${escapeHtml(file.filename)}</a>${size}</li>`;
+  });
+  return `<section class="attachments">\n<h2>Attachments</h2>\n<ul>\n${items.join('\n')}\n</ul>\n</section>`;
+}
+
+/**
+ * Render the standalone article.html page
+ * @param {object} doc - ProseMirror JSON document (content.json), may be null
+ * @param {object} article - Article row as stored in SQLite (title, authors_json, doi, ...)
+ * @param {object} options
+ * @param {Array} options.attachments - attachments.json entries of the folder
+ * @param {Array} options.versions - versions.json entries (release links)
+ * @param {object} options.release - The release this page is for (release folders)
+ * @returns {string} HTML document
+ */
+export function renderArticlePage(doc, article, { attachments = [], versions = [], release = null } = {}) {
+  const record = toRecord(article);
+  const { body, notes } = prosemirrorToHtml(doc);
+  // Release pages live in {n}/, one level below the root page
+  const pathPrefix = release ? '../' : '';
+
+  const published = record.published ? formatDate(record.published) : null;
+  const meta = [
+    published ? `<span>Published ${escapeHtml(published)}</span>` : '',
+    record.doi ? `<span>DOI <a href="https://doi.org/${escapeHtml(record.doi)}">${escapeHtml(record.doi)}</a></span>` : '',
+    ...record.versionOf.map(pub => `<span>Version of <a href="${escapeHtml(pub.doi ? `https://doi.org/${pub.doi}` : safeUrl(pub.url))}">${escapeHtml(pub.title || pub.doi || pub.url)}</a></span>`),
+    renderLicense(record)
+  ].filter(Boolean).join('\n');
+
+  // PubPub bodies usually contain the abstract; show it only without a body
+  const abstract = !body && record.abstract
+    ? `<section class="abstract">\n<h2>Abstract</h2>\n<p>${escapeHtml(record.abstract)}</p>\n</section>`
+    : '';
+
+  const jsonLd = JSON.stringify({ '@context': 'https://schema.org', ...toJsonLd(record) }).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(record.title)} · ${PUBLISHER}</title>
+${record.abstract ? `<meta name="description" content="${escapeHtml(record.abstract.substring(0, 300))}">\n` : ''}<link rel="canonical" href="${escapeHtml(release?.url || record.url)}">
+${renderCitationMeta(record, article)}
+<script type="application/ld+json">${jsonLd}</script>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+<header class="article-header">
+<div class="content-type">${escapeHtml(getContentTypeLabel(article.content_type))}</div>
+<h1>${escapeHtml(record.title)}</h1>
+${renderAuthors(record)}
+<p class="meta">
+${meta}
+</p>
+${renderReleases(versions, release, pathPrefix)}
+</header>
+<article>
+${abstract}${body}
+</article>
+${notes}
+${renderAttachments(attachments)}
+<footer>
+Archived from <a href="${escapeHtml(release?.url || record.url)}">${escapeHtml(release?.url || record.url)}</a> by the ${PUBLISHER} Archive on Arweave.
+</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+export default renderArticlePage;
@@ -0,0 +1,371 @@
+/**
+ * Resilient HTTP Client
+ * Shared by the pipeline scripts (PubPub SDK calls, attachment downloads,
+ * Turbo uploads) so transient failures are retried instead of dropping data.
+ * Paid uploads only get the rate limits and circuit breaker (maxRetries: 0).
+ *
+ * - Exponential backoff with jitter
+ * - 429 / 503 handling that honours Retry-After
+ * - Per-host rate limits (minimum spacing between requests)
+ * - Per-host circuit breaker (closed → open → half-open)
+ */
+
+import axios from 'axios';
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import { Logger } from './utils.js';
+
+// Turbo upload service (used as the rate limit/circuit key for uploads)
+export const TURBO_UPLOAD_HOST = 'upload.ardrive.io';
+
+const DEFAULT_CONFIG = {
+  maxRetries: 3,
+  initialBackoff: 2000,
+  maxBackoff: 30000,
+  timeout: 60000,
+  userAgent: 'CrimConsortium-Archive-Bot/1.0 (crimrxiv@manchester.ac.uk)',
+  // Requests per second, by host ('default' applies to any other host)
+  rateLimits: {
+    'www.crimrxiv.com': 5,
+    'assets.pubpub.org': 10,
+    [TURBO_UPLOAD_HOST]: 5,
+    default: 10
+  },
+  circuitBreaker: {
+    threshold: 10,     // Consecutive failures before the circuit opens
+    timeout: 300000    // 5 minutes before a half-open trial request
+  }
+};
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND', 'ERR_NETWORK']);
+
+/**
+ * HTTP error with status and Retry-After (ms) when the server sent one
+ */
+export class HttpError extends Error {
+  constructor(message, { status = null, retryAfter = null, url = null } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.url = url;
+  }
+}
+
+/**
+ * Thrown without a network call while a host's circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(host, retryInMs) {
+    super(`Circuit breaker is open for ${host} - retry in ${Math.ceil(retryInMs / 1000)}s`);
+    this.name = 'CircuitOpenError';
+    this.host = host;
+  }
+}
+
+export class ResilientHttpClient {
+  constructor(config = {}) {
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...config,
+      rateLimits: { ...DEFAULT_CONFIG.rateLimits, ...(config.rateLimits || {}) },
+      circuitBreaker: { ...DEFAULT_CONFIG.circuitBreaker, ...(config.circuitBreaker || {}) }
+    };
+    this.logger = new Logger();
+    this.hosts = new Map();
+  }
+
+  /**
+   * Per-host rate limit and circuit breaker state
+   */
+  getHostState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        nextSlot: 0,
+        failures: 0,
+        state: 'closed',  // closed, open, half-open
+        openedAt: null
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Wait for this host's next request slot
+   */
+  async waitForRateLimit(host) {
+    const perSecond = this.config.rateLimits[host] ?? this.config.rateLimits.default;
+    if (!perSecond) return;
+
+    const hostState = this.getHostState(host);
+    const now = Date.now();
+    const slot = Math.max(now, hostState.nextSlot);
+    hostState.nextSlot = slot + Math.ceil(1000 / perSecond);
+
+    if (slot > now) {
+      await this.delay(slot - now);
+    }
+  }
+
+  /**
+   * Throw if the circuit is open; move to half-open once the timeout passed
+   */
+  checkCircuit(host) {
+    const hostState = this.getHostState(host);
+    if (hostState.state !== 'open') return;
+
+    const elapsed = Date.now() - hostState.openedAt;
+    if (elapsed < this.config.circuitBreaker.timeout) {
+      throw new CircuitOpenError(host, this.config.circuitBreaker.timeout - elapsed);
+    }
+
+    hostState.state = 'half-open';
+    this.logger.info(`Circuit breaker for ${host}: moving to half-open state`);
+  }
+
+  recordSuccess(host) {
+    const hostState = this.getHostState(host);
+    if (hostState.state !== 'closed') {
+      this.logger.info(`Circuit breaker for ${host}: closed`);
+    }
+    hostState.failures = 0;
+    hostState.state = 'closed';
+    hostState.openedAt = null;
+  }
+
+  recordFailure(host) {
+    const hostState = this.getHostState(host);
+    hostState.failures++;
+
+    if (hostState.state === 'half-open' || hostState.failures >= this.config.circuitBreaker.threshold) {
+      if (hostState.state !== 'open') {
+        this.logger.error(`Circuit breaker for ${host} opened after ${hostState.failures} failures`);
+      }
+      hostState.state = 'open';
+      hostState.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Parse Retry-After (seconds or HTTP date) into milliseconds
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Read a header from axios (plain object) or fetch-style (Headers) responses
+   */
+  getHeader(headers, name) {
+    if (!headers) return null;
+    if (typeof headers.get === 'function') return headers.get(name);
+    return headers[name] ?? headers[name.toLowerCase()] ?? null;
+  }
+
+  /**
+   * Normalize axios/network errors into HttpError (other errors pass through)
+   */
+  toHttpError(error, url) {
+    if (error instanceof HttpError || error instanceof CircuitOpenError) {
+      return error;
+    }
+
+    if (error.response) {
+      const { status, statusText, headers } = error.response;
+      return new HttpError(`HTTP ${status}: ${statusText || 'Request failed'}`, {
+        status,
+        retryAfter: this.parseRetryAfter(this.getHeader(headers, 'retry-after')),
+        url
+      });
+    }
+
+    // SDK errors that carry the response status (PubPub SDK)
+    if (typeof error.status === 'number') {
+      return new HttpError(error.message, { status: error.status, url });
+    }
+
+    // Network errors; fetch (undici) puts the socket error code on error.cause
+    const code = error.code ?? error.cause?.code;
+    if (!code) {
+      return error;
+    }
+
+    const httpError = new HttpError(error.message, { url });
+    httpError.code = code;
+    return httpError;
+  }
+
+  /**
+   * Only network and HTTP errors are retried; anything else (TypeError,
+   * wallet/auth errors from the SDKs) is a bug or a config problem
+   */
+  isRetryable(error) {
+    if (!(error instanceof HttpError)) return false;
+    if (error.status) return RETRYABLE_STATUS.has(error.status);
+    return Boolean(error.code) && RETRYABLE_CODES.has(error.code);
+  }
+
+  /**
+   * Whether an error says something about the host's health
+   */
+  isHostFailure(error) {
+    if (!(error instanceof HttpError)) return false;
+    return error.status ? error.status >= 500 || RETRYABLE_STATUS.has(error.status) : Boolean(error.code);
+  }
+
+  /**
+   * Exponential backoff with jitter, or the server's Retry-After if longer
+   */
+  backoffDelay(attempt, retryAfter = null) {
+    const exponential = Math.min(this.config.initialBackoff * 2 ** (attempt - 1), this.config.maxBackoff);
+    const jittered = exponential / 2 + Math.random() * (exponential / 2);
+    return retryAfter !== null ? Math.max(retryAfter, jittered) : jittered;
+  }
+
+  /**
+   * Run an operation against a host with rate limiting, retries and the
+   * circuit breaker. Use for SDK calls that don't go through request().
+   *
+   * Results with a numeric `status` (e.g. PubPub SDK responses) are treated
+   * as failures when the status is retryable (429, 5xx).
+   *
+   * Pass maxRetries: 0 for operations that aren't idempotent (paid Turbo
+   * uploads): a timeout after the data was accepted would upload and pay twice.
+   *
+   * @param {string} host - Host the operation talks to (rate limit/circuit key)
+   * @param {Function} operation - Async function to run
+   * @param {object} options - { label, maxRetries }
+   */
+  async execute(host, operation, options = {}) {
+    const label = options.label || host;
+    const maxRetries = options.maxRetries ?? this.config.maxRetries;
+
+    for (let attempt = 1; ; attempt++) {
+      this.checkCircuit(host);
+      await this.waitForRateLimit(host);
+
+      let error;
+      try {
+        const result = await operation();
+
+        if (result && typeof result.status === 'number' && RETRYABLE_STATUS.has(result.status)) {
+          throw new HttpError(`HTTP ${result.status}`, {
+            status: result.status,
+            retryAfter: this.parseRetryAfter(this.getHeader(result.headers, 'retry-after'))
+          });
+        }
+
+        this.recordSuccess(host);
+        return result;
+      } catch (caught) {
+        error = this.toHttpError(caught);
+      }
+
+      // Client errors (404 etc.) and local errors say nothing about the host's health
+      if (this.isHostFailure(error)) {
+        this.recordFailure(host);
+      }
+
+      if (!this.isRetryable(error)) {
+        throw error;
+      }
+
+      if (attempt > maxRetries) {
+        this.logger.error(`${label} failed after ${attempt} attempts`, error.message);
+        throw error;
+      }
+
+      const wait = this.backoffDelay(attempt, error.retryAfter);
+      this.logger.warning(`${label} failed (${error.message}), retry ${attempt}/${maxRetries} in ${Math.round(wait / 1000)}s`);
+
+      // Retry-After means this host is asking everyone to slow down
+      if (error.retryAfter !== null && error.retryAfter !== undefined) {
+        const hostState = this.getHostState(host);
+        hostState.nextSlot = Math.max(hostState.nextSlot, Date.now() + wait);
+      }
+
+      await this.delay(wait);
+    }
+  }
+
+  /**
+   * axios request with retries (config as for axios(config))
+   */
+  async request(config) {
+    const host = new URL(config.url).host;
+
+    return this.execute(host, () => axios({
+      timeout: this.config.timeout,
+      maxRedirects: 5,
+      ...config,
+      headers: {
+        'User-Agent': this.config.userAgent,
+        ...(config.headers || {})
+      }
+    }).catch(error => {
+      throw this.toHttpError(error, config.url);
+    }), { label: `${(config.method || 'GET').toUpperCase()} ${config.url.substring(0, 80)}` });
+  }
+
+  async get(url, config = {}) {
+    return this.request({ ...config, method: 'GET', url });
+  }
+
+  /**
+   * Download a URL to a file. The whole transfer is retried, and data is
+   * written to a .part file first so an interrupted download never leaves
+   * a truncated file behind.
+   */
+  async download(url, filePath, config = {}) {
+    const host = new URL(url).host;
+    const partPath = `${filePath}.part`;
+
+    await this.execute(host, async () => {
+      try {
+        const response = await axios({
+          timeout: this.config.timeout,
+          maxRedirects: 5,
+          ...config,
+          method: 'GET',
+          url,
+          responseType: 'stream',
+          headers: { 'User-Agent': this.config.userAgent, ...(config.headers || {}) }
+        });
+        await pipeline(response.data, fs.createWriteStream(partPath));
+      } catch (error) {
+        await fs.promises.rm(partPath, { force: true });
+        throw this.toHttpError(error, url);
+      }
+    }, { label: `Download ${url.substring(0, 80)}` });
+
+    await fs.promises.rename(partPath, filePath);
+    return filePath;
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// One client per config, so callers with the same settings share rate limits
+// and circuit state and a caller's own settings are never silently dropped
+const sharedClients = new Map();
+
+export function getHttpClient(config = {}) {
+  const key = JSON.stringify(config);
+  if (!sharedClients.has(key)) {
+    sharedClients.set(key, new ResilientHttpClient(config));
+  }
+  return sharedClients.get(key);
+}
+
+export default ResilientHttpClient;
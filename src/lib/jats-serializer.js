@@ -0,0 +1,382 @@
+/**
+ * ProseMirror → JATS XML Serializer (PubPub node set)
+ *
+ * Converts PubPub's ProseMirror content.json plus the article metadata into
+ * a JATS 1.3 (Journal Archiving and Interchange) article.jats.xml, the format
+ * preservation services and PMC-style systems ingest.
+ *
+ * - front: title, contributors (ORCID, affiliations, CRediT roles,
+ *   corresponding author), DOI, dates, release, license, abstract, keywords
+ *   and "version of" related articles
+ * - body: headings become nested <sec>s; figures, tables, media, files and
+ *   equations map to their JATS elements
+ * - back: footnotes (<fn-group>) and references (<ref-list>), numbered in
+ *   order of first use like article.md
+ *
+ * Node types and aliases come from the markdown serializer's PubPub schema.
+ */
+
+import { normalizeProseMirrorJson, htmlToText } from './markdown-serializer.js';
+import { toRecord, PUBLISHER } from './scholarly-formats.js';
+import { getContentTypeLabel } from '../config/content-types.js';
+
+const JATS_DOCTYPE = '<!DOCTYPE article PUBLIC "-//NLM//DTD JATS (Z39.96) Journal Archiving and Interchange DTD v1.3 20210610//EN" "JATS-archivearticle1-3.dtd">';
+
+const MARK_ELEMENTS = {
+  em: 'italic',
+  strong: 'bold',
+  code: 'monospace',
+  strike: 'strike',
+  sub: 'sub',
+  sup: 'sup'
+};
+
+// Cross-reference targets (PubPub "reference" nodes point at these by id)
+const XREF_TYPES = {
+  image: 'fig',
+  video: 'fig',
+  audio: 'fig',
+  iframe: 'fig',
+  table: 'table',
+  block_equation: 'disp-formula'
+};
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * PubPub node ids as XML ids (must not start with a digit)
+ */
+function toXmlId(id) {
+  const clean = String(id).replace(/[^\w.-]/g, '');
+  return /^[A-Za-z_]/.test(clean) ? clean : `id-${clean}`;
+}
+
+/**
+ * <day>/<month>/<year> for a date-like value
+ */
+function dateParts(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date)) return null;
+  return `<day>${String(date.getUTCDate()).padStart(2, '0')}</day><month>${String(date.getUTCMonth() + 1).padStart(2, '0')}</month><year>${date.getUTCFullYear()}</year>`;
+}
+
+/**
+ * One document conversion (collects footnotes, references and ids)
+ */
+class JatsWriter {
+  constructor(doc) {
+    this.footnotes = [];
+    this.citations = [];
+    this.targets = new Map();   // id → ref-type of figures/tables/equations (xref targets)
+    this.collectTargets(doc);
+  }
+
+  collectTargets(node) {
+    if (node.attrs?.id && XREF_TYPES[node.type]) {
+      this.targets.set(node.attrs.id, XREF_TYPES[node.type]);
+    }
+    (node.content || []).forEach(child => this.collectTargets(child));
+  }
+
+  idAttr(node) {
+    return node.attrs?.id ? ` id="${escapeXml(toXmlId(node.attrs.id))}"` : '';
+  }
+
+  caption(html) {
+    const text = htmlToText(html);
+    return text ? `<caption><p>${escapeXml(text)}</p></caption>` : '';
+  }
+
+  /**
+   * Body: blocks before the first heading, then nested sections
+   */
+  body(doc) {
+    const root = { level: 0, blocks: [], sections: [] };
+    const stack = [root];
+
+    for (const node of doc.content || []) {
+      if (node.type === 'heading') {
+        const level = node.attrs.level || 1;
+        while (stack.length > 1 && stack[stack.length - 1].level >= level) stack.pop();
+        const section = { level, heading: node, blocks: [], sections: [] };
+        stack[stack.length - 1].sections.push(section);
+        stack.push(section);
+      } else {
+        stack[stack.length - 1].blocks.push(node);
+      }
+    }
+
+    return this.sectionContent(root);
+  }
+
+  sectionContent(section) {
+    return [
+      ...section.blocks.map(node => this.block(node)),
+      ...section.sections.map(child => this.section(child))
+    ].filter(Boolean).join('\n');
+  }
+
+  section(section) {
+    const heading = section.heading;
+    const id = heading.attrs.id || heading.attrs.fixedId;
+    return `<sec${id ? ` id="${escapeXml(toXmlId(id))}"` : ''}>\n<title>${this.inline(heading.content)}</title>\n${this.sectionContent(section)}\n</sec>`;
+  }
+
+  blocks(nodes) {
+    return (nodes || []).map(node => this.block(node)).filter(Boolean).join('\n');
+  }
+
+  block(node) {
+    const { attrs = {} } = node;
+
+    switch (node.type) {
+      case 'paragraph': {
+        const content = this.inline(node.content);
+        return content.trim() ? `<p>${content}</p>` : '';
+      }
+      case 'heading':
+        // Only reached inside lists/quotes/cells, where <sec> isn't allowed
+        return `<p><bold>${this.inline(node.content)}</bold></p>`;
+      case 'blockquote':
+        return `<disp-quote>\n${this.blocks(node.content)}\n</disp-quote>`;
+      case 'code_block':
+        return `<preformat preformat-type="code"${attrs.lang ? ` language="${escapeXml(attrs.lang)}"` : ''}>${escapeXml(this.text(node))}</preformat>`;
+      case 'ordered_list':
+      case 'bullet_list': {
+        const items = (node.content || [])
+          .map(item => `<list-item>\n${this.blocks(item.content) || '<p></p>'}\n</list-item>`)
+          .join('\n');
+        return `<list list-type="${node.type === 'ordered_list' ? 'order' : 'bullet'}">\n${items}\n</list>`;
+      }
+      case 'image': {
+        const src = attrs.localPath || attrs.url || attrs.src || '';
+        const alt = attrs.altText || attrs.alt;
+        return `<fig${this.idAttr(node)}>${this.caption(attrs.caption)}<graphic xlink:href="${escapeXml(src)}">${alt ? `<alt-text>${escapeXml(alt)}</alt-text>` : ''}</graphic></fig>`;
+      }
+      case 'video':
+      case 'audio':
+        return `<fig${this.idAttr(node)}>${this.caption(attrs.caption)}<media xlink:href="${escapeXml(attrs.url || '')}" mimetype="${node.type}"/></fig>`;
+      case 'iframe':
+        return `<fig${this.idAttr(node)}>${this.caption(attrs.caption)}<p><ext-link ext-link-type="uri" xlink:href="${escapeXml(attrs.url || '')}">Embedded content</ext-link></p></fig>`;
+      case 'file':
+        return `<supplementary-material xlink:href="${escapeXml(attrs.url || '')}">${this.caption(attrs.caption || attrs.fileName || 'Attachment')}</supplementary-material>`;
+      case 'table':
+        return this.table(node);
+      case 'block_equation':
+        return `<disp-formula${this.idAttr(node)}><tex-math>${escapeXml(attrs.value || '')}</tex-math></disp-formula>`;
+      case 'horizontal_rule':
+      case 'citation_list':
+      case 'footnote_list':
+        return '';
+      default: {
+        // Inline nodes directly under a block container get their own paragraph
+        if (!['text', 'hard_break', 'equation', 'footnote', 'citation', 'reference'].includes(node.type)) {
+          return this.blocks(node.content);
+        }
+        const content = this.inlineNode(node);
+        return content.trim() ? `<p>${content}</p>` : '';
+      }
+    }
+  }
+
+  table(node) {
+    const rows = (node.content || []).map(row => {
+      const cells = (row.content || []).map(cell => {
+        const tag = cell.type === 'table_header' ? 'th' : 'td';
+        const span = [
+          cell.attrs?.colspan > 1 ? ` colspan="${cell.attrs.colspan}"` : '',
+          cell.attrs?.rowspan > 1 ? ` rowspan="${cell.attrs.rowspan}"` : ''
+        ].join('');
+        // Cells hold paragraphs; JATS cells take inline content and <break/>
+        const content = (cell.content || [])
+          .map(block => block.type === 'paragraph' || block.type === 'heading' ? this.inline(block.content) : escapeXml(this.text(block)))
+          .filter(text => text.trim())
+          .join('<break/>');
+        return `<${tag}${span}>${content}</${tag}>`;
+      });
+      return `<tr>${cells.join('')}</tr>`;
+    });
+
+    return `<table-wrap${this.idAttr(node)}>${this.caption(node.attrs?.caption)}\n<table>\n<tbody>\n${rows.join('\n')}\n</tbody>\n</table>\n</table-wrap>`;
+  }
+
+  text(node) {
+    if (node.type === 'text') return node.text;
+    return (node.content || []).map(child => this.text(child)).join('');
+  }
+
+  inline(nodes) {
+    return (nodes || []).map(node => this.inlineNode(node)).join('');
+  }
+
+  inlineNode(node) {
+    const { attrs = {} } = node;
+
+    switch (node.type) {
+      case 'text': {
+        let xml = escapeXml(node.text);
+        for (const mark of node.marks || []) {
+          if (mark.type === 'link') {
+            xml = mark.attrs?.href
+              ? `<ext-link ext-link-type="uri" xlink:href="${escapeXml(mark.attrs.href)}">${xml}</ext-link>`
+              : xml;
+          } else if (MARK_ELEMENTS[mark.type]) {
+            xml = `<${MARK_ELEMENTS[mark.type]}>${xml}</${MARK_ELEMENTS[mark.type]}>`;
+          }
+        }
+        return xml;
+      }
+      case 'hard_break':
+        return '\n';
+      case 'equation':
+        return `<inline-formula><tex-math>${escapeXml(attrs.value || '')}</tex-math></inline-formula>`;
+      case 'footnote': {
+        const text = htmlToText(attrs.value) || htmlToText(attrs.structuredHtml) || attrs.structuredValue || '';
+        this.footnotes.push(text);
+        const n = this.footnotes.length;
+        return `<xref ref-type="fn" rid="fn${n}">${n}</xref>`;
+      }
+      case 'citation': {
+        const text = htmlToText(attrs.html) || htmlToText(attrs.unstructuredValue) || attrs.value || '';
+        let index = this.citations.indexOf(text) + 1;
+        if (index === 0) {
+          this.citations.push(text);
+          index = this.citations.length;
+        }
+        return `<xref ref-type="bibr" rid="ref${index}">[${escapeXml(attrs.customLabel || index)}]</xref>`;
+      }
+      case 'reference':
+        if (!attrs.label) return '';
+        return this.targets.has(attrs.targetId)
+          ? `<xref ref-type="${this.targets.get(attrs.targetId)}" rid="${escapeXml(toXmlId(attrs.targetId))}">${escapeXml(attrs.label)}</xref>`
+          : escapeXml(attrs.label);
+      default:
+        return this.inline(node.content);
+    }
+  }
+
+  /**
+   * Footnotes and references collected from the body, plus references
+   * known only from PubPub edges (no in-text citation)
+   */
+  back(extraReferences = []) {
+    const parts = [];
+
+    if (this.footnotes.length > 0) {
+      parts.push(`<fn-group>\n${this.footnotes
+        .map((text, i) => `<fn id="fn${i + 1}"><label>${i + 1}</label><p>${escapeXml(text)}</p></fn>`)
+        .join('\n')}\n</fn-group>`);
+    }
+
+    const refs = this.citations.map((text, i) =>
+      `<ref id="ref${i + 1}"><label>${i + 1}</label><mixed-citation>${escapeXml(text)}</mixed-citation></ref>`);
+
+    extraReferences.forEach((reference, i) => {
+      const n = this.citations.length + i + 1;
+      const link = reference.doi
+        ? `<pub-id pub-id-type="doi">${escapeXml(reference.doi)}</pub-id>`
+        : reference.url ? `<ext-link ext-link-type="uri" xlink:href="${escapeXml(reference.url)}">${escapeXml(reference.url)}</ext-link>` : '';
+      refs.push(`<ref id="ref${n}"><label>${n}</label><mixed-citation>${escapeXml(reference.title || reference.text || '')}${link ? ` ${link}` : ''}</mixed-citation></ref>`);
+    });
+
+    if (refs.length > 0) {
+      parts.push(`<ref-list>\n<title>References</title>\n${refs.join('\n')}\n</ref-list>`);
+    }
+
+    return parts.length > 0 ? `<back>\n${parts.join('\n')}\n</back>` : '';
+  }
+}
+
+/**
+ * <front> from the article metadata (see scholarly-formats.js toRecord())
+ */
+function renderFront(record, article, release) {
+  const affiliations = [...new Set(record.authors.map(author => author.affiliation).filter(Boolean))];
+
+  const contribs = record.authors.map(author => {
+    const name = author.literal
+      ? `<string-name>${escapeXml(author.literal)}</string-name>`
+      : `<name><surname>${escapeXml(author.family)}</surname><given-names>${escapeXml(author.given)}</given-names></name>`;
+    return [
+      `<contrib contrib-type="author"${author.corresponding ? ' corresp="yes"' : ''}>`,
+      author.orcid ? `<contrib-id contrib-id-type="orcid">https://orcid.org/${author.orcid}</contrib-id>` : '',
+      name,
+      ...author.roles.map(role => `<role>${escapeXml(role)}</role>`),
+      author.affiliation ? `<xref ref-type="aff" rid="aff${affiliations.indexOf(author.affiliation) + 1}"/>` : '',
+      '</contrib>'
+    ].filter(Boolean).join('');
+  });
+
+  const license = record.license
+    ? `<permissions><license${record.license.url ? ` xlink:href="${escapeXml(record.license.url)}"` : ''}>${record.license.url ? `<ali:license_ref>${escapeXml(record.license.url)}</ali:license_ref>` : ''}<license-p>${escapeXml(record.license.name)}</license-p></license></permissions>`
+    : '';
+
+  const history = release?.createdAt && dateParts(release.createdAt)
+    ? `<pub-history><event><event-desc>Release ${release.number}${release.noteText ? `: ${escapeXml(htmlToText(release.noteText))}` : ''}</event-desc><date date-type="released">${dateParts(release.createdAt)}</date></event></pub-history>`
+    : '';
+
+  return `<front>
+<journal-meta>
+<journal-id journal-id-type="publisher-id">crimrxiv</journal-id>
+<journal-title-group><journal-title>${PUBLISHER}</journal-title></journal-title-group>
+<publisher><publisher-name>${PUBLISHER}</publisher-name></publisher>
+</journal-meta>
+<article-meta>
+${[
+    record.doi ? `<article-id pub-id-type="doi">${escapeXml(record.doi)}</article-id>` : '',
+    `<article-id pub-id-type="publisher-id">${escapeXml(record.id)}</article-id>`,
+    `<article-categories><subj-group subj-group-type="content-type"><subject>${escapeXml(getContentTypeLabel(article.content_type))}</subject></subj-group></article-categories>`,
+    `<title-group><article-title>${escapeXml(record.title)}</article-title></title-group>`,
+    contribs.length > 0 ? `<contrib-group>\n${contribs.join('\n')}\n</contrib-group>` : '',
+    ...affiliations.map((affiliation, i) => `<aff id="aff${i + 1}">${escapeXml(affiliation)}</aff>`),
+    record.published ? `<pub-date publication-format="electronic" date-type="pub">${dateParts(record.published)}</pub-date>` : '',
+    history,
+    license,
+    `<self-uri xlink:href="${escapeXml(release?.url || record.url)}"/>`,
+    ...record.versionOf.map(pub => pub.doi
+      ? `<related-article related-article-type="version-of" ext-link-type="doi" xlink:href="${escapeXml(pub.doi)}">${escapeXml(pub.title || pub.doi)}</related-article>`
+      : `<related-article related-article-type="version-of" ext-link-type="uri" xlink:href="${escapeXml(pub.url)}">${escapeXml(pub.title || pub.url)}</related-article>`),
+    record.abstract ? `<abstract><p>${escapeXml(record.abstract)}</p></abstract>` : '',
+    record.keywords.length > 0 ? `<kwd-group>${record.keywords.map(keyword => `<kwd>${escapeXml(keyword)}</kwd>`).join('')}</kwd-group>` : ''
+  ].filter(Boolean).join('\n')}
+</article-meta>
+</front>`;
+}
+
+/**
+ * Convert a PubPub ProseMirror document and its metadata to JATS XML
+ * @param {object} doc - ProseMirror JSON document (content.json)
+ * @param {object} article - Article row as stored in SQLite (title, authors_json, doi, ...)
+ * @param {object} options
+ * @param {object} options.release - { number, createdAt, noteText, url } for a release folder
+ * @param {Array} options.contributors - Authors with CRediT roles (defaults to authors_json)
+ * @returns {string} JATS XML
+ */
+export function prosemirrorToJats(doc, article, { release = null, contributors = null } = {}) {
+  const record = toRecord(contributors ? { ...article, authors_json: JSON.stringify(contributors) } : article);
+  const [normalized] = doc?.content ? normalizeProseMirrorJson({ ...doc, type: 'doc' }) : [{ content: [] }];
+
+  const writer = new JatsWriter(normalized);
+  const body = writer.body(normalized);
+  const edgeReferences = JSON.parse(article.references_json || '[]').filter(reference => reference.source === 'edge');
+  const back = writer.back(edgeReferences);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+${JATS_DOCTYPE}
+<article xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:ali="http://www.niso.org/schemas/ali/1.0/" article-type="${record.formats.jats}" dtd-version="1.3">
+${renderFront(record, article, release)}
+<body>
+${body}
+</body>
+${back ? `${back}\n` : ''}</article>
+`;
+}
+
+export default prosemirrorToJats;
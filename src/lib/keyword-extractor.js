@@ -0,0 +1,158 @@
+/**
+ * Keyword Extraction
+ *
+ * Two sources, in order of preference:
+ * 1. Keywords provided by PubPub (pub.keywords / pub.tags / pub.labels)
+ * 2. TF-IDF terms over content_text, with document frequencies computed
+ *    across the whole corpus (see scripts/extract-keywords.js)
+ */
+
+// Common English words plus academic boilerplate that never makes a useful keyword
+const STOPWORDS = new Set(`
+a about above after again against all also although am an and any are as at be because been
+before being below between both but by can could did do does doing down during each either
+et etc few for from further had has have having he her here hers herself him himself his how
+however i if in into is it its itself just may me might more most must my myself no nor not
+now of off on once only or other our ours ourselves out over own per same she should since
+so some such than that the their theirs them themselves then there these they this those
+through thus to too under until up upon us very via was we were what when where whether
+which while who whom whose why will with within without would yet you your yours yourself
+al article articles chapter figure fig table paper papers study studies research results
+result findings found use used using based one two three first second new however also
+many much well may might can could within across among including include includes
+`.split(/\s+/).filter(Boolean));
+
+const PHRASE_BOOST = 1.5;
+
+const DEFAULT_OPTIONS = {
+  maxKeywords: 8,
+  minTermLength: 3,
+  minDocFrequency: 2,        // Terms in a single document are mostly names/typos
+  maxDocFrequencyRatio: 0.5  // Terms in most documents carry no signal
+};
+
+export class KeywordExtractor {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.documentCount = 0;
+    this.documentFrequency = new Map();
+  }
+
+  /**
+   * Keywords supplied by PubPub, normalized and de-duplicated
+   */
+  static fromPub(pub) {
+    const values = [];
+    const collect = (value) => {
+      if (!value) return;
+      if (Array.isArray(value)) {
+        value.forEach(collect);
+      } else if (typeof value === 'string') {
+        values.push(...value.split(/[,;]/));
+      } else if (typeof value === 'object') {
+        collect(value.title || value.name || value.label);
+      }
+    };
+
+    collect(pub.keywords);
+    collect(pub.tags);
+    collect(pub.labels);
+
+    const seen = new Set();
+    return values
+      .map(value => value.replace(/\s+/g, ' ').trim())
+      .filter(value => {
+        const key = value.toLowerCase();
+        if (!value || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Split text into candidate terms (unigrams and stopword-free bigrams)
+   */
+  terms(text) {
+    const words = String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}-]+/u)
+      .map(word => word.replace(/^-+|-+$/g, ''));
+
+    const terms = [];
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i];
+      if (!this.isCandidate(word)) continue;
+
+      terms.push(word);
+      const next = words[i + 1];
+      if (this.isCandidate(next)) {
+        terms.push(`${word} ${next}`);
+      }
+    }
+    return terms;
+  }
+
+  isCandidate(word) {
+    return !!word &&
+      word.length >= this.options.minTermLength &&
+      !STOPWORDS.has(word) &&
+      !/^\d[\d-]*$/.test(word);
+  }
+
+  /**
+   * Add one document to the corpus statistics
+   */
+  addDocument(text) {
+    this.documentCount++;
+    for (const term of new Set(this.terms(text))) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  /**
+   * Top TF-IDF terms for a document (call after the corpus is loaded)
+   */
+  extract(text) {
+    const terms = this.terms(text);
+    if (terms.length === 0 || this.documentCount === 0) {
+      return [];
+    }
+
+    const counts = new Map();
+    for (const term of terms) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+
+    const maxDocFrequency = Math.max(this.options.minDocFrequency, this.documentCount * this.options.maxDocFrequencyRatio);
+    const scored = [];
+
+    for (const [term, count] of counts) {
+      const df = this.documentFrequency.get(term) || 0;
+      if (df < this.options.minDocFrequency || df > maxDocFrequency) continue;
+
+      // Phrases are more specific than their words, so they win ties
+      const idf = Math.log((this.documentCount + 1) / (df + 1)) + 1;
+      const phraseBoost = term.includes(' ') ? PHRASE_BOOST : 1;
+      scored.push({ term, score: (count / terms.length) * idf * phraseBoost });
+    }
+
+    scored.sort((a, b) => b.score - a.score || a.term.localeCompare(b.term));
+
+    // Skip single words already covered by a chosen phrase (and vice versa)
+    const keywords = [];
+    for (const { term } of scored) {
+      if (keywords.length >= this.options.maxKeywords) break;
+
+      const overlaps = keywords.some(existing =>
+        existing.split(' ').includes(term) || term.split(' ').includes(existing)
+      );
+      if (!overlaps) {
+        keywords.push(term);
+      }
+    }
+
+    return keywords;
+  }
+}
+
+export default KeywordExtractor;
@@ -9,7 +9,7 @@
  *   "manifest": "arweave/paths",
  *   "version": "0.2.0",
  *   "index": {
- *     "path": "article.md"
+ *     "path": "article.html"
  *   },
  *   "paths": {
  *     "article.md": {"id": "tx_id_here"},
@@ -0,0 +1,363 @@
+/**
+ * ProseMirror → Markdown Serializer (PubPub node set)
+ *
+ * Converts the ProseMirror JSON that PubPub returns from `pub.text.get`
+ * into readable CommonMark (+ GFM tables) for the archived article.md.
+ *
+ * Built on prosemirror-markdown's MarkdownSerializer. PubPub documents use
+ * node types outside prosemirror-schema-basic (footnotes, citations, tables,
+ * files, equations...), so we declare a permissive PubPub schema here and
+ * normalize the raw JSON before handing it to prosemirror-model.
+ *
+ * Footnotes are written as `[^n]` references with definitions at the end of
+ * the document; citations as `[n]` with a numbered "References" section.
+ */
+
+import { Schema, Node } from 'prosemirror-model';
+import { MarkdownSerializer, defaultMarkdownSerializer } from 'prosemirror-markdown';
+
+/**
+ * Build attribute specs where every attribute is optional
+ */
+const optionalAttrs = (...names) =>
+  Object.fromEntries(names.map(name => [name, { default: null }]));
+
+/**
+ * Permissive PubPub schema
+ * Content expressions are loose on purpose: Node.fromJSON does not validate
+ * content, we only need node types, inline/block flags and attributes.
+ */
+export const pubpubSchema = new Schema({
+  nodes: {
+    doc: { content: 'block*' },
+    paragraph: { group: 'block', content: 'inline*', attrs: optionalAttrs('id', 'class', 'textAlign') },
+    heading: {
+      group: 'block',
+      content: 'inline*',
+      attrs: { level: { default: 1 }, ...optionalAttrs('id', 'fixedId', 'textAlign') }
+    },
+    blockquote: { group: 'block', content: 'block*', attrs: optionalAttrs('id') },
+    horizontal_rule: { group: 'block', attrs: optionalAttrs('markup') },
+    code_block: { group: 'block', content: 'text*', code: true, attrs: optionalAttrs('lang', 'params', 'id') },
+    ordered_list: { group: 'block', content: 'list_item*', attrs: { order: { default: 1 }, ...optionalAttrs('id') } },
+    bullet_list: { group: 'block', content: 'list_item*', attrs: optionalAttrs('bullet', 'id') },
+    list_item: { content: 'block*', attrs: optionalAttrs('id') },
+    table: { group: 'block', content: 'table_row*', attrs: optionalAttrs('id', 'caption', 'hideLabel', 'size', 'align') },
+    table_row: { content: '(table_cell | table_header)*' },
+    table_cell: { content: 'block*', attrs: { colspan: { default: 1 }, rowspan: { default: 1 }, ...optionalAttrs('colwidth') } },
+    table_header: { content: 'block*', attrs: { colspan: { default: 1 }, rowspan: { default: 1 }, ...optionalAttrs('colwidth') } },
+    image: { group: 'block', attrs: optionalAttrs('url', 'src', 'alt', 'altText', 'caption', 'title', 'size', 'align', 'id', 'fullResolution', 'hideLabel', 'localPath') },
+    video: { group: 'block', attrs: optionalAttrs('url', 'caption', 'id', 'size', 'align', 'loop', 'hideLabel') },
+    audio: { group: 'block', attrs: optionalAttrs('url', 'caption', 'id', 'hideLabel') },
+    file: { group: 'block', attrs: optionalAttrs('url', 'fileName', 'fileSize', 'caption', 'id') },
+    iframe: { group: 'block', attrs: optionalAttrs('url', 'caption', 'id', 'size', 'height', 'align', 'hideLabel') },
+    block_equation: { group: 'block', attrs: optionalAttrs('value', 'html', 'id', 'hideLabel') },
+    citation_list: { group: 'block' },
+    footnote_list: { group: 'block' },
+    text: { group: 'inline' },
+    hard_break: { group: 'inline', inline: true },
+    equation: { group: 'inline', inline: true, attrs: optionalAttrs('value', 'html') },
+    footnote: { group: 'inline', inline: true, attrs: optionalAttrs('value', 'structuredValue', 'structuredHtml', 'count', 'id') },
+    citation: { group: 'inline', inline: true, attrs: optionalAttrs('value', 'unstructuredValue', 'html', 'count', 'label', 'id', 'customLabel') },
+    reference: { group: 'inline', inline: true, attrs: optionalAttrs('targetId', 'label') }
+  },
+  marks: {
+    em: {},
+    strong: {},
+    code: {},
+    strike: {},
+    sub: {},
+    sup: {},
+    link: { attrs: { href: { default: '' }, ...optionalAttrs('title', 'target') } }
+  }
+});
+
+/**
+ * PubPub (and older PubPub exports) use a few alternative type names
+ */
+const NODE_ALIASES = {
+  displayEquation: 'block_equation',
+  citationList: 'citation_list',
+  footnoteList: 'footnote_list',
+  horizontalRule: 'horizontal_rule',
+  codeBlock: 'code_block',
+  orderedList: 'ordered_list',
+  bulletList: 'bullet_list',
+  listItem: 'list_item',
+  hardBreak: 'hard_break'
+};
+
+const MARK_ALIASES = {
+  italic: 'em',
+  bold: 'strong',
+  strikethrough: 'strike',
+  subscript: 'sub',
+  superscript: 'sup'
+};
+
+/**
+ * Normalize raw ProseMirror JSON so it can be loaded into pubpubSchema
+ * - maps alias type names
+ * - unknown nodes are replaced by their children (or dropped if empty)
+ * - unknown marks and empty text nodes are dropped
+ * @param {object} json - ProseMirror JSON node
+ * @returns {Array<object>} Zero or more normalized nodes
+ */
+export function normalizeProseMirrorJson(json) {
+  if (!json || typeof json !== 'object') return [];
+
+  const type = NODE_ALIASES[json.type] || json.type;
+
+  if (type === 'text') {
+    if (typeof json.text !== 'string' || json.text.length === 0) return [];
+    const marks = (json.marks || [])
+      .map(mark => ({ ...mark, type: MARK_ALIASES[mark.type] || mark.type }))
+      .filter(mark => pubpubSchema.marks[mark.type]);
+    return [{ type: 'text', text: json.text, ...(marks.length > 0 ? { marks } : {}) }];
+  }
+
+  const content = (json.content || []).flatMap(normalizeProseMirrorJson);
+
+  if (!pubpubSchema.nodes[type]) {
+    return content;
+  }
+
+  const attrs = { ...(json.attrs || {}) };
+  if (type === 'heading') {
+    attrs.level = Math.min(Math.max(parseInt(attrs.level, 10) || 1, 1), 6);
+  }
+
+  return [{ type, attrs, content }];
+}
+
+/**
+ * Load PubPub ProseMirror JSON as a prosemirror-model document
+ * @param {object} doc - ProseMirror JSON document
+ * @returns {Node|null}
+ */
+export function loadProseMirrorDoc(doc) {
+  if (!doc || !doc.content) return null;
+  const [normalized] = normalizeProseMirrorJson({ ...doc, type: 'doc' });
+  return Node.fromJSON(pubpubSchema, normalized);
+}
+
+/**
+ * Strip HTML tags (PubPub stores footnote/citation bodies as HTML)
+ */
+export function htmlToText(html) {
+  if (!html) return '';
+  return String(html)
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Escape a URL for use inside Markdown link/image parentheses
+ */
+const escapeUrl = (url) => String(url || '').replace(/[()\s]/g, encodeURIComponent);
+
+/**
+ * Write a caption line (italic) below a figure-like block
+ */
+function writeCaption(state, caption) {
+  const text = htmlToText(caption);
+  if (text) {
+    state.ensureNewLine();
+    state.write(`*${state.esc(text)}*`);
+  }
+}
+
+/**
+ * Render a table cell's block content as a single GFM-safe line
+ * (nested pass sharing the document's footnote/citation notes)
+ */
+function renderCell(state, cell) {
+  return markdownSerializer
+    .serialize(cell, { notes: state.options.notes })
+    .trim()
+    .replace(/\n+/g, '<br>')
+    .replace(/\|/g, '\\|');
+}
+
+const nodes = {
+  ...defaultMarkdownSerializer.nodes,
+
+  code_block(state, node) {
+    const backticks = node.textContent.match(/`{3,}/gm);
+    const fence = backticks ? (backticks.sort().slice(-1)[0] + '`') : '```';
+    state.write(fence + (node.attrs.lang || node.attrs.params || '') + '\n');
+    state.text(node.textContent, false);
+    state.write('\n');
+    state.write(fence);
+    state.closeBlock(node);
+  },
+
+  bullet_list(state, node) {
+    state.renderList(node, '  ', () => (node.attrs.bullet || '-') + ' ');
+  },
+
+  image(state, node) {
+    // Prefer the archived copy (relative to article.md) over the CDN URL
+    const src = node.attrs.localPath || node.attrs.url || node.attrs.src || '';
+    const alt = node.attrs.altText || node.attrs.alt || '';
+    state.write(`![${state.esc(alt)}](${escapeUrl(src)})`);
+    writeCaption(state, node.attrs.caption);
+    state.closeBlock(node);
+  },
+
+  video(state, node) {
+    state.write(`[Video](${escapeUrl(node.attrs.url)})`);
+    writeCaption(state, node.attrs.caption);
+    state.closeBlock(node);
+  },
+
+  audio(state, node) {
+    state.write(`[Audio](${escapeUrl(node.attrs.url)})`);
+    writeCaption(state, node.attrs.caption);
+    state.closeBlock(node);
+  },
+
+  iframe(state, node) {
+    state.write(`[Embedded content](${escapeUrl(node.attrs.url)})`);
+    writeCaption(state, node.attrs.caption);
+    state.closeBlock(node);
+  },
+
+  file(state, node) {
+    const name = node.attrs.fileName || 'Attachment';
+    state.write(`[${state.esc(name)}](${escapeUrl(node.attrs.url)})`);
+    writeCaption(state, node.attrs.caption);
+    state.closeBlock(node);
+  },
+
+  table(state, node) {
+    const rows = [];
+    node.forEach(row => {
+      const cells = [];
+      row.forEach(cell => cells.push(renderCell(state, cell)));
+      rows.push(cells);
+    });
+
+    if (rows.length > 0) {
+      const width = Math.max(...rows.map(r => r.length));
+      const pad = (cells) => cells.concat(Array(width - cells.length).fill(''));
+      const line = (cells) => `| ${pad(cells).join(' | ')} |`;
+
+      state.write(line(rows[0]));
+      state.ensureNewLine();
+      state.write(line(Array(width).fill('---')));
+      for (const row of rows.slice(1)) {
+        state.ensureNewLine();
+        state.write(line(row));
+      }
+    }
+
+    writeCaption(state, node.attrs.caption);
+    state.closeBlock(node);
+  },
+
+  // Rendered by the table serializer
+  table_row() {},
+  table_cell(state, node) {
+    state.renderContent(node);
+  },
+  table_header(state, node) {
+    state.renderContent(node);
+  },
+
+  block_equation(state, node) {
+    state.write('$$\n');
+    state.text(node.attrs.value || '', false);
+    state.write('\n$$');
+    state.closeBlock(node);
+  },
+
+  // Footnotes and references are appended at the end of the document
+  citation_list() {},
+  footnote_list() {},
+
+  equation(state, node) {
+    state.write(`$${node.attrs.value || ''}$`);
+  },
+
+  footnote(state, node) {
+    const notes = state.options.notes;
+    const text = htmlToText(node.attrs.value) || htmlToText(node.attrs.structuredHtml) || node.attrs.structuredValue || '';
+    notes.footnotes.push(text);
+    state.write(`[^${notes.footnotes.length}]`);
+  },
+
+  citation(state, node) {
+    const notes = state.options.notes;
+    const text = htmlToText(node.attrs.html) || htmlToText(node.attrs.unstructuredValue) || node.attrs.value || '';
+    let index = notes.citations.indexOf(text) + 1;
+    if (index === 0) {
+      notes.citations.push(text);
+      index = notes.citations.length;
+    }
+    state.write(`[${node.attrs.customLabel || index}]`);
+  },
+
+  reference(state, node) {
+    if (node.attrs.label) {
+      state.text(node.attrs.label);
+    }
+  }
+};
+
+const marks = {
+  ...defaultMarkdownSerializer.marks,
+  strike: { open: '~~', close: '~~', mixable: true, expelEnclosingWhitespace: true },
+  sub: { open: '<sub>', close: '</sub>' },
+  sup: { open: '<sup>', close: '</sup>' },
+  link: {
+    ...defaultMarkdownSerializer.marks.link,
+    close(state, mark, parent, index) {
+      // PubPub links may lack href (e.g. anchors being edited)
+      if (!mark.attrs.href) {
+        state.inAutolink = undefined;
+        return '](#)';
+      }
+      return defaultMarkdownSerializer.marks.link.close(state, mark, parent, index);
+    }
+  }
+};
+
+export const markdownSerializer = new MarkdownSerializer(nodes, marks, { tightLists: true });
+
+/**
+ * Convert a PubPub ProseMirror document to Markdown
+ * @param {object} doc - ProseMirror JSON document
+ * @returns {string} Markdown (empty string if the document has no content)
+ */
+export function prosemirrorToMarkdown(doc) {
+  const pmDoc = loadProseMirrorDoc(doc);
+  if (!pmDoc) return '';
+
+  const notes = { footnotes: [], citations: [] };
+  let markdown = markdownSerializer.serialize(pmDoc, { notes });
+
+  if (notes.footnotes.length > 0) {
+    markdown += '\n\n' + notes.footnotes
+      .map((text, i) => `[^${i + 1}]: ${text}`)
+      .join('\n');
+  }
+
+  if (notes.citations.length > 0) {
+    markdown += '\n\n## References\n\n' + notes.citations
+      .map((text, i) => `${i + 1}. ${text}`)
+      .join('\n');
+  }
+
+  return markdown.trim() + '\n';
+}
+
+export default prosemirrorToMarkdown;
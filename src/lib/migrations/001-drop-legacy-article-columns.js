@@ -0,0 +1,29 @@
+/**
+ * Migration 001: Drop legacy article columns
+ *
+ * - content_json: never written (ProseMirror lives in content_prosemirror)
+ * - arns_undername: per-article undernames were replaced by article manifests
+ *   (export_batches.arns_undername is still used and is not touched)
+ *
+ * Rolling back re-adds the columns empty; restore the pre-migration backup
+ * if the old values are needed.
+ */
+
+export default {
+  version: 1,
+  name: 'drop-legacy-article-columns',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE articles DROP COLUMN content_json;
+      ALTER TABLE articles DROP COLUMN arns_undername;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      ALTER TABLE articles ADD COLUMN content_json TEXT;
+      ALTER TABLE articles ADD COLUMN arns_undername TEXT;
+    `);
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Migration 002: Releases table
+ *
+ * One row per PubPub release, keyed by (article_id, history_key). PubPub's
+ * historyKey identifies the document state a release points to, so a
+ * release never changes once recorded. version_number and
+ * has_multiple_versions are derived from these rows.
+ */
+
+export default {
+  version: 2,
+  name: 'create-releases',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE releases (
+        article_id TEXT NOT NULL,
+        history_key INTEGER NOT NULL,
+        release_number INTEGER NOT NULL,   -- 1-based, as in /pub/{slug}/release/{n}
+        note_text TEXT,
+        created_at TEXT,
+        content_hash TEXT,                 -- sha256 of the release's content.json
+        manifest_path TEXT,                -- Folder inside the article manifest, e.g. "2/"
+        recorded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (article_id, history_key),
+        UNIQUE (article_id, release_number)
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE releases');
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Migration 003: Article change history
+ *
+ * Written by upsertArticle() whenever a tracked field of an existing
+ * article changes. run_id identifies the import run (see setChangeRun()).
+ */
+
+export default {
+  version: 3,
+  name: 'create-article-changes',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE article_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT NOT NULL,
+        article_id TEXT NOT NULL,
+        slug TEXT,
+        version_id TEXT,                 -- articles.id the change was written to
+        field TEXT NOT NULL,             -- title, authors, doi, license, collections, content_hash
+        old_value TEXT,
+        new_value TEXT,
+        changed_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_article_changes_run ON article_changes(run_id);
+      CREATE INDEX idx_article_changes_article ON article_changes(article_id);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE article_changes');
+  }
+};
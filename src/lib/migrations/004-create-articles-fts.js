@@ -0,0 +1,70 @@
+/**
+ * Migration 004: Full-text index over the latest article versions
+ *
+ * articles_fts is an FTS5 table whose rowid is articles.rowid, kept in sync
+ * by triggers. Columns: title, abstract, authors (names), keywords and
+ * body (content_text_full when scraped, otherwise content_text).
+ */
+
+// Indexed values for an articles row (new.* in triggers, a.* in the backfill)
+const values = (row) => `
+  ${row}.rowid,
+  ${row}.title,
+  ${row}.abstract,
+  CASE WHEN json_valid(${row}.authors_json)
+    THEN (SELECT group_concat(json_extract(value, '$.name'), '; ') FROM json_each(${row}.authors_json))
+  END,
+  CASE WHEN json_valid(${row}.keywords_json)
+    THEN (SELECT group_concat(value, '; ') FROM json_each(${row}.keywords_json))
+  END,
+  COALESCE(NULLIF(${row}.content_text_full, ''), ${row}.content_text)
+`;
+
+export default {
+  version: 4,
+  name: 'create-articles-fts',
+
+  up(db) {
+    db.exec(`
+      CREATE VIRTUAL TABLE articles_fts USING fts5(
+        title, abstract, authors, keywords, body,
+        tokenize = 'porter unicode61 remove_diacritics 2'
+      );
+
+      CREATE TRIGGER articles_fts_insert AFTER INSERT ON articles
+      WHEN new.is_latest_version = 1
+      BEGIN
+        INSERT INTO articles_fts (rowid, title, abstract, authors, keywords, body)
+        SELECT ${values('new')};
+      END;
+
+      CREATE TRIGGER articles_fts_update
+      AFTER UPDATE OF title, abstract, authors_json, keywords_json, content_text, content_text_full, is_latest_version ON articles
+      BEGIN
+        DELETE FROM articles_fts WHERE rowid = old.rowid;
+        INSERT INTO articles_fts (rowid, title, abstract, authors, keywords, body)
+        SELECT ${values('new')}
+        WHERE new.is_latest_version = 1;
+      END;
+
+      CREATE TRIGGER articles_fts_delete AFTER DELETE ON articles
+      BEGIN
+        DELETE FROM articles_fts WHERE rowid = old.rowid;
+      END;
+
+      INSERT INTO articles_fts (rowid, title, abstract, authors, keywords, body)
+      SELECT ${values('a')}
+      FROM articles a
+      WHERE a.is_latest_version = 1;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TRIGGER articles_fts_insert;
+      DROP TRIGGER articles_fts_update;
+      DROP TRIGGER articles_fts_delete;
+      DROP TABLE articles_fts;
+    `);
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Migration 005: Record where each abstract came from
+ *
+ * abstract_source is written by the importer:
+ * - heading:     paragraphs under an "Abstract" heading
+ * - fallback:    no heading - the first substantial paragraphs of the body
+ * - description: the PubPub description (nothing usable in the body)
+ *
+ * Existing rows are backfilled from content_prosemirror the same way.
+ */
+
+export default {
+  version: 5,
+  name: 'add-abstract-source',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE articles ADD COLUMN abstract_source TEXT;
+
+      UPDATE articles
+      SET abstract_source = CASE
+        WHEN COALESCE(abstract, '') = '' THEN NULL
+        WHEN abstract = description OR content_prosemirror IS NULL OR NOT json_valid(content_prosemirror) THEN 'description'
+        WHEN EXISTS (
+          SELECT 1 FROM json_each(content_prosemirror, '$.content') AS node
+          WHERE json_extract(node.value, '$.type') = 'heading'
+            AND LOWER(json_extract(node.value, '$.content')) LIKE '%abstract%'
+        ) THEN 'heading'
+        ELSE 'fallback'
+      END;
+    `);
+  },
+
+  down(db) {
+    db.exec('ALTER TABLE articles DROP COLUMN abstract_source');
+  }
+};
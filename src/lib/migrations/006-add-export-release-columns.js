@@ -0,0 +1,30 @@
+/**
+ * Migration 006: Record the data release manifest with each export batch
+ *
+ * One export_batches row per `npm run export`, holding what was written to
+ * public/data/release.json (schema version, content hash, source commit,
+ * column list).
+ */
+
+export default {
+  version: 6,
+  name: 'add-export-release-columns',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE export_batches ADD COLUMN schema_version INTEGER;
+      ALTER TABLE export_batches ADD COLUMN content_hash TEXT;
+      ALTER TABLE export_batches ADD COLUMN source_commit TEXT;
+      ALTER TABLE export_batches ADD COLUMN columns_json TEXT;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      ALTER TABLE export_batches DROP COLUMN columns_json;
+      ALTER TABLE export_batches DROP COLUMN source_commit;
+      ALTER TABLE export_batches DROP COLUMN content_hash;
+      ALTER TABLE export_batches DROP COLUMN schema_version;
+    `);
+  }
+};
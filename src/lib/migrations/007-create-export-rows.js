@@ -0,0 +1,35 @@
+/**
+ * Migration 007: Per-article state of the last export (delta exports)
+ *
+ * export_rows holds a hash of each article's exported Parquet row and the
+ * export batch that wrote it. The exporter diffs the current rows against
+ * it to write only changed articles to a delta file. A base export
+ * replaces the whole table. export_batches.kind is 'base' or 'delta'.
+ */
+
+export default {
+  version: 7,
+  name: 'create-export-rows',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE export_rows (
+        article_id TEXT PRIMARY KEY,
+        row_hash TEXT NOT NULL,
+        batch_name TEXT NOT NULL,        -- export_batches.batch_name
+        exported_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_export_rows_batch ON export_rows(batch_name);
+
+      ALTER TABLE export_batches ADD COLUMN kind TEXT;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      ALTER TABLE export_batches DROP COLUMN kind;
+      DROP TABLE export_rows;
+    `);
+  }
+};
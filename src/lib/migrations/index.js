@@ -0,0 +1,27 @@
+/**
+ * Schema migrations, in the order they are applied
+ *
+ * To add one: create NNN-short-name.js exporting { version, name, up(db), down(db) }
+ * (db is the better-sqlite3 handle) and append it here. Never edit or
+ * renumber a migration that has been applied to the production database.
+ */
+
+import dropLegacyArticleColumns from './001-drop-legacy-article-columns.js';
+import createReleases from './002-create-releases.js';
+import createArticleChanges from './003-create-article-changes.js';
+import createArticlesFts from './004-create-articles-fts.js';
+import addAbstractSource from './005-add-abstract-source.js';
+import addExportReleaseColumns from './006-add-export-release-columns.js';
+import createExportRows from './007-create-export-rows.js';
+
+export const MIGRATIONS = [
+  dropLegacyArticleColumns,
+  createReleases,
+  createArticleChanges,
+  createArticlesFts,
+  addAbstractSource,
+  addExportReleaseColumns,
+  createExportRows
+];
+
+export default MIGRATIONS;
@@ -0,0 +1,481 @@
+/**
+ * Static OAI-PMH 2.0 Repository
+ *
+ * Renders every response a harvester needs (Identify, ListMetadataFormats,
+ * ListSets, ListIdentifiers, ListRecords, GetRecord) as XML files, so the
+ * repository can be served from Arweave without a server. Each request maps
+ * to one file path (see resolveOaiRequest()):
+ *
+ *   Identify.xml, ListMetadataFormats.xml, ListSets.xml
+ *   ListRecords/oai_dc/all/0.xml                     first page, no set
+ *   ListRecords/oai_dc/member/ghent-university/1.xml   resumptionToken oai_dc~member:ghent-university~1
+ *   GetRecord/oai_dc/{slug}.xml
+ *
+ * Sets: one per collection (collection:{slug}) and per consortium member
+ * (member:{slug}). Withdrawn and removed articles are kept as deleted records.
+ * Files are static, so they can't answer date-bounded (from/until) requests:
+ * resolveOaiRequest() rejects them with badArgument instead of returning
+ * records outside the range. The local preview route passes
+ * { selective: true } and renders those lists with renderSelectiveList().
+ */
+
+import { toRecord, PUBLISHER } from './scholarly-formats.js';
+import { CONSORTIUM_MEMBERS, articleMatchesMember } from '../config/consortium-members.js';
+
+export const OAI_IDENTIFIER_PREFIX = 'oai:crimrxiv.com:';
+
+export const OAI_METADATA_FORMATS = {
+  oai_dc: {
+    schema: 'http://www.openarchives.org/OAI/2.0/oai_dc.xsd',
+    namespace: 'http://www.openarchives.org/OAI/2.0/oai_dc/'
+  }
+};
+
+const SET_SPEC = /^(collection|member):[a-z0-9-]+$/;
+const OAI_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}Z)?$/;
+
+// Arguments allowed per verb (resumptionToken is exclusive)
+const VERB_ARGUMENTS = {
+  Identify: { required: [], optional: [] },
+  ListMetadataFormats: { required: [], optional: ['identifier'] },
+  ListSets: { required: [], optional: [], token: true },
+  ListIdentifiers: { required: ['metadataPrefix'], optional: ['from', 'until', 'set'], token: true },
+  ListRecords: { required: ['metadataPrefix'], optional: ['from', 'until', 'set'], token: true },
+  GetRecord: { required: ['identifier', 'metadataPrefix'], optional: [] }
+};
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * OAI datestamp (seconds granularity, UTC)
+ */
+function toDatestamp(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || isNaN(date)) return null;
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * setSpec-safe slug for a collection title
+ */
+export function slugifySet(title) {
+  return String(title)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+export function getOaiIdentifier(slug) {
+  return `${OAI_IDENTIFIER_PREFIX}${slug}`;
+}
+
+/**
+ * Resumption tokens: {metadataPrefix}~{setSpec}~{page}, plus ~{from}~{until}
+ * for date-bounded lists
+ */
+function formatToken(metadataPrefix, setSpec, page, { from, until } = {}) {
+  const token = `${metadataPrefix}~${setSpec || ''}~${page}`;
+  return from || until ? `${token}~${from || ''}~${until || ''}` : token;
+}
+
+function parseToken(token) {
+  const date = '(\\d{4}-\\d{2}-\\d{2}(?:T\\d{2}:\\d{2}:\\d{2}Z)?)?';
+  const match = String(token).match(new RegExp(`^([a-z_]+)~((?:collection|member):[a-z0-9-]+)?~(\\d+)(?:~${date}~${date})?$`));
+  if (!match) return null;
+  return {
+    metadataPrefix: match[1],
+    set: match[2] || null,
+    page: parseInt(match[3], 10),
+    from: match[4] || null,
+    until: match[5] || null
+  };
+}
+
+/**
+ * from/until as inclusive second-granularity bounds (day dates cover the whole day)
+ */
+function toDatestampRange(from, until) {
+  return {
+    from: from && from.length === 10 ? `${from}T00:00:00Z` : from || null,
+    until: until && until.length === 10 ? `${until}T23:59:59Z` : until || null
+  };
+}
+
+function getListPath(verb, metadataPrefix, setSpec, page) {
+  const setPath = setSpec ? setSpec.split(':').join('/') : 'all';
+  return `${verb}/${metadataPrefix}/${setPath}/${page}.xml`;
+}
+
+/**
+ * Map OAI-PMH request arguments to a response file
+ * @param {object} args - Query or form arguments
+ * @param {object} options
+ * @param {boolean} options.selective - Caller can filter lists by date (see renderSelectiveList())
+ * @returns {object} { path, check, notFound: {code, message} }, { list, notFound } for
+ *   date-bounded lists (selective only) or { error: {code, message} }
+ *   check: file that must also exist; notFound: error when path/check is missing
+ */
+export function resolveOaiRequest(args, { selective = false } = {}) {
+  const { verb, ...rest } = args;
+  const error = (code, message) => ({ error: { code, message } });
+
+  if (typeof verb !== 'string' || !VERB_ARGUMENTS[verb]) {
+    return error('badVerb', verb ? `Illegal verb: ${verb}` : 'Missing verb argument');
+  }
+
+  const spec = VERB_ARGUMENTS[verb];
+  const names = Object.keys(rest);
+  if (names.some(name => typeof rest[name] !== 'string')) {
+    return error('badArgument', 'Repeated or malformed argument');
+  }
+
+  if ('resumptionToken' in rest) {
+    if (!spec.token) return error('badArgument', `${verb} does not take a resumptionToken`);
+    if (names.length > 1) return error('badArgument', 'resumptionToken is an exclusive argument');
+
+    const token = parseToken(rest.resumptionToken);
+    if (!token) return error('badResumptionToken', 'Invalid resumptionToken');
+    if (verb === 'ListSets') return error('badResumptionToken', 'ListSets is not paged');
+    if (token.from || token.until) {
+      if (!selective) return error('badResumptionToken', 'Date-bounded resumptionTokens are not supported');
+      return {
+        list: { verb, ...token },
+        notFound: { code: 'badResumptionToken', message: 'Expired or unknown resumptionToken' }
+      };
+    }
+    return {
+      path: getListPath(verb, token.metadataPrefix, token.set, token.page),
+      notFound: { code: 'badResumptionToken', message: 'Expired or unknown resumptionToken' }
+    };
+  }
+
+  const allowed = [...spec.required, ...spec.optional];
+  const illegal = names.filter(name => !allowed.includes(name));
+  if (illegal.length > 0) return error('badArgument', `Illegal argument(s): ${illegal.join(', ')}`);
+  const missing = spec.required.filter(name => !rest[name]);
+  if (missing.length > 0) return error('badArgument', `Missing argument(s): ${missing.join(', ')}`);
+
+  for (const name of ['from', 'until']) {
+    if (rest[name] && (!OAI_DATE.test(rest[name]) || isNaN(new Date(rest[name])))) {
+      return error('badArgument', `Illegal ${name} date: ${rest[name]}`);
+    }
+  }
+  if (rest.from && rest.until) {
+    if (rest.from.length !== rest.until.length) {
+      return error('badArgument', 'from and until must have the same granularity');
+    }
+    if (rest.from > rest.until) {
+      return error('badArgument', 'from is later than until');
+    }
+  }
+
+  if (rest.metadataPrefix && !OAI_METADATA_FORMATS[rest.metadataPrefix]) {
+    return error('cannotDisseminateFormat', `Unsupported metadataPrefix: ${rest.metadataPrefix}`);
+  }
+
+  const slug = rest.identifier?.startsWith(OAI_IDENTIFIER_PREFIX)
+    ? rest.identifier.slice(OAI_IDENTIFIER_PREFIX.length)
+    : null;
+  const unknownId = { code: 'idDoesNotExist', message: `Unknown identifier: ${rest.identifier}` };
+  const validSlug = slug && /^[\w.-]+$/.test(slug);
+
+  switch (verb) {
+    case 'GetRecord':
+      if (!validSlug) return { error: unknownId };
+      return { path: `GetRecord/${rest.metadataPrefix}/${slug}.xml`, notFound: unknownId };
+    case 'ListMetadataFormats':
+      if (!rest.identifier) return { path: 'ListMetadataFormats.xml' };
+      if (!validSlug) return { error: unknownId };
+      // The record file doubles as the existence check for the identifier
+      return { path: 'ListMetadataFormats.xml', check: `GetRecord/oai_dc/${slug}.xml`, notFound: unknownId };
+    case 'ListIdentifiers':
+    case 'ListRecords':
+      if (rest.set && !SET_SPEC.test(rest.set)) {
+        return error('noRecordsMatch', `Unknown set: ${rest.set}`);
+      }
+      if (rest.from || rest.until) {
+        if (!selective) {
+          return error('badArgument', 'This static repository does not support selective harvesting by date (from/until); harvest the full list');
+        }
+        return {
+          list: { verb, metadataPrefix: rest.metadataPrefix, set: rest.set || null, page: 0, from: rest.from || null, until: rest.until || null },
+          notFound: { code: 'noRecordsMatch', message: 'No records match the request' }
+        };
+      }
+      return {
+        path: getListPath(verb, rest.metadataPrefix, rest.set, 0),
+        notFound: { code: 'noRecordsMatch', message: 'No records match the request' }
+      };
+    default:
+      return { path: `${verb}.xml` };
+  }
+}
+
+/**
+ * OAI-PMH response files for the archive
+ */
+export class OaiPmhRepository {
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl - Base URL of a host that answers ?verb= requests
+   *   (Identify, request elements); never the Arweave manifest, which can't route them
+   * @param {string} options.adminEmail - Identify adminEmail
+   * @param {number} options.pageSize - Records/identifiers per list page
+   */
+  constructor({ baseUrl, adminEmail, pageSize = 100 }) {
+    if (!baseUrl) {
+      throw new Error('OAI-PMH baseUrl is required (a host that answers ?verb= requests)');
+    }
+    this.baseUrl = baseUrl;
+    this.adminEmail = adminEmail;
+    this.pageSize = pageSize;
+    this.responseDate = toDatestamp(new Date());
+    this.items = [];
+    this.sets = new Map();    // setSpec → setName
+  }
+
+  /**
+   * Add latest-version article rows (SQLite) to the repository
+   */
+  addArticles(articles) {
+    for (const article of articles) {
+      const setSpecs = [];
+
+      for (const title of JSON.parse(article.collections_json || '[]')) {
+        const slug = slugifySet(title);
+        if (!slug) continue;
+        this.sets.set(`collection:${slug}`, title);
+        setSpecs.push(`collection:${slug}`);
+      }
+      for (const member of CONSORTIUM_MEMBERS) {
+        if (articleMatchesMember(article, member)) {
+          this.sets.set(`member:${member.slug}`, member.name);
+          setSpecs.push(`member:${member.slug}`);
+        }
+      }
+
+      const deleted = (article.status || 'active') !== 'active';
+      this.items.push({
+        identifier: getOaiIdentifier(article.slug),
+        slug: article.slug,
+        datestamp: toDatestamp(deleted ? article.status_changed_at || article.updated_at : article.updated_at)
+          || toDatestamp(article.version_timestamp || article.published_at)
+          || this.responseDate,
+        setSpecs: [...new Set(setSpecs)],
+        deleted,
+        record: deleted ? null : toRecord(article)
+      });
+    }
+
+    this.items.sort((a, b) => a.datestamp.localeCompare(b.datestamp) || a.slug.localeCompare(b.slug));
+  }
+
+  /**
+   * All response files
+   * @returns {Generator<{path: string, xml: string}>}
+   */
+  *files() {
+    yield { path: 'Identify.xml', xml: this.renderIdentify() };
+    yield { path: 'ListMetadataFormats.xml', xml: this.renderListMetadataFormats() };
+    yield { path: 'ListSets.xml', xml: this.renderListSets() };
+
+    const lists = [[null, this.items]];
+    for (const setSpec of [...this.sets.keys()].sort()) {
+      lists.push([setSpec, this.items.filter(item => item.setSpecs.includes(setSpec))]);
+    }
+
+    for (const metadataPrefix of Object.keys(OAI_METADATA_FORMATS)) {
+      for (const verb of ['ListIdentifiers', 'ListRecords']) {
+        for (const [setSpec, items] of lists) {
+          const pages = Math.ceil(items.length / this.pageSize);
+          for (let page = 0; page < pages; page++) {
+            yield {
+              path: getListPath(verb, metadataPrefix, setSpec, page),
+              xml: this.renderList(verb, metadataPrefix, setSpec, items, page)
+            };
+          }
+        }
+      }
+
+      for (const item of this.items) {
+        yield {
+          path: `GetRecord/${metadataPrefix}/${item.slug}.xml`,
+          xml: this.wrap(
+            { verb: 'GetRecord', identifier: item.identifier, metadataPrefix },
+            `<GetRecord>\n${this.renderRecord(item)}\n</GetRecord>`
+          )
+        };
+      }
+    }
+  }
+
+  /**
+   * OAI-PMH envelope
+   */
+  wrap(request, body) {
+    const attributes = Object.entries(request)
+      .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+      .join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/ http://www.openarchives.org/OAI/2.0/OAI-PMH.xsd">
+<responseDate>${this.responseDate}</responseDate>
+<request${attributes}>${escapeXml(this.baseUrl)}</request>
+${body}
+</OAI-PMH>
+`;
+  }
+
+  /**
+   * Error response (used by the local route; errors aren't pre-rendered)
+   */
+  renderError(request, { code, message }) {
+    // Per the spec, the request element only echoes arguments of a valid request
+    const echo = ['badVerb', 'badArgument'].includes(code) ? {} : request;
+    return this.wrap(echo, `<error code="${code}">${escapeXml(message)}</error>`);
+  }
+
+  renderIdentify() {
+    const earliest = this.items.length > 0
+      ? this.items.reduce((min, item) => item.datestamp < min ? item.datestamp : min, this.items[0].datestamp)
+      : this.responseDate;
+
+    return this.wrap({ verb: 'Identify' }, `<Identify>
+  <repositoryName>${escapeXml(PUBLISHER)} Archive</repositoryName>
+  <baseURL>${escapeXml(this.baseUrl)}</baseURL>
+  <protocolVersion>2.0</protocolVersion>
+  <adminEmail>${escapeXml(this.adminEmail)}</adminEmail>
+  <earliestDatestamp>${earliest}</earliestDatestamp>
+  <deletedRecord>persistent</deletedRecord>
+  <granularity>YYYY-MM-DDThh:mm:ssZ</granularity>
+  <description>
+    <oai-identifier xmlns="http://www.openarchives.org/OAI/2.0/oai-identifier"
+                    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+                    xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/oai-identifier http://www.openarchives.org/OAI/2.0/oai-identifier.xsd">
+      <scheme>oai</scheme>
+      <repositoryIdentifier>${OAI_IDENTIFIER_PREFIX.split(':')[1]}</repositoryIdentifier>
+      <delimiter>:</delimiter>
+      <sampleIdentifier>${OAI_IDENTIFIER_PREFIX}example-slug</sampleIdentifier>
+    </oai-identifier>
+  </description>
+</Identify>`);
+  }
+
+  renderListMetadataFormats() {
+    const formats = Object.entries(OAI_METADATA_FORMATS).map(([prefix, format]) => `  <metadataFormat>
+    <metadataPrefix>${prefix}</metadataPrefix>
+    <schema>${format.schema}</schema>
+    <metadataNamespace>${format.namespace}</metadataNamespace>
+  </metadataFormat>`).join('\n');
+
+    return this.wrap({ verb: 'ListMetadataFormats' }, `<ListMetadataFormats>\n${formats}\n</ListMetadataFormats>`);
+  }
+
+  renderListSets() {
+    const sets = [...this.sets.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([setSpec, setName]) => `  <set>
+    <setSpec>${escapeXml(setSpec)}</setSpec>
+    <setName>${escapeXml(setName)}</setName>
+  </set>`).join('\n');
+
+    return this.wrap({ verb: 'ListSets' }, `<ListSets>\n${sets}\n</ListSets>`);
+  }
+
+  /**
+   * One page of a date-bounded ListIdentifiers/ListRecords (the list from
+   * resolveOaiRequest()), or null when no record matches
+   */
+  renderSelectiveList({ verb, metadataPrefix, set, page, from, until }) {
+    const range = toDatestampRange(from, until);
+    const items = this.items.filter(item => (!set || item.setSpecs.includes(set))
+      && (!range.from || item.datestamp >= range.from)
+      && (!range.until || item.datestamp <= range.until));
+
+    if (page * this.pageSize >= items.length) return null;
+    return this.renderList(verb, metadataPrefix, set, items, page, { from, until });
+  }
+
+  /**
+   * One page of ListIdentifiers/ListRecords, with a resumptionToken when
+   * the list has more than one page (empty on the last page)
+   */
+  renderList(verb, metadataPrefix, setSpec, items, page, dates = {}) {
+    const start = page * this.pageSize;
+    const pageItems = items.slice(start, start + this.pageSize);
+    const entries = pageItems.map(item => verb === 'ListRecords' ? this.renderRecord(item) : this.renderHeader(item));
+
+    if (items.length > this.pageSize) {
+      const last = start + this.pageSize >= items.length;
+      const token = last ? '' : formatToken(metadataPrefix, setSpec, page + 1, dates);
+      entries.push(`<resumptionToken completeListSize="${items.length}" cursor="${start}">${token}</resumptionToken>`);
+    }
+
+    const request = page === 0
+      ? {
+        verb,
+        metadataPrefix,
+        ...(setSpec ? { set: setSpec } : {}),
+        ...(dates.from ? { from: dates.from } : {}),
+        ...(dates.until ? { until: dates.until } : {})
+      }
+      : { verb, resumptionToken: formatToken(metadataPrefix, setSpec, page, dates) };
+
+    return this.wrap(request, `<${verb}>\n${entries.join('\n')}\n</${verb}>`);
+  }
+
+  renderHeader(item) {
+    const sets = item.setSpecs.map(setSpec => `\n    <setSpec>${escapeXml(setSpec)}</setSpec>`).join('');
+    return `  <header${item.deleted ? ' status="deleted"' : ''}>
+    <identifier>${escapeXml(item.identifier)}</identifier>
+    <datestamp>${item.datestamp}</datestamp>${sets}
+  </header>`;
+  }
+
+  renderRecord(item) {
+    if (item.deleted) {
+      return `<record>\n${this.renderHeader(item)}\n</record>`;
+    }
+    return `<record>\n${this.renderHeader(item)}\n  <metadata>\n${this.renderDublinCore(item.record)}\n  </metadata>\n</record>`;
+  }
+
+  /**
+   * oai_dc metadata for a scholarly record (see scholarly-formats.js)
+   */
+  renderDublinCore(record) {
+    const fields = [
+      ['title', record.title],
+      ...record.authors.map(author => ['creator', author.literal || `${author.family}, ${author.given}`]),
+      ...record.keywords.map(keyword => ['subject', keyword]),
+      ['description', record.abstract],
+      ['publisher', PUBLISHER],
+      ['date', record.published ? record.published.toISOString().substring(0, 10) : null],
+      ['type', record.formats.dc],
+      ['format', 'text/html'],
+      ['identifier', record.url],
+      ['identifier', record.doi ? `https://doi.org/${record.doi}` : null],
+      ...record.versionOf.map(pub => ['relation', pub.doi ? `https://doi.org/${pub.doi}` : pub.url]),
+      ['rights', record.license ? record.license.url || record.license.name : null]
+    ].filter(([, value]) => value);
+
+    const elements = fields.map(([name, value]) => `      <dc:${name}>${escapeXml(value)}</dc:${name}>`).join('\n');
+
+    return `    <oai_dc:dc xmlns:oai_dc="http://www.openarchives.org/OAI/2.0/oai_dc/"
+               xmlns:dc="http://purl.org/dc/elements/1.1/"
+               xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+               xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/oai_dc/ http://www.openarchives.org/OAI/2.0/oai_dc.xsd">
+${elements}
+    </oai_dc:dc>`;
+  }
+}
@@ -6,22 +6,52 @@
  * - Production: ArNS subdomains and Arweave TX IDs
  *
  * Handles loading and querying Parquet files using DuckDB-WASM.
- * Implements lazy loading of article batches.
+ * Metadata is split into one partition per publication year
+ * (metadata/year={YYYY}/data.parquet). Only the small index.parquet is
+ * loaded up front; each query attaches just the partitions it needs.
+ * Exports after the base snapshot are small delta files listed in
+ * release.json; they are loaded with the index and merged over the base
+ * partitions (latest wins by article_id).
+ * The optional fulltext.parquet (slug + body text) is only downloaded the
+ * first time a reader asks for a full-text search.
+ *
+ * Before anything else, release.json is checked against
+ * src/config/data-release.js so a data/app mismatch fails with a clear error.
  */
 
 import * as duckdb from '@duckdb/duckdb-wasm';
 import { ARWEAVE_CONFIG, isDevelopment } from '../config/arweave.js';
+import { DATA_SCHEMA_VERSION, checkReleaseCompatibility } from '../config/data-release.js';
+
+/**
+ * The deployed Parquet data doesn't match what this build of the app reads
+ */
+export class DataVersionMismatchError extends Error {
+  constructor(problems, release = null) {
+    super(`Data/app version mismatch: ${problems.join('; ')}. Re-export and upload the data (npm run export, npm run upload:parquet) or deploy the matching app version.`);
+    this.name = 'DataVersionMismatchError';
+    this.problems = problems;
+    this.release = release;
+  }
+}
 
 export class ParquetDB {
   constructor() {
     this.db = null;
     this.conn = null;
-    this.metadataLoaded = false;
+    this.release = null;              // Parsed release.json
+    this.indexLoaded = false;
+    this.partitionYears = [];         // Years with a base partition, newest first
+    this.attachedPartitions = new Set();
+    this.deltaCount = 0;              // Articles replaced or added by deltas
+    this.fulltextLoaded = false;
+    this.fulltextAvailable = null;    // null until a full-text search is attempted
     this.workerUrl = null; // Store worker URL for cleanup
 
     console.log('📊 ParquetDB configured:', {
       environment: isDevelopment() ? 'development' : 'production',
-      parquet: ARWEAVE_CONFIG.parquet,
+      data: ARWEAVE_CONFIG.parquet,
+      fulltext: ARWEAVE_CONFIG.fulltext,
       wasm: ARWEAVE_CONFIG.wasm
     });
   }
@@ -75,8 +105,9 @@ export class ParquetDB {
 
       console.log('✅ DuckDB-WASM initialized');
 
-      // Load metadata from external parquet
-      await this.loadMetadata();
+      // Check the data release, then load the partition index
+      await this.loadRelease();
+      await this.loadIndex();
 
       return true;
     } catch (error) {
@@ -86,39 +117,211 @@ export class ParquetDB {
   }
 
   /**
-   * Load metadata.parquet from external URL (via ArNS undername)
-   * ArNS undername points directly to the parquet file (no path needed)
-   * - Development: http://localhost:{port}/data/metadata.parquet
-   * - Production: https://data_crimrxiv.{gateway}
+   * Load release.json and check it matches this app
+   * @throws {DataVersionMismatchError} When the data can't be read by this app
+   */
+  async loadRelease() {
+    const releaseUrl = `${ARWEAVE_CONFIG.parquet}/release.json`;
+    console.log('🏷️  Loading data release from:', releaseUrl);
+
+    const response = await fetch(releaseUrl);
+    if (response.status === 404) {
+      // Exports from before release.json have an older layout too
+      throw new DataVersionMismatchError([`no release.json (data older than schema v${DATA_SCHEMA_VERSION})`]);
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to load release.json: HTTP ${response.status}`);
+    }
+
+    const release = await response.json();
+    const problems = checkReleaseCompatibility(release);
+    if (problems.length > 0) {
+      throw new DataVersionMismatchError(problems, release);
+    }
+
+    this.release = release;
+    console.log(`✅ Data release: schema v${release.schema_version}, ${release.row_count} articles, exported ${release.exported_at}`);
+    return release;
+  }
+
+  /**
+   * Load index.parquet from external URL (via ArNS undername)
+   * The ArNS undername points to the data folder manifest
+   * - Development: http://localhost:{port}/data/index.parquet
+   * - Production: https://data_crimrxiv.{gateway}/index.parquet
    *   Examples:
-   *     - https://data_crimrxiv.ar.io
-   *     - https://data_crimrxiv.arweave.net
-   *     - https://data_crimrxiv.permagate.io
+   *     - https://data_crimrxiv.ar.io/index.parquet
+   *     - https://data_crimrxiv.arweave.net/index.parquet
    */
-  async loadMetadata() {
-    if (this.metadataLoaded) return;
+  async loadIndex() {
+    if (this.indexLoaded) return;
 
     try {
-      console.log('📋 Loading metadata from external URL:', ARWEAVE_CONFIG.parquet);
+      const indexUrl = `${ARWEAVE_CONFIG.parquet}/index.parquet`;
+      console.log('📋 Loading article index from external URL:', indexUrl);
 
       await this.conn.query(`
-        CREATE VIEW IF NOT EXISTS metadata AS
-        SELECT * FROM parquet_scan('${ARWEAVE_CONFIG.parquet}')
+        CREATE TABLE IF NOT EXISTS article_index AS
+        SELECT * FROM parquet_scan('${indexUrl}')
       `);
 
-      this.metadataLoaded = true;
-      console.log('✅ Metadata loaded from external URL');
+      const result = await this.conn.query(`
+        SELECT DISTINCT year FROM article_index ORDER BY year DESC
+      `);
+      this.partitionYears = result.toArray().map(row => Number(row.year));
+
+      await this.loadDeltas();
+
+      // A partial upload shows up as a row count different from release.json
+      const countResult = await this.conn.query('SELECT COUNT(*) as count FROM article_index');
+      const count = Number(countResult.toArray()[0].count);
+      if (this.release && count !== this.release.row_count) {
+        console.warn(`⚠️  index.parquet has ${count} rows, release.json says ${this.release.row_count}`);
+      }
+
+      this.indexLoaded = true;
+      console.log(`✅ Article index loaded (${this.partitionYears.length} year partitions, ${this.deltaCount} articles from deltas)`);
     } catch (error) {
-      console.error('❌ Failed to load metadata:', error);
+      console.error('❌ Failed to load article index:', error);
       throw error;
     }
   }
 
+  /**
+   * Load the delta files listed in release.json into metadata_delta (latest
+   * delta wins per article) and apply them to article_index
+   */
+  async loadDeltas() {
+    const deltas = this.release?.deltas || [];
+    if (deltas.length === 0) return;
+
+    console.log(`📋 Loading ${deltas.length} delta file(s)`);
+    const union = deltas.map(delta =>
+      `SELECT *, ${Number(delta.seq)} as delta_seq FROM parquet_scan('${ARWEAVE_CONFIG.parquet}/${delta.path}')`
+    ).join(' UNION ALL BY NAME ');
+
+    await this.conn.query(`
+      CREATE TABLE metadata_delta AS
+      SELECT * FROM (${union})
+      QUALIFY row_number() OVER (PARTITION BY article_id ORDER BY delta_seq DESC) = 1
+    `);
+
+    // The index points updated articles at their (possibly new) year
+    await this.conn.query(`
+      DELETE FROM article_index
+      WHERE article_id IN (SELECT article_id FROM metadata_delta)
+    `);
+    await this.conn.query(`
+      INSERT INTO article_index BY NAME
+      SELECT slug, article_id, year, published_at, version_timestamp, content_type, author_count
+      FROM metadata_delta
+    `);
+
+    const result = await this.conn.query('SELECT COUNT(*) as count FROM metadata_delta');
+    this.deltaCount = Number(result.toArray()[0].count);
+  }
+
+  /**
+   * URL of a year partition
+   */
+  getPartitionUrl(year) {
+    return `${ARWEAVE_CONFIG.parquet}/metadata/year=${year}/data.parquet`;
+  }
+
+  /**
+   * Attach year partitions (one view per year, created on first use) and
+   * return a FROM clause over them, with delta rows merged in
+   * @param {number[]|null} years - Defaults to every year
+   * @returns {string} Subquery to use as `FROM ${source}`
+   */
+  async attachPartitions(years = null) {
+    const requested = years ? [...new Set(years)] : null;
+    const wanted = this.partitionYears.filter(year => !requested || requested.includes(year));
+
+    for (const year of wanted) {
+      if (this.attachedPartitions.has(year)) continue;
+
+      console.log(`📋 Attaching partition year=${year}`);
+      await this.conn.query(`
+        CREATE VIEW IF NOT EXISTS metadata_${year} AS
+        SELECT * FROM parquet_scan('${this.getPartitionUrl(year)}', hive_partitioning = true)
+      `);
+      this.attachedPartitions.add(year);
+    }
+
+    const parts = wanted.map(year => `SELECT * FROM metadata_${year}`);
+
+    if (this.deltaCount > 0 && (!requested || requested.length > 0)) {
+      // Latest wins: base rows replaced by a delta are left out
+      for (let i = 0; i < parts.length; i++) {
+        parts[i] += ' WHERE article_id NOT IN (SELECT article_id FROM metadata_delta)';
+      }
+      parts.push(`SELECT * EXCLUDE (delta_seq) FROM metadata_delta${requested ? ` WHERE year IN (${requested.join(', ')})` : ''}`);
+    }
+
+    if (parts.length === 0) {
+      // Same columns, no rows (nothing matched in the index)
+      const fallback = this.partitionYears[0];
+      if (fallback === undefined) {
+        throw new Error('No metadata partitions in index.parquet');
+      }
+      return `(SELECT * FROM ${await this.attachPartitions([fallback])} WHERE false)`;
+    }
+
+    return `(${parts.join(' UNION ALL BY NAME ')})`;
+  }
+
+  /**
+   * Years of the partitions holding the index rows a query will return
+   * @param {object} options - { where, orderBy, limit } applied to article_index
+   */
+  async getPartitionsFor({ where = 'published_at IS NOT NULL', orderBy = 'COALESCE(version_timestamp, published_at) DESC', limit = null } = {}) {
+    const result = await this.conn.query(`
+      SELECT DISTINCT year FROM (
+        SELECT year FROM article_index
+        WHERE ${where}
+        ORDER BY ${orderBy}
+        ${limit ? `LIMIT ${limit}` : ''}
+      )
+    `);
+    return result.toArray().map(row => Number(row.year));
+  }
+
+  /**
+   * Load fulltext.parquet (on first full-text search only)
+   * Separate ArNS undername, see ARWEAVE_CONFIG.fulltext
+   * @returns {boolean} Whether the full-text index is available
+   */
+  async loadFulltext() {
+    if (this.fulltextLoaded) return true;
+    if (this.fulltextAvailable === false) return false;
+
+    try {
+      console.log('🔎 Loading full-text index from external URL:', ARWEAVE_CONFIG.fulltext);
+
+      await this.conn.query(`
+        CREATE TABLE IF NOT EXISTS fulltext AS
+        SELECT slug, content FROM parquet_scan('${ARWEAVE_CONFIG.fulltext}')
+      `);
+
+      this.fulltextLoaded = true;
+      this.fulltextAvailable = true;
+      console.log('✅ Full-text index loaded');
+      return true;
+    } catch (error) {
+      // Optional resource: fall back to metadata-only search
+      console.warn('⚠️  Full-text index unavailable:', error);
+      this.fulltextAvailable = false;
+      return false;
+    }
+  }
+
   /**
    * Get recent articles (homepage)
    */
   async getRecentArticles(limit = 25) {
     try {
+      const source = await this.attachPartitions(await this.getPartitionsFor({ limit }));
       const result = await this.conn.query(`
         SELECT
           article_id,
@@ -136,7 +339,7 @@ export class ParquetDB {
           attachment_count,
           reference_count,
           citation_count
-        FROM metadata
+        FROM ${source}
         WHERE published_at IS NOT NULL
         ORDER BY COALESCE(version_timestamp, published_at) DESC
         LIMIT ${limit}
@@ -161,6 +364,7 @@ export class ParquetDB {
    */
   async getAllArticles() {
     try {
+      const source = await this.attachPartitions();
       const result = await this.conn.query(`
         SELECT
           article_id,
@@ -175,12 +379,13 @@ export class ParquetDB {
           doi,
           author_count,
           collection_count,
+          content_type,
           manifest_tx_id,
           word_count,
           attachment_count,
           reference_count,
           citation_count
-        FROM metadata
+        FROM ${source}
         WHERE published_at IS NOT NULL
         ORDER BY published_at DESC
       `);
@@ -214,10 +419,14 @@ export class ParquetDB {
 
   /**
    * Get news articles (CrimRxiv Consortium updates and Crimversations)
-   * News articles have author_count = 0 and specific title patterns
+   * Classified at import (content_type), see src/config/content-types.js
    */
   async getNewsArticles(limit = 50) {
     try {
+      const source = await this.attachPartitions(await this.getPartitionsFor({
+        where: "content_type IN ('news', 'podcast')",
+        limit
+      }));
       const result = await this.conn.query(`
         SELECT
           article_id,
@@ -230,19 +439,14 @@ export class ParquetDB {
           version_timestamp,
           doi,
           author_count,
+          content_type,
           manifest_tx_id,
           word_count,
           attachment_count,
           reference_count,
           citation_count
-        FROM metadata
-        WHERE
-          author_count = 0
-          AND (
-            title ILIKE '%CrimRxiv%'
-            OR title ILIKE '%Consortium%'
-            OR title ILIKE '%Crimversations%'
-          )
+        FROM ${source}
+        WHERE content_type IN ('news', 'podcast')
         ORDER BY COALESCE(version_timestamp, published_at) DESC
         LIMIT ${limit}
       `);
@@ -261,36 +465,54 @@ export class ParquetDB {
   }
 
   /**
-   * Search articles (full-text search in metadata)
+   * Search articles (title, abstract, keywords, authors)
+   * With { fulltext: true } the article body is searched too (loads
+   * fulltext.parquet on first use). Results then carry matched_in_body and a
+   * body_snippet around the first match.
    */
-  async search(query, limit = 50) {
+  async search(query, limit = 50, { fulltext = false } = {}) {
     try {
       // Escape single quotes for SQL
       const safeQuery = query.replace(/'/g, "''");
+      const source = await this.attachPartitions();
+      const withBody = fulltext && await this.loadFulltext();
 
       const result = await this.conn.query(`
+        ${withBody ? `
+        WITH body AS (
+          SELECT
+            slug,
+            substr(content, greatest(1, strpos(lower(content), lower('${safeQuery}')) - 80), 240) as body_snippet
+          FROM fulltext
+          WHERE content ILIKE '%${safeQuery}%'
+        )` : ''}
         SELECT
-          article_id,
-          slug,
-          title,
-          authors_json,
-          abstract_preview,
-          keywords_json,
-          published_at,
-          doi,
-          author_count,
-          manifest_tx_id,
-          word_count,
-          attachment_count,
-          reference_count,
-          citation_count
-        FROM metadata
+          m.article_id,
+          m.slug,
+          m.title,
+          m.authors_json,
+          m.abstract_preview,
+          m.keywords_json,
+          m.published_at,
+          m.doi,
+          m.author_count,
+          m.manifest_tx_id,
+          m.word_count,
+          m.attachment_count,
+          m.reference_count,
+          m.citation_count
+          ${withBody ? `,
+          body.slug IS NOT NULL as matched_in_body,
+          body.body_snippet` : ''}
+        FROM ${source} m
+        ${withBody ? 'LEFT JOIN body ON body.slug = m.slug' : ''}
         WHERE
-          title ILIKE '%${safeQuery}%'
-          OR abstract_preview ILIKE '%${safeQuery}%'
-          OR keywords_json ILIKE '%${safeQuery}%'
-          OR authors_json ILIKE '%${safeQuery}%'
-        ORDER BY published_at DESC
+          m.title ILIKE '%${safeQuery}%'
+          OR m.abstract_preview ILIKE '%${safeQuery}%'
+          OR m.keywords_json ILIKE '%${safeQuery}%'
+          OR m.authors_json ILIKE '%${safeQuery}%'
+          ${withBody ? 'OR body.slug IS NOT NULL' : ''}
+        ORDER BY m.published_at DESC
         LIMIT ${limit}
       `);
 
@@ -299,7 +521,8 @@ export class ParquetDB {
       return articles.map(article => ({
         ...article,
         authors: JSON.parse(article.authors_json || '[]'),
-        keywords: JSON.parse(article.keywords_json || '[]')
+        keywords: JSON.parse(article.keywords_json || '[]'),
+        matched_in_body: Boolean(article.matched_in_body)
       }));
     } catch (error) {
       console.error('❌ Search failed:', error);
@@ -327,6 +550,7 @@ export class ParquetDB {
       const whereConditions = safePatterns.map(pattern =>
         `(authors_json ILIKE '%${pattern}%' OR external_publications_json ILIKE '%${pattern}%' OR collections_json ILIKE '%${pattern}%' OR avatar ILIKE '%${pattern}%')`
       ).join(' OR ');
+      const source = await this.attachPartitions();
 
       const result = await this.conn.query(`
         SELECT
@@ -346,7 +570,7 @@ export class ParquetDB {
           attachment_count,
           reference_count,
           citation_count
-        FROM metadata
+        FROM ${source}
         WHERE ${whereConditions}
         ORDER BY published_at DESC
         LIMIT ${limit}
@@ -365,14 +589,41 @@ export class ParquetDB {
   }
 
   /**
-   * Get article metadata from metadata.parquet
+   * First institutional badge/logo URL (avatar) matching any of the patterns
+   */
+  async getAvatarByPattern(patterns) {
+    const safePatterns = patterns.map(p => p.replace(/'/g, "''"));
+    const whereConditions = safePatterns.map(pattern =>
+      `avatar ILIKE '%${pattern}%'`
+    ).join(' OR ');
+    const source = await this.attachPartitions();
+
+    const result = await this.conn.query(`
+      SELECT avatar
+      FROM ${source}
+      WHERE (${whereConditions})
+      AND avatar IS NOT NULL
+      LIMIT 1
+    `);
+
+    const rows = result.toArray();
+    return rows.length > 0 ? rows[0].avatar : null;
+  }
+
+  /**
+   * Get article metadata (attaches only the article's year partition)
    */
   async getArticleMetadata(slug) {
     try {
+      const safeSlug = slug.replace(/'/g, "''");
+      const years = await this.getPartitionsFor({ where: `slug = '${safeSlug}'`, orderBy: 'year', limit: 1 });
+      if (years.length === 0) return null;
+
+      const source = await this.attachPartitions(years);
       const result = await this.conn.query(`
         SELECT *
-        FROM metadata
-        WHERE slug = '${slug}'
+        FROM ${source}
+        WHERE slug = '${safeSlug}'
         LIMIT 1
       `);
 
@@ -384,7 +635,9 @@ export class ParquetDB {
         ...article,
         authors: JSON.parse(article.authors_json || '[]'),
         keywords: JSON.parse(article.keywords_json || '[]'),
-        collections: JSON.parse(article.collections_json || '[]')
+        collections: JSON.parse(article.collections_json || '[]'),
+        references: JSON.parse(article.references_json || '[]'),
+        citations: JSON.parse(article.citations_json || '[]')
       };
     } catch (error) {
       console.error(`❌ Failed to get metadata for ${slug}:`, error);
@@ -411,7 +664,7 @@ export class ParquetDB {
   }
 
   /**
-   * Get database statistics
+   * Get database statistics (from the index, no partitions needed)
    */
   async getStats() {
     try {
@@ -422,7 +675,7 @@ export class ParquetDB {
           MIN(published_at) as oldest_article,
           MAX(published_at) as newest_article,
           SUM(author_count) as total_authors
-        FROM metadata
+        FROM article_index
       `);
 
       return result.toArray()[0].toJSON();
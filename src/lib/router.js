@@ -5,6 +5,7 @@
  * - #/ or empty -> Homepage
  * - #/article/{slug} -> Article detail
  * - #/search?q={query} -> Search results
+ * - #/search?q={query}&fulltext=1 -> Search results including article bodies
  * - #/consortium -> Consortium members page
  * - #/member/{slug} -> Member detail page with publications
  */
@@ -82,7 +83,7 @@ export class Router {
       if (searchMatch) {
         const params = new URLSearchParams(hash.split('?')[1] || '');
         const query = params.get('q') || '';
-        await this.app.showSearch(query);
+        await this.app.showSearch(query, { fulltext: params.get('fulltext') === '1' });
         this.currentRoute = 'search';
         return;
       }
@@ -136,7 +137,7 @@ export class Router {
   /**
    * Navigate to search
    */
-  goToSearch(query) {
-    this.navigate(`/search?q=${encodeURIComponent(query)}`);
+  goToSearch(query, { fulltext = false } = {}) {
+    this.navigate(`/search?q=${encodeURIComponent(query)}${fulltext ? '&fulltext=1' : ''}`);
   }
 }
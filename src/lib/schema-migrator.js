@@ -0,0 +1,190 @@
+/**
+ * Schema Migrator - Versioned migrations for the SQLite database
+ *
+ * createSchema() is the baseline (version 0); every structural change after
+ * it is a numbered module in src/lib/migrations/ with up/down steps.
+ * Applied versions are recorded in the schema_migrations table, and a copy
+ * of the database is taken before anything is applied or rolled back.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { MIGRATIONS } from './migrations/index.js';
+
+export class SchemaMigrator {
+  /**
+   * @param {Database} db - Open better-sqlite3 handle
+   * @param {string} dbPath - Database file path (backups are written next to it)
+   * @param {Array} migrations - Migration modules (defaults to src/lib/migrations)
+   */
+  constructor(db, dbPath, migrations = MIGRATIONS) {
+    this.db = db;
+    this.dbPath = dbPath;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+    this.backupDir = path.join(path.dirname(dbPath), 'backups');
+
+    this.validate();
+    this.ensureTable();
+  }
+
+  /**
+   * Versions must be unique positive integers
+   */
+  validate() {
+    const seen = new Set();
+    for (const migration of this.migrations) {
+      if (!Number.isInteger(migration.version) || migration.version < 1) {
+        throw new Error(`Migration "${migration.name}" has an invalid version: ${migration.version}`);
+      }
+      if (seen.has(migration.version)) {
+        throw new Error(`Duplicate migration version: ${migration.version}`);
+      }
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${migration.version} must define up() and down()`);
+      }
+      seen.add(migration.version);
+    }
+  }
+
+  ensureTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  getApplied() {
+    return this.db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+  }
+
+  getCurrentVersion() {
+    const row = this.db.prepare('SELECT MAX(version) as version FROM schema_migrations').get();
+    return row.version || 0;
+  }
+
+  getPending() {
+    const applied = new Set(this.getApplied().map(row => row.version));
+    return this.migrations.filter(migration => !applied.has(migration.version));
+  }
+
+  /**
+   * Every known migration with its applied state (plus applied versions
+   * whose module no longer exists, e.g. after checking out older code)
+   */
+  getStatus() {
+    const applied = new Map(this.getApplied().map(row => [row.version, row]));
+
+    const status = this.migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      applied_at: applied.get(migration.version)?.applied_at || null,
+      missing: false
+    }));
+
+    for (const row of applied.values()) {
+      if (!this.migrations.some(migration => migration.version === row.version)) {
+        status.push({ ...row, applied: true, missing: true });
+      }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Copy the database to data/sqlite/backups/ (consistent even in WAL mode)
+   * @returns {string|null} Backup path (null for in-memory databases)
+   */
+  backup(label) {
+    if (!this.dbPath || this.dbPath === ':memory:') {
+      return null;
+    }
+
+    fs.mkdirSync(this.backupDir, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const name = `${path.basename(this.dbPath, '.db')}-${label}-${timestamp}.db`;
+    const backupPath = path.join(this.backupDir, name);
+
+    this.db.prepare('VACUUM INTO ?').run(backupPath);
+    console.log(`💾 Backup written: ${backupPath}`);
+
+    return backupPath;
+  }
+
+  /**
+   * Apply pending migrations (up to and including `target` when given)
+   * @returns {Array} Applied migrations
+   */
+  apply({ target = null, backup = true } = {}) {
+    const pending = this.getPending().filter(migration => target === null || migration.version <= target);
+    if (pending.length === 0) {
+      return [];
+    }
+
+    if (backup) {
+      this.backup(`pre-migration-v${this.getCurrentVersion()}`);
+    }
+
+    const record = this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+    for (const migration of pending) {
+      console.log(`  ⬆️  ${this.format(migration)}`);
+      this.db.transaction(() => {
+        migration.up(this.db);
+        record.run(migration.version, migration.name, new Date().toISOString());
+      })();
+    }
+
+    return pending;
+  }
+
+  /**
+   * Roll back the most recent migrations
+   * @param {object} options - { steps } or { target } (roll back everything above target)
+   * @returns {Array} Rolled back migrations
+   */
+  rollback({ steps = 1, target = null, backup = true } = {}) {
+    const applied = this.getApplied().reverse();
+    const toRollBack = target !== null
+      ? applied.filter(row => row.version > target)
+      : applied.slice(0, steps);
+
+    if (toRollBack.length === 0) {
+      return [];
+    }
+
+    const modules = toRollBack.map(row => {
+      const migration = this.migrations.find(m => m.version === row.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${row.version} (${row.name}): migration module not found`);
+      }
+      return migration;
+    });
+
+    if (backup) {
+      this.backup(`pre-rollback-v${this.getCurrentVersion()}`);
+    }
+
+    const unrecord = this.db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+
+    for (const migration of modules) {
+      console.log(`  ⬇️  ${this.format(migration)}`);
+      this.db.transaction(() => {
+        migration.down(this.db);
+        unrecord.run(migration.version);
+      })();
+    }
+
+    return modules;
+  }
+
+  format(migration) {
+    return `${String(migration.version).padStart(3, '0')} ${migration.name}`;
+  }
+}
+
+export default SchemaMigrator;
@@ -0,0 +1,286 @@
+/**
+ * Scholarly Metadata Formats - BibTeX, RIS, CSL-JSON, schema.org JSON-LD
+ *
+ * Turns latest-version article rows from SQLite into reference-manager and
+ * linked-data records. Item types per content type come from
+ * src/config/content-types.js (formats). "Version of" relations come from
+ * external_publications_json (PubPub outbound edges, relationType 'version').
+ */
+
+import { CONTENT_TYPES, DEFAULT_CONTENT_TYPE } from '../config/content-types.js';
+
+export const PUBLISHER = 'CrimRxiv';
+export const ARTICLE_URL = 'https://www.crimrxiv.com/pub/';
+
+// PubPub licenseSlug → name and URL
+export const LICENSES = {
+  'cc-by': { name: 'CC BY 4.0', url: 'https://creativecommons.org/licenses/by/4.0/' },
+  'cc-by-sa': { name: 'CC BY-SA 4.0', url: 'https://creativecommons.org/licenses/by-sa/4.0/' },
+  'cc-by-nd': { name: 'CC BY-ND 4.0', url: 'https://creativecommons.org/licenses/by-nd/4.0/' },
+  'cc-by-nc': { name: 'CC BY-NC 4.0', url: 'https://creativecommons.org/licenses/by-nc/4.0/' },
+  'cc-by-nc-sa': { name: 'CC BY-NC-SA 4.0', url: 'https://creativecommons.org/licenses/by-nc-sa/4.0/' },
+  'cc-by-nc-nd': { name: 'CC BY-NC-ND 4.0', url: 'https://creativecommons.org/licenses/by-nc-nd/4.0/' },
+  'cc-0': { name: 'CC0 1.0', url: 'https://creativecommons.org/publicdomain/zero/1.0/' },
+  'copyright': { name: 'All rights reserved', url: null }
+};
+
+const BIBTEX_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * "10.21428/abc" from a DOI or doi.org URL
+ */
+export function normalizeDoi(doi) {
+  if (!doi) return null;
+  return String(doi).trim().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:)/i, '') || null;
+}
+
+/**
+ * "0000-0002-1825-0097" from an ORCID iD or orcid.org URL
+ */
+export function normalizeOrcid(orcid) {
+  if (!orcid) return null;
+  const match = String(orcid).match(/(\d{4}-\d{4}-\d{4}-\d{3}[\dX])/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * License name + URL for a PubPub licenseSlug ("cc-by", "CC-BY-4.0", ...)
+ */
+export function getLicense(license) {
+  if (!license) return null;
+  const slug = String(license).trim().toLowerCase().replace(/-\d+(\.\d+)?$/, '');
+  return LICENSES[slug] || { name: license, url: null };
+}
+
+/**
+ * Split a display name into family/given ("Jane Q. Doe", "Doe, Jane")
+ * Single-word names (often organizations) are kept whole as literal
+ */
+export function splitName(name) {
+  const clean = String(name || '').replace(/\s+/g, ' ').trim();
+  if (clean.includes(',')) {
+    const [family, ...given] = clean.split(',');
+    return { family: family.trim(), given: given.join(',').trim() };
+  }
+  const parts = clean.split(' ');
+  if (parts.length < 2) return { literal: clean };
+  return { family: parts[parts.length - 1], given: parts.slice(0, -1).join(' ') };
+}
+
+/**
+ * Article row (SQLite) → plain record shared by every format
+ */
+export function toRecord(article) {
+  const type = CONTENT_TYPES[article.content_type] || CONTENT_TYPES[DEFAULT_CONTENT_TYPE];
+  const published = article.published_at ? new Date(article.published_at) : null;
+  const externalPubs = parseJson(article.external_publications_json, []);
+
+  return {
+    id: article.slug,
+    formats: type.formats,
+    title: (article.title || 'Untitled').trim(),
+    authors: parseJson(article.authors_json, [])
+      .filter(author => author?.name)
+      .map(author => ({
+        name: author.name.trim(),
+        ...splitName(author.name),
+        affiliation: author.affiliation || null,
+        orcid: normalizeOrcid(author.orcid),
+        corresponding: Boolean(author.is_corresponding),
+        roles: Array.isArray(author.roles) ? author.roles.filter(Boolean) : []
+      })),
+    published: published && !isNaN(published) ? published : null,
+    updated: article.version_timestamp || article.updated_at || null,
+    abstract: article.abstract || article.description || null,
+    keywords: parseJson(article.keywords_json, []).filter(Boolean),
+    doi: normalizeDoi(article.doi),
+    url: article.url || `${ARTICLE_URL}${article.slug}`,
+    pdfUrl: article.pdf_url || null,
+    license: getLicense(article.license),
+    version: article.version_number || null,
+    versionOf: externalPubs
+      .filter(pub => pub.relationType === 'version' && (pub.doi || pub.url))
+      .map(pub => ({
+        title: pub.title || null,
+        doi: normalizeDoi(pub.doi),
+        url: pub.url || null,
+        date: pub.publicationDate || null
+      }))
+  };
+}
+
+function versionOfNote(record) {
+  if (record.versionOf.length === 0) return null;
+  return 'Version of: ' + record.versionOf
+    .map(pub => [pub.title, pub.doi ? `https://doi.org/${pub.doi}` : pub.url].filter(Boolean).join(', '))
+    .join('; ');
+}
+
+/**
+ * CSL-JSON item (Zotero, Mendeley, citeproc)
+ */
+export function toCsl(record) {
+  const item = {
+    id: record.id,
+    type: record.formats.csl,
+    title: record.title,
+    author: record.authors.map(author => ({
+      ...(author.literal ? { literal: author.literal } : { family: author.family, given: author.given }),
+      ...(author.orcid ? { ORCID: `https://orcid.org/${author.orcid}` } : {})
+    })),
+    publisher: PUBLISHER,
+    'container-title': PUBLISHER,
+    URL: record.url
+  };
+
+  if (record.published) {
+    const d = record.published;
+    item.issued = { 'date-parts': [[d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate()]] };
+  }
+  if (record.doi) item.DOI = record.doi;
+  if (record.abstract) item.abstract = record.abstract;
+  if (record.keywords.length > 0) item.keyword = record.keywords.join(', ');
+  if (record.license) item.license = record.license.url || record.license.name;
+  if (record.version) item.version = String(record.version);
+  const note = versionOfNote(record);
+  if (note) item.note = note;
+
+  return item;
+}
+
+const BIBTEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+};
+
+// Single pass, so the braces of \textbackslash{} etc. aren't escaped again
+function escapeBibtex(text) {
+  return String(text)
+    .replace(/[\\{}&%$#_~^]/g, char => BIBTEX_ESCAPES[char] || `\\${char}`)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// doi and url are verbatim fields (no TeX escaping), so braces, backslashes
+// and stray % would unbalance the entry or break the whole .bib file
+const BIBTEX_VERBATIM_UNSAFE = /[{}\\%]/;
+
+function bibtexUrl(url) {
+  return url
+    .replace(/[{}\\]/g, char => encodeURIComponent(char))
+    .replace(/%(?![0-9A-Fa-f]{2})/g, '%25');
+}
+
+/**
+ * BibTeX citation key: slug without characters BibTeX can't handle
+ */
+export function getBibtexKey(record) {
+  return record.id.replace(/[^A-Za-z0-9_:.-]/g, '');
+}
+
+/**
+ * BibTeX entry
+ */
+export function toBibtex(record) {
+  const fields = [
+    ['title', `{${escapeBibtex(record.title)}}`],
+    ['author', record.authors
+      .map(author => author.literal ? `{${escapeBibtex(author.literal)}}` : `${escapeBibtex(author.family)}, ${escapeBibtex(author.given)}`)
+      .join(' and ')],
+    [record.formats.bibtex === 'article' ? 'journal' : 'publisher', PUBLISHER],
+    ['year', record.published ? String(record.published.getUTCFullYear()) : null],
+    ['month', record.published ? BIBTEX_MONTHS[record.published.getUTCMonth()] : null],
+    // A DOI can't be percent-encoded in the doi field, so an unsafe one is left out
+    ['doi', record.doi && !BIBTEX_VERBATIM_UNSAFE.test(record.doi) ? record.doi : null],
+    ['url', bibtexUrl(record.url)],
+    ['abstract', record.abstract ? escapeBibtex(record.abstract) : null],
+    ['keywords', record.keywords.length > 0 ? escapeBibtex(record.keywords.join(', ')) : null],
+    ['copyright', record.license ? escapeBibtex(record.license.name) : null],
+    ['orcid-numbers', record.authors.filter(author => author.orcid).map(author => `${escapeBibtex(author.name)}/${author.orcid}`).join(' and ')],
+    ['note', versionOfNote(record) ? escapeBibtex(versionOfNote(record)) : null]
+  ].filter(([, value]) => value);
+
+  // month is a BibTeX macro, everything else is braced
+  const lines = fields.map(([name, value]) => name === 'month' ? `  ${name} = ${value}` : `  ${name} = {${value}}`);
+  return `@${record.formats.bibtex}{${getBibtexKey(record)},\n${lines.join(',\n')}\n}`;
+}
+
+/**
+ * RIS record
+ */
+export function toRis(record) {
+  const lines = [['TY', record.formats.ris], ['TI', record.title]];
+
+  for (const author of record.authors) {
+    lines.push(['AU', author.literal || `${author.family}, ${author.given}`]);
+  }
+  if (record.published) {
+    const iso = record.published.toISOString().substring(0, 10);
+    lines.push(['PY', iso.substring(0, 4)], ['DA', iso.replace(/-/g, '/')]);
+  }
+  lines.push(['PB', PUBLISHER], ['T2', PUBLISHER]);
+  if (record.abstract) lines.push(['AB', record.abstract.replace(/\s+/g, ' ').trim()]);
+  for (const keyword of record.keywords) lines.push(['KW', keyword]);
+  if (record.doi) lines.push(['DO', record.doi]);
+  lines.push(['UR', record.url]);
+  if (record.pdfUrl) lines.push(['L1', record.pdfUrl]);
+  if (record.license) lines.push(['N1', `License: ${record.license.name}${record.license.url ? ` (${record.license.url})` : ''}`]);
+  const note = versionOfNote(record);
+  if (note) lines.push(['N1', note]);
+  lines.push(['ER', '']);
+
+  return lines.map(([tag, value]) => `${tag}  - ${String(value).replace(/[\r\n]+/g, ' ')}`.trimEnd()).join('\r\n');
+}
+
+/**
+ * schema.org node for the JSON-LD @graph
+ */
+export function toJsonLd(record) {
+  const node = {
+    '@type': record.formats.schemaOrg,
+    '@id': record.doi ? `https://doi.org/${record.doi}` : record.url,
+    name: record.title,
+    headline: record.title.substring(0, 110),
+    url: record.url,
+    author: record.authors.map(author => ({
+      '@type': 'Person',
+      name: author.name,
+      ...(author.literal ? {} : { familyName: author.family, givenName: author.given }),
+      ...(author.orcid ? { '@id': `https://orcid.org/${author.orcid}`, identifier: `https://orcid.org/${author.orcid}` } : {}),
+      ...(author.affiliation ? { affiliation: { '@type': 'Organization', name: author.affiliation } } : {})
+    })),
+    publisher: { '@type': 'Organization', name: PUBLISHER, url: 'https://www.crimrxiv.com' }
+  };
+
+  if (record.published) node.datePublished = record.published.toISOString().substring(0, 10);
+  if (record.updated) node.dateModified = record.updated;
+  if (record.abstract) node.abstract = record.abstract;
+  if (record.keywords.length > 0) node.keywords = record.keywords;
+  if (record.doi) {
+    node.identifier = { '@type': 'PropertyValue', propertyID: 'DOI', value: record.doi };
+    node.sameAs = record.url;
+  }
+  if (record.license) node.license = record.license.url || record.license.name;
+  if (record.version) node.version = String(record.version);
+  if (record.pdfUrl) node.encoding = { '@type': 'MediaObject', contentUrl: record.pdfUrl, encodingFormat: 'application/pdf' };
+  if (record.versionOf.length > 0) {
+    node.exampleOfWork = record.versionOf.map(pub => ({
+      '@type': 'CreativeWork',
+      ...(pub.doi ? { '@id': `https://doi.org/${pub.doi}` } : {}),
+      ...(pub.title ? { name: pub.title } : {}),
+      ...(pub.url ? { url: pub.url } : {}),
+      ...(pub.date ? { datePublished: pub.date } : {})
+    }));
+  }
+
+  return node;
+}
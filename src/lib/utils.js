@@ -325,6 +325,18 @@ export class StateManager {
     const filePath = path.join(this.stateDir, `${name}.json`);
     return await this.fileHelper.exists(filePath);
   }
+
+  async clearState(name) {
+    const filePath = path.join(this.stateDir, `${name}.json`);
+    try {
+      await fs.remove(filePath);
+      this.logger.info(`State cleared: ${name}`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to clear state: ${name}`, error.message);
+      return false;
+    }
+  }
 }
 
 /**
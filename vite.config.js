@@ -30,6 +30,14 @@ const excludeExternalResources = () => ({
       fs.removeSync(dataDir);
       console.log('✅ Data folder excluded from build');
     }
+
+    // Remove full-text index (loaded from fulltext ArNS on demand)
+    const fulltextDir = path.resolve('dist/fulltext');
+    if (fs.existsSync(fulltextDir)) {
+      console.log('🗑️  Removing bundled full-text index (loaded from ArNS)...');
+      fs.removeSync(fulltextDir);
+      console.log('✅ Full-text index excluded from build');
+    }
   }
 });
 